@@ -0,0 +1,17 @@
+module.exports = {
+  root: true,
+  env: { browser: true, es2022: true, node: true },
+  parserOptions: { ecmaVersion: 'latest', sourceType: 'module', ecmaFeatures: { jsx: true } },
+  settings: { react: { version: '18.2' } },
+  extends: [
+    'eslint:recommended',
+    'plugin:react/recommended',
+    'plugin:react-hooks/recommended',
+  ],
+  rules: {
+    'react/prop-types': 'off',
+    // Copy is written with plain apostrophes and quotes
+    'react/no-unescaped-entities': 'off',
+    'no-unused-vars': ['error', { args: 'none', ignoreRestSiblings: true }],
+  },
+};
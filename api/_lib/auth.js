@@ -0,0 +1,299 @@
+/**
+ * Authentication
+ * Shared by the Vercel functions and server.local.js. Turned on by setting
+ * AUTH_OWNER_PASSWORD; without it the editor stays open, as in local use.
+ *
+ * The owner signs in with AUTH_OWNER_USERNAME (default "owner") and that
+ * password, and can invite others as authors or reviewers. Invitees pick a
+ * username and password when they first open their invite link. Sessions live
+ * in the server store and are referenced by an HttpOnly cookie. Repeated
+ * failed sign-ins lock out the address they come from for a while, and the
+ * account too, but only from that address.
+ *
+ * GET    ?action=session                         → { enabled, user }
+ * POST   ?action=login   { username, password }  → sets the session cookie
+ * POST   ?action=logout
+ * POST   ?action=redeem  { token, username, password }
+ * GET    ?action=people                          → users and pending invites (authors)
+ * POST   ?action=invite  { role }                → { token } (authors)
+ * DELETE ?action=people  { username | inviteId } (authors)
+ */
+
+import crypto from 'crypto';
+import { getStore } from './store.js';
+
+const USERS_HASH = 'auth:users';
+const INVITES_HASH = 'auth:invites';
+const sessionKey = (tokenHash) => `auth:session:${tokenHash}`;
+const failuresKey = (kind, id) => `auth:failures:${kind}:${hashToken(id)}`;
+
+const SESSION_COOKIE = 'wop_session';
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME = /^[a-z0-9][a-z0-9._-]{1,31}$/;
+
+// Failed sign-ins allowed per window before further attempts are refused.
+// Accounts are counted per address, so guessing from elsewhere can't lock the
+// real user out.
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const MAX_FAILURES = { account: 5, ip: 20 };
+
+// Authors edit, sync and manage spending; reviewers read synced documents
+// and use Claude, but their edits stay on their own device and they don't see
+// spending. Only the owner manages people (OWNER_PERMISSIONS).
+export const ROLES = {
+  author: ['claude', 'documents:read', 'documents:write', 'usage'],
+  reviewer: ['claude', 'documents:read'],
+};
+const OWNER_PERMISSIONS = ['people'];
+
+const permissionsOf = (user) => (user.owner ? [...ROLES[user.role], ...OWNER_PERMISSIONS] : ROLES[user.role]);
+
+const ownerUsername = () => (process.env.AUTH_OWNER_USERNAME || 'owner').toLowerCase();
+export const isAuthEnabled = () => !!process.env.AUTH_OWNER_PASSWORD;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const newToken = () => crypto.randomBytes(24).toString('base64url');
+
+const hashPassword = (password, salt = crypto.randomBytes(16).toString('hex')) => ({
+  salt,
+  hash: crypto.scryptSync(password, salt, 64).toString('hex'),
+});
+
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+const parseCookies = (header = '') => Object.fromEntries(
+  header.split(';')
+    .map(part => part.trim().split('='))
+    .filter(([name, value]) => name && value !== undefined)
+    .map(([name, ...value]) => [name, decodeURIComponent(value.join('='))])
+);
+
+const sessionCookie = (token, headers, maxAgeMs) => [
+  `${SESSION_COOKIE}=${token}`,
+  'Path=/',
+  'HttpOnly',
+  'SameSite=Lax',
+  `Max-Age=${Math.floor(maxAgeMs / 1000)}`,
+  ...(headers['x-forwarded-proto'] === 'https' ? ['Secure'] : []),
+].join('; ');
+
+const publicUser = (user) => ({ username: user.username, role: user.role, can: permissionsOf(user) });
+
+const fail = (status, error) => ({ status, body: { error, category: 'auth' } });
+
+const findUser = async (store, username) => {
+  if (username === ownerUsername()) return { username, role: 'author', owner: true };
+  const user = (await store.hgetall(USERS_HASH))[username];
+  return user && !user.removed ? user : null;
+};
+
+const startSession = async (store, user, headers) => {
+  const token = newToken();
+  await store.set(sessionKey(hashToken(token)), {
+    username: user.username,
+    createdAt: Date.now(),
+    expiresAt: Date.now() + SESSION_TTL_MS,
+  });
+  return {
+    status: 200,
+    body: { enabled: true, user: publicUser(user) },
+    cookie: sessionCookie(token, headers, SESSION_TTL_MS),
+  };
+};
+
+// The signed-in user for a request, or null. Role comes from the user record,
+// so removing someone or changing their role applies to existing sessions.
+const currentUser = async (store, headers) => {
+  const token = parseCookies(headers.cookie)[SESSION_COOKIE];
+  if (!token) return null;
+  const session = await store.get(sessionKey(hashToken(token)));
+  if (!session || session.expiresAt < Date.now()) return null;
+  return findUser(store, session.username);
+};
+
+const checkAccess = async (store, headers, permission) => {
+  const user = await currentUser(store, headers);
+  if (!user) return { denied: fail(401, 'Please sign in again.') };
+  if (!permissionsOf(user).includes(permission)) {
+    return { denied: fail(403, user.role === 'author' ? 'Only the owner can do that.' : `Your ${user.role} account can't do that.`) };
+  }
+  return { user };
+};
+
+/**
+ * Check a request against a permission from ROLES. Returns null when it is
+ * allowed (always, with auth turned off), otherwise { status, body }.
+ */
+export async function authorize(headers, permission) {
+  if (!isAuthEnabled()) return null;
+
+  const store = getStore();
+  if (!store) return fail(503, 'Sign-in needs a server store. Connect a Vercel KV store.');
+  return (await checkAccess(store, headers, permission)).denied || null;
+}
+
+// X-Forwarded-For can be sent by anyone, so it is only believed on Vercel,
+// which sets it itself, or behind a proxy named by TRUST_PROXY=true
+const trustsProxy = () => !!process.env.VERCEL || process.env.TRUST_PROXY === 'true';
+
+// The client address: the first X-Forwarded-For entry from a trusted proxy,
+// otherwise the socket's peer
+const clientIp = (headers, remoteAddress) =>
+  (trustsProxy() && String(headers['x-forwarded-for'] || '').split(',')[0].trim()) || remoteAddress || 'unknown';
+
+const accountAt = (name, ip) => `${name} ${ip}`;
+
+// Seconds until a locked-out account (at an address) or address may try again, or 0
+const lockedFor = async (store, kind, id) => {
+  const record = await store.get(failuresKey(kind, id));
+  if (!record || record.count < MAX_FAILURES[kind]) return 0;
+  return Math.max(0, Math.ceil((record.since + FAILURE_WINDOW_MS - Date.now()) / 1000));
+};
+
+const recordFailure = (store, kind, id) => {
+  const key = failuresKey(kind, id);
+  return store.withLock(key, async () => {
+    const record = await store.get(key);
+    const fresh = !record || record.since + FAILURE_WINDOW_MS < Date.now();
+    await store.set(key, fresh ? { count: 1, since: Date.now() } : { ...record, count: record.count + 1 });
+  });
+};
+
+const validateCredentials = (username, password) => {
+  if (typeof username !== 'string' || !USERNAME.test(username)) {
+    return 'Usernames are 2-32 lowercase letters, numbers, dots, dashes or underscores.';
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Passwords need at least ${MIN_PASSWORD_LENGTH} characters.`;
+  }
+  return null;
+};
+
+const login = async (store, { username, password } = {}, headers, ip) => {
+  const name = String(username || '').trim().toLowerCase();
+  const wait = Math.max(await lockedFor(store, 'account', accountAt(name, ip)), await lockedFor(store, 'ip', ip));
+  if (wait > 0) {
+    return {
+      status: 429,
+      body: { error: `Too many failed sign-ins. Try again in ${Math.ceil(wait / 60)} min.`, category: 'auth', retryAfter: wait },
+    };
+  }
+
+  let user = null;
+  if (name === ownerUsername()) {
+    if (safeEqual(password, process.env.AUTH_OWNER_PASSWORD)) user = await findUser(store, name);
+  } else {
+    const stored = await findUser(store, name);
+    if (stored && safeEqual(hashPassword(String(password || ''), stored.salt).hash, stored.passwordHash)) {
+      user = stored;
+    }
+  }
+  if (!user) {
+    await recordFailure(store, 'account', accountAt(name, ip));
+    await recordFailure(store, 'ip', ip);
+    return fail(401, 'That username and password don\'t match.');
+  }
+  await store.delete(failuresKey('account', accountAt(name, ip)));
+  return startSession(store, user, headers);
+};
+
+const logout = async (store, headers) => {
+  const token = parseCookies(headers.cookie)[SESSION_COOKIE];
+  if (token) await store.delete(sessionKey(hashToken(token)));
+  return { status: 200, body: { ok: true }, cookie: sessionCookie('', headers, 0) };
+};
+
+// Locked so one invite, or one username, can't be claimed twice at once
+const redeemInvite = (store, { token, username, password } = {}, headers) => store.withLock(USERS_HASH, async () => {
+  const invites = await store.hgetall(INVITES_HASH);
+  const id = hashToken(String(token || ''));
+  const invite = invites[id];
+  if (!invite || invite.usedBy || invite.revoked || invite.expiresAt < Date.now()) {
+    return fail(400, 'This invite link has expired or was already used. Ask for a new one.');
+  }
+
+  const name = String(username || '').trim().toLowerCase();
+  const problem = validateCredentials(name, password);
+  if (problem) return fail(400, problem);
+  if (await findUser(store, name)) return fail(400, 'That username is taken.');
+
+  const { salt, hash } = hashPassword(password);
+  const user = { username: name, role: invite.role, salt, passwordHash: hash, createdAt: Date.now(), invitedBy: invite.createdBy };
+  await store.hset(USERS_HASH, { [name]: user });
+  await store.hset(INVITES_HASH, { [id]: { ...invite, usedBy: name, usedAt: Date.now() } });
+  return startSession(store, user, headers);
+});
+
+const listPeople = async (store) => {
+  const users = Object.values(await store.hgetall(USERS_HASH))
+    .filter(user => !user.removed)
+    .map(user => ({ username: user.username, role: user.role, createdAt: user.createdAt, invitedBy: user.invitedBy }));
+  const invites = Object.entries(await store.hgetall(INVITES_HASH))
+    .filter(([, invite]) => !invite.usedBy && !invite.revoked && invite.expiresAt > Date.now())
+    .map(([id, invite]) => ({ id, role: invite.role, createdBy: invite.createdBy, createdAt: invite.createdAt, expiresAt: invite.expiresAt }));
+  return {
+    status: 200,
+    body: { owner: ownerUsername(), users: [{ username: ownerUsername(), role: 'author', owner: true }, ...users], invites },
+  };
+};
+
+const createInvite = async (store, { role } = {}, user) => {
+  if (!ROLES[role]) return fail(400, `Role must be one of ${Object.keys(ROLES).join(', ')}.`);
+  const token = newToken();
+  const invite = { role, createdBy: user.username, createdAt: Date.now(), expiresAt: Date.now() + INVITE_TTL_MS };
+  await store.hset(INVITES_HASH, { [hashToken(token)]: invite });
+  return { status: 200, body: { token, ...invite } };
+};
+
+// The store has no field delete, so removals are recorded like sync tombstones
+const removePerson = async (store, { username, inviteId } = {}) => {
+  if (inviteId) {
+    const invite = (await store.hgetall(INVITES_HASH))[inviteId];
+    if (!invite) return fail(404, 'No such invite.');
+    await store.hset(INVITES_HASH, { [inviteId]: { ...invite, revoked: true } });
+    return { status: 200, body: { ok: true } };
+  }
+  if (username === ownerUsername()) return fail(400, 'The owner account can\'t be removed.');
+  const user = (await store.hgetall(USERS_HASH))[username];
+  if (!user || user.removed) return fail(404, 'No such user.');
+  await store.hset(USERS_HASH, { [username]: { ...user, removed: true, removedAt: Date.now() } });
+  return { status: 200, body: { ok: true } };
+};
+
+// Returns { status, body, cookie? }; the caller sets cookie as Set-Cookie
+// `remoteAddress` is the socket's peer, used when no proxy header names the client.
+export async function handleAuthRequest({ method, query = {}, body = {}, headers = {}, remoteAddress }) {
+  const action = query.action;
+
+  if (!isAuthEnabled()) {
+    if (action === 'session') return { status: 200, body: { enabled: false, user: null } };
+    return fail(404, 'Sign-in is not turned on for this deployment.');
+  }
+
+  const store = getStore();
+  if (!store) return fail(503, 'Sign-in needs a server store. Connect a Vercel KV store.');
+
+  if (method === 'GET' && action === 'session') {
+    const user = await currentUser(store, headers);
+    return { status: 200, body: { enabled: true, user: user ? publicUser(user) : null } };
+  }
+  if (method === 'POST' && action === 'login') return login(store, body, headers, clientIp(headers, remoteAddress));
+  if (method === 'POST' && action === 'logout') return logout(store, headers);
+  if (method === 'POST' && action === 'redeem') return redeemInvite(store, body, headers);
+
+  if (action === 'people' || action === 'invite') {
+    const { user, denied } = await checkAccess(store, headers, 'people');
+    if (denied) return denied;
+    if (method === 'GET' && action === 'people') return listPeople(store);
+    if (method === 'POST' && action === 'invite') return createInvite(store, body, user);
+    if (method === 'DELETE' && action === 'people') return removePerson(store, body);
+  }
+
+  return { status: 405, body: { error: 'Method not allowed' } };
+}
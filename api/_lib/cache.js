@@ -0,0 +1,56 @@
+/**
+ * Shared Analysis Cache
+ * Shared by the Vercel functions and server.local.js. Analysis results are
+ * stored under the SHA-256 key the client computes from the document, modes,
+ * suggestion limit and prompt version, so every device signed in to this
+ * deployment can reuse a result instead of paying for it again. Entries
+ * expire after CACHE_TTL_MS. Reading needs the `claude` permission, writing
+ * `documents:write`, so reviewers can use results but not replace them.
+ *
+ * GET ?key=<sha256>      → { cachedAt, result } or 404
+ * PUT { key, result }    → { cachedAt }
+ */
+
+import { getStore } from './store.js';
+
+const entryKey = (key) => `cache:analysis:${key}`;
+const KEY_PATTERN = /^[0-9a-f]{64}$/;
+// A full exhaustive run of a long chapter is well under this
+const MAX_RESULT_BYTES = 256 * 1024;
+const CACHE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// The permission from auth.js ROLES a cache request needs
+export const cachePermission = (method) => (method === 'GET' ? 'claude' : 'documents:write');
+
+export async function handleCacheRequest({ method, query = {}, body = {} }) {
+  const store = getStore();
+  if (!store) {
+    return { status: 503, body: { error: 'The shared cache needs a server store. Connect a Vercel KV store.' } };
+  }
+
+  if (method === 'GET') {
+    if (!KEY_PATTERN.test(query.key || '')) return { status: 400, body: { error: 'key must be a SHA-256 hex digest' } };
+    const entry = await store.get(entryKey(query.key));
+    if (entry && Date.parse(entry.cachedAt) + CACHE_TTL_MS < Date.now()) {
+      await store.delete(entryKey(query.key));
+      return { status: 404, body: { error: 'Not cached' } };
+    }
+    return entry ? { status: 200, body: entry } : { status: 404, body: { error: 'Not cached' } };
+  }
+
+  if (method === 'PUT') {
+    const { key, result } = body;
+    if (!KEY_PATTERN.test(key || '')) return { status: 400, body: { error: 'key must be a SHA-256 hex digest' } };
+    if (!result || typeof result !== 'object' || !Array.isArray(result.suggestions)) {
+      return { status: 400, body: { error: 'result must include a suggestions list' } };
+    }
+    if (Buffer.byteLength(JSON.stringify(result)) > MAX_RESULT_BYTES) {
+      return { status: 413, body: { error: `result is larger than ${MAX_RESULT_BYTES / 1024} KB` } };
+    }
+    const cachedAt = new Date().toISOString();
+    await store.set(entryKey(key), { cachedAt, result });
+    return { status: 200, body: { cachedAt } };
+  }
+
+  return { status: 405, body: { error: 'Method not allowed' } };
+}
@@ -0,0 +1,222 @@
+/**
+ * Anthropic Messages API helpers shared by api/claude.js and server.local.js.
+ * With CLAUDE_PROVIDER=mock, requests go to the local mock in mock.js instead.
+ */
+
+import { isMockProvider, mockMessages } from './mock.js';
+
+const ANTHROPIC_URL = 'https://api.anthropic.com/v1/messages';
+
+const MAX_ATTEMPTS = 4;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+// One deadline covers every attempt and the waits between them, so the
+// classified error goes back before the function's 300s maxDuration is up
+const DEADLINE_MS = 270000;
+// Longest wait for one attempt's response to start
+const REQUEST_TIMEOUT_MS = 120000;
+// Don't start another attempt with less time than this left
+const MIN_ATTEMPT_MS = 15000;
+
+// Statuses worth another attempt: rate limited, overloaded, or a passing server error
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504, 529]);
+
+const ERROR_MESSAGES = {
+  auth: 'The Anthropic API key was rejected. Check ANTHROPIC_API_KEY.',
+  rate_limit: 'Claude is receiving too many requests from this key. Wait a minute and try again.',
+  overloaded: 'Claude is overloaded right now. Try again in a few minutes.',
+  timeout: 'Claude took too long to respond.',
+  bad_request: 'Claude could not process this request.',
+  server: 'The Anthropic API had a problem.',
+};
+
+export function categorizeStatus(status) {
+  if (status === 401 || status === 403) return 'auth';
+  if (status === 429) return 'rate_limit';
+  if (status === 529) return 'overloaded';
+  if (status === 408 || status === 504) return 'timeout';
+  if (status >= 400 && status < 500) return 'bad_request';
+  return 'server';
+}
+
+// retry-after is either seconds or an HTTP date
+const retryAfterMs = (response) => {
+  const header = response.headers.get('retry-after');
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Exponential backoff with full jitter, unless the API said how long to wait.
+// Null when that is longer than we are willing to hold the request open.
+const backoffMs = (attempt, response) => {
+  const requested = response ? retryAfterMs(response) : null;
+  if (requested !== null) return requested <= MAX_DELAY_MS ? requested : null;
+  return Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+};
+
+// Wait `ms`; rejects with the signal's reason if it aborts first
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(signal.reason);
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  }, { once: true });
+});
+
+const fetchOnce = async (apiKey, payload, signal, timeoutMs) => {
+  // Each attempt gets its own timeout for the response to start; the
+  // caller's signal cancels it at any point, including mid-stream
+  const attempt = new AbortController();
+  const timer = setTimeout(() => attempt.abort(new Error('timeout')), timeoutMs);
+  signal?.addEventListener('abort', () => attempt.abort(signal.reason), { once: true });
+
+  try {
+    if (isMockProvider()) return await mockMessages(payload, { signal: attempt.signal });
+    return await fetch(ANTHROPIC_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+      },
+      body: JSON.stringify(payload),
+      signal: attempt.signal,
+    });
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    const timedOut = attempt.signal.aborted;
+    const failure = new Error(timedOut ? ERROR_MESSAGES.timeout : `Could not reach the Anthropic API: ${error.message}`);
+    failure.category = timedOut ? 'timeout' : 'server';
+    failure.retryable = !timedOut;
+    throw failure;
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * POST to the Messages API, retrying rate limits, overloads and transient
+ * failures until DEADLINE_MS is used up. Resolves to the last response, which
+ * may still be an error response; rejects only if the API can't be reached,
+ * it times out or `signal` aborts.
+ */
+export async function requestMessages(apiKey, payload, { signal } = {}) {
+  const deadline = Date.now() + DEADLINE_MS;
+  // Whether waiting `delay` still leaves time for a useful attempt
+  const canRetryAfter = (delay) => delay !== null && Date.now() + delay + MIN_ATTEMPT_MS <= deadline;
+
+  for (let attempt = 0; ; attempt++) {
+    const isLastAttempt = attempt === MAX_ATTEMPTS - 1;
+    const timeoutMs = Math.min(REQUEST_TIMEOUT_MS, deadline - Date.now());
+    let response;
+    try {
+      response = await fetchOnce(apiKey, payload, signal, timeoutMs);
+    } catch (error) {
+      const delay = backoffMs(attempt);
+      if (!error.retryable || isLastAttempt || !canRetryAfter(delay)) throw error;
+      await sleep(delay, signal);
+      continue;
+    }
+
+    const delay = backoffMs(attempt, response);
+    if (response.ok || !RETRYABLE_STATUSES.has(response.status) || isLastAttempt || !canRetryAfter(delay)) {
+      return response;
+    }
+    await response.body?.cancel();
+    await sleep(delay, signal);
+  }
+}
+
+// Turn a failed upstream response into { status, body } for the client.
+// body.error is a readable message; body.category says what kind of failure.
+export async function describeUpstreamError(response) {
+  const text = await response.text();
+  let details = text;
+  try {
+    details = JSON.parse(text);
+  } catch {
+    // Not JSON; pass the text through as-is
+  }
+
+  const category = details?.error?.type === 'overloaded_error' ? 'overloaded' : categorizeStatus(response.status);
+  const upstreamMessage = details?.error?.message;
+  const retryAfter = retryAfterMs(response);
+  return {
+    status: response.status,
+    body: {
+      error: upstreamMessage ? `${ERROR_MESSAGES[category]} (${upstreamMessage})` : ERROR_MESSAGES[category],
+      category,
+      retryable: RETRYABLE_STATUSES.has(response.status),
+      ...(retryAfter !== null ? { retryAfter: Math.ceil(retryAfter / 1000) } : {}),
+      details,
+    },
+  };
+}
+
+// For failures before any response: unreachable API or timed out
+export function describeRequestError(error) {
+  const category = error.category || 'server';
+  return {
+    status: category === 'timeout' ? 504 : 502,
+    body: { error: error.message, category, retryable: true },
+  };
+}
+
+// Abort the upstream request when the browser goes away (e.g. the user
+// pressed Cancel) so we stop paying for tokens nobody will read.
+export function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  return controller;
+}
+
+// Token counts arrive in message_start (input) and message_delta (output)
+const readStreamUsage = (usage, block) => {
+  const data = block.split('\n').find(line => line.startsWith('data:'));
+  if (!data) return;
+  try {
+    const event = JSON.parse(data.slice(5));
+    if (event.type === 'message_start') Object.assign(usage, event.message?.usage);
+    if (event.type === 'message_delta') Object.assign(usage, event.usage);
+  } catch {
+    // Not an event we can read; it is still relayed untouched
+  }
+};
+
+// Relay an upstream server-sent event stream to the client as it arrives.
+// Resolves to the usage block reported by the stream, so far as it got.
+export async function relayEventStream(upstream, res, controller) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+
+  const usage = {};
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    for await (const chunk of upstream.body) {
+      res.write(chunk);
+      buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      blocks.forEach(block => readStreamUsage(usage, block));
+    }
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      // Headers are already sent, so report the failure in-band
+      const event = { type: 'error', error: { type: 'stream_error', message: error.message } };
+      res.write(`event: error\ndata: ${JSON.stringify(event)}\n\n`);
+    }
+  }
+  res.end();
+  return usage;
+}
@@ -0,0 +1,96 @@
+/**
+ * Document Sync API
+ * Shared by the Vercel function (api/documents.js) and server.local.js.
+ *
+ * GET  ?since=<serverTime>  → items changed after that time
+ * PUT  { items: [{ key, updatedAt, value | deleted }] } → newest edit per key wins
+ */
+
+import { getStore } from './store.js';
+
+const INDEX_HASH = 'documents:index';
+const itemKey = (key) => `documents:${key}`;
+
+// Only the keys the client syncs are accepted
+const SYNCED_KEY = /^wop_(documents|books|preferences|doc_[\w-]+|versions_[\w-]+|analysis_[\w-]+)$/;
+
+const validateItem = (item) => {
+  if (!item || typeof item.key !== 'string' || !SYNCED_KEY.test(item.key)) {
+    return 'each item needs a valid key';
+  }
+  if (typeof item.updatedAt !== 'number') {
+    return `${item.key}: updatedAt must be a number`;
+  }
+  if (!item.deleted && item.value === undefined) {
+    return `${item.key}: value is required unless deleted`;
+  }
+  return null;
+};
+
+const listChanges = async (store, since) => {
+  // Taken before the read: a write landing while it runs gets a later
+  // syncedAt, so the next pull picks it up
+  const serverTime = Date.now();
+  const index = await store.hgetall(INDEX_HASH);
+  const changed = Object.entries(index).filter(([, meta]) => meta.syncedAt > since);
+
+  const items = await Promise.all(changed.map(async ([key, meta]) => (
+    meta.deleted
+      ? { key, updatedAt: meta.updatedAt, deleted: true }
+      : { key, updatedAt: meta.updatedAt, value: await store.get(itemKey(key)) }
+  )));
+  return { items, serverTime };
+};
+
+// Each key is checked and written under its own lock, so of two requests
+// writing the same key at once the older edit can't land last
+const applyChanges = async (store, items) => {
+  const accepted = [];
+  const conflicts = [];
+
+  for (const item of items) {
+    await store.withLock(itemKey(item.key), async () => {
+      const existing = await store.hget(INDEX_HASH, item.key);
+      if (existing && existing.updatedAt > item.updatedAt) {
+        conflicts.push({ key: item.key, updatedAt: existing.updatedAt });
+        return;
+      }
+
+      if (item.deleted) {
+        await store.delete(itemKey(item.key));
+      } else {
+        await store.set(itemKey(item.key), item.value);
+      }
+      // syncedAt is the server's clock, so device clock skew never hides a change
+      await store.hset(INDEX_HASH, { [item.key]: { updatedAt: item.updatedAt, syncedAt: Date.now(), deleted: !!item.deleted } });
+      accepted.push(item.key);
+    });
+  }
+
+  return { accepted, conflicts, serverTime: Date.now() };
+};
+
+export async function handleDocumentsRequest({ method, query = {}, body = {} }) {
+  const store = getStore();
+  if (!store) {
+    return { status: 503, body: { error: 'Cloud sync is not configured. Connect a Vercel KV store.' } };
+  }
+
+  if (method === 'GET') {
+    const since = Number(query.since) || 0;
+    return { status: 200, body: await listChanges(store, since) };
+  }
+
+  if (method === 'PUT') {
+    if (!Array.isArray(body.items)) {
+      return { status: 400, body: { error: 'items must be an array' } };
+    }
+    const invalid = body.items.map(validateItem).find(Boolean);
+    if (invalid) {
+      return { status: 400, body: { error: `Invalid item: ${invalid}` } };
+    }
+    return { status: 200, body: await applyChanges(store, body.items) };
+  }
+
+  return { status: 405, body: { error: 'Method not allowed' } };
+}
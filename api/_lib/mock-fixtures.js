@@ -0,0 +1,69 @@
+/**
+ * Mock Provider Fixtures
+ * What the mock provider answers with. Point MOCK_FIXTURES at a JSON file of
+ * the same shape to use your own; sections left out fall back to these.
+ */
+
+export default {
+  // Document preparation: `marker` is text from the preparation system
+  // prompt; the replacements are applied in order to each section's text
+  prepare: {
+    marker: 'preparing a document for further editing',
+    replacements: [
+      { pattern: '\\bthe Mormon Church\\b', flags: 'gi', replace: 'The Church of Jesus Christ of Latter-day Saints' },
+      { pattern: '\\bthe LDS Church\\b', flags: 'gi', replace: 'The Church of Jesus Christ of Latter-day Saints' },
+      { pattern: '\\bMormons\\b', flags: 'g', replace: 'Latter-day Saints' },
+      { pattern: '\\s*\\[(\\d+)\\]', flags: 'g', replace: ' (Source $1)' },
+    ],
+  },
+
+  // Analysis: `marker` is text from the mode's prompt that shows it is active.
+  // Each suggestion replaces the start of a sentence using `template`, where
+  // {original} is the text being replaced.
+  analysis: {
+    defaultCount: 5,
+    modes: {
+      clarity: {
+        marker: 'CLARITY & ACCESSIBILITY',
+        template: 'Put simply, {original}',
+        reason: 'Mock suggestion: a plain-language lead-in helps readers new to the topic.',
+      },
+      grammar: {
+        marker: 'GRAMMAR & STYLE',
+        template: '{original}, more concisely',
+        reason: 'Mock suggestion: tightens the sentence opening.',
+      },
+      tone: {
+        marker: 'TONE CONSISTENCY',
+        template: 'Gently, {original}',
+        reason: 'Mock suggestion: softens the opening for a pastoral tone.',
+      },
+      scripture: {
+        marker: 'SCRIPTURE REFERENCES',
+        template: '{original} (see John 3:16)',
+        reason: 'Mock suggestion: adds a supporting scripture reference.',
+      },
+      terminology: {
+        marker: 'CHURCH STYLE GUIDE',
+        template: '{original} (per the Church Style Guide)',
+        reason: 'Mock suggestion: aligns terminology with the style guide.',
+      },
+    },
+  },
+
+  // Chat: the first reply whose keywords appear in the question, otherwise
+  // the default. {question} is the user's message.
+  chat: {
+    replies: [
+      {
+        keywords: ['title', 'heading'],
+        reply: 'Here are three mock title ideas: "Light and Law", "Faith Measured", and "The Patient Universe". Each pairs a scientific image with a spiritual one.',
+      },
+      {
+        keywords: ['summary', 'summarize'],
+        reply: 'Mock summary: the chapter argues that scientific inquiry and faith answer different questions, and that each can deepen the other.',
+      },
+    ],
+    defaultReply: 'This is a mock reply; no request was sent to Claude. You asked: "{question}". Set CLAUDE_PROVIDER=anthropic to talk to the real model.',
+  },
+};
@@ -0,0 +1,270 @@
+/**
+ * Mock Claude Provider
+ * Set CLAUDE_PROVIDER=mock to answer /api/claude locally, without an API key
+ * or a connection. Replies are built from the fixtures in mock-fixtures.js (or
+ * the JSON file named by MOCK_FIXTURES) and have the same shape as
+ * /v1/messages, streamed or not. The same input always gets the same reply.
+ *
+ * Requests are told apart by shape: a forced tool call is an analysis, a
+ * system prompt with the preparation marker is a preparation, anything else
+ * is chat.
+ *
+ * Directives anywhere in the prompt (the document, a chat message) simulate
+ * trouble, so a single section or message can be made to fail:
+ *
+ *   [mock:latency=2000]  wait 2 seconds before answering (default MOCK_LATENCY_MS, 400)
+ *   [mock:error=529]     answer with that HTTP status; [mock:error=529x2] fails
+ *                        only the first two attempts at the same request
+ *   [mock:malformed]     analysis skips the tool and replies with broken JSON
+ *   [mock:invalid]       analysis includes suggestions that fail validation
+ *   [mock:truncated]     stop as if max_tokens ran out
+ *   [mock:drop]          break off part-way (an error event when streaming)
+ */
+
+import crypto from 'crypto';
+import { readFileSync } from 'fs';
+import defaultFixtures from './mock-fixtures.js';
+import { sleep } from './claude.js';
+
+const DEFAULT_LATENCY_MS = 400;
+const STREAM_DELAY_MS = 20;
+const WORDS_PER_DELTA = 12;
+
+// Anthropic's error type for each status
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  413: 'request_too_large',
+  429: 'rate_limit_error',
+  500: 'api_error',
+  529: 'overloaded_error',
+};
+
+export const isMockProvider = () => process.env.CLAUDE_PROVIDER === 'mock';
+
+let fixtures;
+const loadFixtures = () => {
+  if (!fixtures) {
+    const custom = process.env.MOCK_FIXTURES ? JSON.parse(readFileSync(process.env.MOCK_FIXTURES, 'utf8')) : {};
+    fixtures = { ...defaultFixtures, ...custom };
+  }
+  return fixtures;
+};
+
+// Attempts seen per request, for [mock:error=...xN]. Only the most recent
+// requests are remembered, so a long-running server doesn't grow without bound.
+const MAX_TRACKED_REQUESTS = 500;
+const attempts = new Map();
+
+const countAttempt = (id) => {
+  const attempt = (attempts.get(id) || 0) + 1;
+  attempts.delete(id);
+  attempts.set(id, attempt);
+  if (attempts.size > MAX_TRACKED_REQUESTS) attempts.delete(attempts.keys().next().value);
+  return attempt;
+};
+
+const textOf = (content) =>
+  (typeof content === 'string' ? content : (content || []).map(block => block.text || '').join('\n\n'));
+
+const lastMessageText = (payload, { firstBlock = false } = {}) => {
+  const { content } = payload.messages[payload.messages.length - 1];
+  return firstBlock && Array.isArray(content) ? content[0].text : textOf(content);
+};
+
+// Same payload, same id; also keys the attempt counts
+const requestId = (payload) => crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex').slice(0, 16);
+
+const promptText = (payload) =>
+  [textOf(payload.system), ...payload.messages.map(message => textOf(message.content))].join('\n\n');
+
+const readDirectives = (text) => {
+  const directives = {};
+  for (const [, name, value] of text.matchAll(/\[mock:(\w+)(?:=([\w.]+))?\]/g)) {
+    directives[name] = value ?? true;
+  }
+  return directives;
+};
+
+// The text a request works on: what follows the instruction line
+const bodyAfterInstruction = (text) => {
+  const split = text.indexOf('\n\n');
+  return split === -1 ? text : text.slice(split + 2);
+};
+
+const estimateTokens = (text) => Math.max(1, Math.ceil(text.length / 4));
+
+const errorResponse = (status) => {
+  const type = ERROR_TYPES[status] || 'api_error';
+  return new Response(JSON.stringify({ type: 'error', error: { type, message: `Mock ${status} (${type})` } }), {
+    status,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(status === 429 ? { 'retry-after': '1' } : {}),
+    },
+  });
+};
+
+const prepareReply = (payload) =>
+  loadFixtures().prepare.replacements.reduce(
+    (text, { pattern, flags, replace }) => text.replace(new RegExp(pattern, flags), replace),
+    bodyAfterInstruction(lastMessageText(payload))
+  );
+
+const chatReply = (payload) => {
+  const question = lastMessageText(payload);
+  const { replies, defaultReply } = loadFixtures().chat;
+  const match = replies.find(({ keywords }) => keywords.some(word => question.toLowerCase().includes(word)));
+  return (match?.reply || defaultReply).replace('{question}', question);
+};
+
+// One suggestion per sentence, spread evenly through the text, replacing the
+// sentence's first few words so "original" is always found
+const mockSuggestions = (payload, text, prompt) => {
+  const { defaultCount, modes } = loadFixtures().analysis;
+  const requested = prompt.match(/Return approximately (\d+)/);
+  const count = requested ? Number(requested[1]) : defaultCount;
+  const allowedModes = payload.tools[0]?.input_schema?.properties?.suggestions?.items?.properties?.mode?.enum || [];
+  const active = allowedModes.filter(id => modes[id] && prompt.includes(modes[id].marker));
+  const modeIds = active.length > 0 ? active : allowedModes.slice(0, 1);
+
+  const openings = [...text.matchAll(/(?:^|[.!?]\s+)([A-Z][^\s.!?]*(?:[ \t]+[^\s.!?]+){0,5})/g)].map(match => match[1]);
+  const step = Math.max(1, openings.length / Math.max(count, 1));
+  const picks = [];
+  for (let i = 0; picks.length < count && Math.floor(i * step) < openings.length; i++) {
+    picks.push(openings[Math.floor(i * step)]);
+  }
+
+  return picks.map((original, idx) => {
+    const mode = modeIds[idx % modeIds.length];
+    const fixture = modes[mode] || { template: '{original}', reason: 'Mock suggestion.' };
+    return { original, suggestion: fixture.template.replace('{original}', original), reason: fixture.reason, mode };
+  });
+};
+
+const analysisContent = (payload, directives, prompt) => {
+  // The section comes first; mode instructions follow in a later block
+  const section = bodyAfterInstruction(lastMessageText(payload, { firstBlock: true }));
+  let suggestions = mockSuggestions(payload, section, prompt);
+
+  if (directives.malformed) {
+    // Free text instead of a tool call, with one object cut off mid-way
+    const [first] = suggestions;
+    return [{
+      type: 'text',
+      text: `Here are my suggestions:\n${JSON.stringify(first || {})}\n{"original": "${first?.original || ''}", "suggestion": }`,
+    }];
+  }
+  if (directives.invalid) {
+    const mode = suggestions[0]?.mode || 'clarity';
+    suggestions = [
+      ...suggestions,
+      { original: 'Text that is not in the document', suggestion: 'Anything', reason: 'Mock: original not found.', mode },
+      { original: suggestions[0]?.original || 'x', suggestion: 'Missing reason', mode },
+      { original: suggestions[0]?.original || 'x', suggestion: 'Unknown mode', reason: 'Mock: bad mode.', mode: 'poetry' },
+    ];
+  }
+  if (directives.truncated) {
+    suggestions = suggestions.slice(0, Math.ceil(suggestions.length / 2));
+  }
+
+  return [{
+    type: 'tool_use',
+    id: `toolu_mock_${requestId(payload)}`,
+    name: payload.tool_choice?.name || payload.tools[0].name,
+    input: { suggestions },
+  }];
+};
+
+const isPreparation = (payload) => textOf(payload.system).includes(loadFixtures().prepare.marker);
+
+// Server-sent events in the order the Messages API sends them
+const streamEvents = (message, text, directives) => {
+  const words = text.split(/(?<=\s)/);
+  const deltas = [];
+  for (let i = 0; i < words.length; i += WORDS_PER_DELTA) {
+    deltas.push(words.slice(i, i + WORDS_PER_DELTA).join(''));
+  }
+  const cutAt = directives.drop || directives.truncated ? Math.ceil(deltas.length / 2) : deltas.length;
+  const sent = deltas.slice(0, cutAt);
+
+  const events = [
+    ['message_start', { type: 'message_start', message: { ...message, content: [], stop_reason: null, usage: { ...message.usage, output_tokens: 1 } } }],
+    ['content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } }],
+    ...sent.map(delta => ['content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: delta } }]),
+  ];
+  if (directives.drop) {
+    return [...events, ['error', { type: 'error', error: { type: 'overloaded_error', message: 'Mock stream dropped part-way' } }]];
+  }
+  return [
+    ...events,
+    ['content_block_stop', { type: 'content_block_stop', index: 0 }],
+    ['message_delta', {
+      type: 'message_delta',
+      delta: { stop_reason: directives.truncated ? 'max_tokens' : 'end_turn', stop_sequence: null },
+      usage: { output_tokens: estimateTokens(sent.join('')) },
+    }],
+    ['message_stop', { type: 'message_stop' }],
+  ];
+};
+
+const streamResponse = (events, signal) => {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    async start(controller) {
+      try {
+        for (const [name, data] of events) {
+          controller.enqueue(encoder.encode(`event: ${name}\ndata: ${JSON.stringify(data)}\n\n`));
+          await sleep(STREAM_DELAY_MS, signal);
+        }
+        controller.close();
+      } catch (error) {
+        controller.error(error);
+      }
+    },
+  });
+  return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+};
+
+/**
+ * Stand-in for fetch() to the Messages API. Resolves to a Response like the
+ * real one; rejects when `signal` aborts or on [mock:drop] without streaming.
+ */
+export async function mockMessages(payload, { signal } = {}) {
+  const prompt = promptText(payload);
+  const directives = readDirectives(prompt);
+  const id = requestId(payload);
+
+  await sleep(Number(directives.latency ?? process.env.MOCK_LATENCY_MS ?? DEFAULT_LATENCY_MS), signal);
+
+  if (directives.error) {
+    const [, status, times] = String(directives.error).match(/^(\d{3})(?:x(\d+))?$/) || [];
+    const attempt = countAttempt(id);
+    if (status && (!times || attempt <= Number(times))) return errorResponse(Number(status));
+  }
+
+  const isAnalysis = payload.tool_choice?.type === 'tool' || payload.tool_choice?.type === 'any';
+  if (directives.drop && !payload.stream) {
+    throw new Error('Mock connection dropped');
+  }
+
+  const text = isAnalysis ? '' : isPreparation(payload) ? prepareReply(payload) : chatReply(payload);
+  const content = isAnalysis ? analysisContent(payload, directives, prompt) : [{ type: 'text', text }];
+  const message = {
+    id: `msg_mock_${id}`,
+    type: 'message',
+    role: 'assistant',
+    model: payload.model,
+    content,
+    stop_reason: directives.truncated ? 'max_tokens' : isAnalysis && !directives.malformed ? 'tool_use' : 'end_turn',
+    stop_sequence: null,
+    usage: { input_tokens: estimateTokens(prompt), output_tokens: estimateTokens(JSON.stringify(content)) },
+  };
+
+  if (payload.stream && !isAnalysis) {
+    return streamResponse(streamEvents(message, text, directives), signal);
+  }
+  return new Response(JSON.stringify(message), { status: 200, headers: { 'Content-Type': 'application/json' } });
+}
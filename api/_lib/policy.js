@@ -0,0 +1,148 @@
+/**
+ * Claude Request Policy
+ * Shared by api/claude.js and server.local.js. Limits what the browser can
+ * ask for with our API key: which models, how many tokens, and how large and
+ * well-formed the request must be. Anything else is rejected with a 400.
+ *
+ * `system` and message content may be lists of text blocks, so the client can
+ * mark a stable prefix (author profile, instructions, document body) with
+ * cache_control for prompt caching.
+ */
+
+import { validateUsageMeta } from './usage.js';
+
+export const DEFAULT_MODEL = 'claude-sonnet-4-5-20250929';
+export const ALLOWED_MODELS = ['claude-sonnet-4-5-20250929', 'claude-sonnet-4-20250514'];
+
+export const DEFAULT_MAX_TOKENS = 4000;
+// Preparing a full section returns the whole rewritten text
+export const MAX_TOKENS_CAP = 8000;
+
+// Ten turns of chat history, or a 1,500-word section plus its prompt, fit well within these.
+// Chat carries the document in its system prompt, cached after the first turn.
+export const MAX_PAYLOAD_BYTES = 512 * 1024;
+export const MAX_SYSTEM_CHARS = 80000;
+export const MAX_MESSAGES = 40;
+export const MAX_TOOLS = 4;
+// The Messages API allows at most four cache breakpoints per request
+export const MAX_CACHE_BREAKPOINTS = 4;
+
+const ROLES = ['user', 'assistant'];
+
+const isTextBlock = (block) =>
+  block?.type === 'text' && typeof block.text === 'string'
+  && (block.cache_control === undefined || block.cache_control?.type === 'ephemeral');
+
+const validateContent = (content, where) => {
+  if (typeof content === 'string') {
+    return content.trim() ? null : `${where} content is empty`;
+  }
+  if (!Array.isArray(content) || content.length === 0) {
+    return `${where} content must be a string or a list of text blocks`;
+  }
+  const invalid = content.findIndex(block => !isTextBlock(block));
+  return invalid === -1
+    ? null
+    : `${where} content block ${invalid + 1} must be { type: "text", text, cache_control?: { type: "ephemeral" } }`;
+};
+
+const blocksOf = (content) => (Array.isArray(content) ? content : []);
+
+// How many blocks in a request are marked for prompt caching
+export const countCacheBreakpoints = (body) =>
+  [...blocksOf(body.system), ...(body.messages || []).flatMap(message => blocksOf(message?.content))]
+    .filter(block => block?.cache_control).length;
+
+const validateTools = (tools, toolChoice) => {
+  if (!Array.isArray(tools) || tools.length === 0 || tools.length > MAX_TOOLS) {
+    return `tools must be a list of 1 to ${MAX_TOOLS} tools`;
+  }
+  for (const tool of tools) {
+    if (typeof tool?.name !== 'string' || !tool.input_schema || typeof tool.input_schema !== 'object') {
+      return 'each tool needs a name and an input_schema';
+    }
+  }
+  if (toolChoice !== undefined) {
+    const known = toolChoice?.type === 'auto' || toolChoice?.type === 'any'
+      || (toolChoice?.type === 'tool' && tools.some(tool => tool.name === toolChoice.name));
+    if (!known) return 'tool_choice must be auto, any, or one of the listed tools';
+  }
+  return null;
+};
+
+// Returns a description of the first problem, or null if the request is allowed
+export function validateClaudeRequest(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return 'request body must be a JSON object';
+  }
+
+  const size = Buffer.byteLength(JSON.stringify(body));
+  if (size > MAX_PAYLOAD_BYTES) {
+    return `request is ${Math.round(size / 1024)} KB; the limit is ${MAX_PAYLOAD_BYTES / 1024} KB`;
+  }
+
+  if (body.model !== undefined && !ALLOWED_MODELS.includes(body.model)) {
+    return `model "${body.model}" is not allowed (use one of ${ALLOWED_MODELS.join(', ')})`;
+  }
+
+  if (body.max_tokens !== undefined
+    && (!Number.isInteger(body.max_tokens) || body.max_tokens < 1 || body.max_tokens > MAX_TOKENS_CAP)) {
+    return `max_tokens must be a whole number from 1 to ${MAX_TOKENS_CAP}`;
+  }
+
+  if (body.system !== undefined) {
+    if (typeof body.system !== 'string') {
+      const problem = validateContent(body.system, 'system');
+      if (problem) return problem;
+    }
+    const length = typeof body.system === 'string'
+      ? body.system.length
+      : body.system.reduce((sum, block) => sum + block.text.length, 0);
+    if (length > MAX_SYSTEM_CHARS) return `system prompt is longer than ${MAX_SYSTEM_CHARS} characters`;
+  }
+
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    return 'messages must be a non-empty list';
+  }
+  if (body.messages.length > MAX_MESSAGES) {
+    return `at most ${MAX_MESSAGES} messages are allowed`;
+  }
+  for (const [idx, message] of body.messages.entries()) {
+    const where = `message ${idx + 1}`;
+    if (!ROLES.includes(message?.role)) return `${where} role must be "user" or "assistant"`;
+    const problem = validateContent(message.content, where);
+    if (problem) return problem;
+  }
+
+  if (body.stream !== undefined && typeof body.stream !== 'boolean') {
+    return 'stream must be true or false';
+  }
+
+  if (body.tools !== undefined) {
+    const problem = validateTools(body.tools, body.tool_choice);
+    if (problem) return problem;
+  } else if (body.tool_choice !== undefined) {
+    return 'tool_choice needs tools';
+  }
+
+  if (countCacheBreakpoints(body) > MAX_CACHE_BREAKPOINTS) {
+    return `at most ${MAX_CACHE_BREAKPOINTS} blocks can be marked with cache_control`;
+  }
+
+  return validateUsageMeta(body.meta);
+}
+
+// The Messages API payload for an allowed request. Only known fields are
+// forwarded, with server-side defaults filled in; meta is only for our usage log.
+export function toMessagesPayload(body) {
+  return {
+    model: body.model || DEFAULT_MODEL,
+    max_tokens: body.max_tokens || DEFAULT_MAX_TOKENS,
+    system: body.system || '',
+    messages: body.messages,
+    ...(body.tools ? { tools: body.tools, tool_choice: body.tool_choice } : {}),
+    ...(body.stream ? { stream: true } : {}),
+  };
+}
+
+export const policyError = (problem) => ({ error: `Invalid request: ${problem}`, category: 'bad_request' });
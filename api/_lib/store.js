@@ -0,0 +1,162 @@
+/**
+ * Server-side Key-Value Store
+ * Uses Vercel KV when its REST credentials are set, otherwise JSON files on
+ * disk (local development and self-hosting). Every store exposes the same
+ * async interface: get/set/delete for values, hget/hgetall/hset for hashes,
+ * and withLock(name, task) to run a read-modify-write without another
+ * request for the same name interleaving.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomBytes } from 'crypto';
+
+// How long a lock is held at most, and how long to wait for one
+const LOCK_TTL_MS = 10000;
+const LOCK_WAIT_MS = 5000;
+const LOCK_RETRY_MS = 50;
+
+export function createFileStore(dir) {
+  const fileFor = (key) => path.join(dir, `${encodeURIComponent(key)}.json`);
+
+  const readFile = async (file, fallback) => {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return fallback;
+      throw e;
+    }
+  };
+
+  // Write to a temp file and rename so a crash never leaves half a file. Each
+  // write gets its own temp name, so overlapping writes to a key can't clash.
+  const writeFile = async (file, value) => {
+    await fs.mkdir(dir, { recursive: true });
+    const tmp = `${file}.${process.pid}.${randomBytes(6).toString('hex')}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(value));
+    await fs.rename(tmp, file);
+  };
+
+  // Hash updates are read-modify-write, so run them one at a time
+  let queue = Promise.resolve();
+  const serialize = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  // One process owns the directory, so in-memory queues are enough
+  const locks = new Map();
+  const withLock = (name, task) => {
+    const run = (locks.get(name) || Promise.resolve()).then(task);
+    const settled = run.catch(() => {});
+    locks.set(name, settled);
+    settled.then(() => {
+      if (locks.get(name) === settled) locks.delete(name);
+    });
+    return run;
+  };
+
+  return {
+    name: 'file',
+    get: (key) => readFile(fileFor(key), null),
+    set: (key, value) => writeFile(fileFor(key), value),
+    delete: (key) => fs.rm(fileFor(key), { force: true }),
+    hget: async (hash, field) => (await readFile(fileFor(hash), {}))[field] ?? null,
+    hgetall: (hash) => readFile(fileFor(hash), {}),
+    hset: (hash, fields) => serialize(async () => {
+      const existing = await readFile(fileFor(hash), {});
+      await writeFile(fileFor(hash), { ...existing, ...fields });
+    }),
+    withLock,
+  };
+}
+
+export function createKVStore({ url, token, prefix = 'wop:' }) {
+  const command = async (...args) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${token}`,
+      },
+      body: JSON.stringify(args),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.error) {
+      throw new Error(`KV error: ${data.error || response.status}`);
+    }
+    return data.result;
+  };
+
+  return {
+    name: 'kv',
+
+    async get(key) {
+      const raw = await command('GET', prefix + key);
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    set: (key, value) => command('SET', prefix + key, JSON.stringify(value)),
+
+    delete: (key) => command('DEL', prefix + key),
+
+    async hget(hash, field) {
+      const raw = await command('HGET', prefix + hash, field);
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    // The REST API returns hashes as a flat [field, value, field, value] list
+    async hgetall(hash) {
+      const flat = (await command('HGETALL', prefix + hash)) || [];
+      const fields = {};
+      for (let i = 0; i < flat.length; i += 2) {
+        fields[flat[i]] = JSON.parse(flat[i + 1]);
+      }
+      return fields;
+    },
+
+    async hset(hash, fields) {
+      const args = Object.entries(fields).flatMap(([field, value]) => [field, JSON.stringify(value)]);
+      if (args.length > 0) await command('HSET', prefix + hash, ...args);
+    },
+
+    // Serverless instances share nothing but KV, so the lock lives there: a
+    // key set only if absent, expiring in case its holder dies, and deleted
+    // only by the holder
+    async withLock(name, task) {
+      const key = `${prefix}lock:${name}`;
+      const token = randomBytes(12).toString('hex');
+      const deadline = Date.now() + LOCK_WAIT_MS;
+      while ((await command('SET', key, token, 'NX', 'PX', LOCK_TTL_MS)) !== 'OK') {
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${name}; try again`);
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+      }
+      try {
+        return await task();
+      } finally {
+        await command('EVAL', "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) else return 0 end", 1, key, token);
+      }
+    },
+  };
+}
+
+let store;
+
+// Returns null when no store is usable (e.g. on Vercel without KV connected)
+export function getStore() {
+  if (store !== undefined) return store;
+
+  if (process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN) {
+    store = createKVStore({
+      url: process.env.KV_REST_API_URL,
+      token: process.env.KV_REST_API_TOKEN,
+    });
+  } else if (process.env.VERCEL) {
+    // Serverless file systems are read-only and not shared between instances
+    store = null;
+  } else {
+    store = createFileStore(path.resolve(process.env.DATA_DIR || '.data'));
+  }
+  return store;
+}
@@ -0,0 +1,227 @@
+/**
+ * Token Usage and Budget
+ * Shared by the Claude proxy entry points and /api/usage. Each Claude request
+ * is logged to a per-month hash in the server store with its token counts and
+ * the operation and document the client tagged it with. Totals and estimated
+ * cost are worked out when read. An optional monthly budget either warns or
+ * blocks further requests once it is spent.
+ *
+ * Requests that mark a prompt prefix for caching are logged as a cache hit
+ * (part of the prompt was read from cache) or miss, with what the cache saved.
+ *
+ * GET ?month=YYYY-MM → { month, totals, byDay, byDocument, byOperation, budget }
+ * PUT { monthlyLimit, action: 'warn' | 'block' } (monthlyLimit null clears it)
+ */
+
+import crypto from 'crypto';
+import { getStore } from './store.js';
+import { isMockProvider } from './mock.js';
+
+const BUDGET_KEY = 'usage:budget';
+const monthHash = (month) => `usage:${month}`;
+
+export const OPERATIONS = ['prepare', 'analyze', 'chat'];
+export const BUDGET_ACTIONS = ['warn', 'block'];
+// Share of the budget at which responses start carrying a warning
+const WARNING_SHARE = 0.8;
+
+// USD per million tokens
+export const MODEL_PRICING = {
+  'claude-sonnet-4-5-20250929': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  'claude-sonnet-4-20250514': { input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  // Replies from the mock provider are free but still counted
+  mock: { input: 0, output: 0, cacheWrite: 0, cacheRead: 0 },
+};
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+export function estimateCost(model, usage) {
+  const price = MODEL_PRICING[model] || MODEL_PRICING['claude-sonnet-4-5-20250929'];
+  return (
+    (usage.input_tokens || 0) * price.input
+    + (usage.output_tokens || 0) * price.output
+    + (usage.cache_creation_input_tokens || 0) * price.cacheWrite
+    + (usage.cache_read_input_tokens || 0) * price.cacheRead
+  ) / 1e6;
+}
+
+// Returns a problem with the client's usage tags, or null
+export function validateUsageMeta(meta) {
+  if (meta === undefined) return null;
+  if (!meta || typeof meta !== 'object') return 'meta must be an object';
+  if (!OPERATIONS.includes(meta.operation)) return `meta.operation must be one of ${OPERATIONS.join(', ')}`;
+  if (meta.documentId !== undefined && (typeof meta.documentId !== 'string' || meta.documentId.length > 100)) {
+    return 'meta.documentId must be a short string';
+  }
+  if (meta.modes !== undefined
+    && (!Array.isArray(meta.modes) || meta.modes.length > 10 || meta.modes.some(mode => typeof mode !== 'string'))) {
+    return 'meta.modes must be a list of mode ids';
+  }
+  return null;
+}
+
+// Net saving from cache reads at a tenth of the input price, less the
+// premium paid for writing the prefix to the cache
+export function estimateCacheSavings(model, usage) {
+  const price = MODEL_PRICING[model] || MODEL_PRICING['claude-sonnet-4-5-20250929'];
+  return (
+    (usage.cache_read_input_tokens || 0) * (price.input - price.cacheRead)
+    - (usage.cache_creation_input_tokens || 0) * (price.cacheWrite - price.input)
+  ) / 1e6;
+}
+
+// 'hit' or 'miss' for requests that asked for prompt caching, otherwise 'off'
+export const cacheResult = (usage, cacheRequested) => {
+  if (!cacheRequested) return 'off';
+  return usage?.cache_read_input_tokens > 0 ? 'hit' : 'miss';
+};
+
+// Log one request; does nothing without a store or any tokens to count.
+// Failures are only logged, since the response has already been paid for.
+export async function recordUsage({ model: requestedModel, usage, meta = {}, cacheRequested = false }) {
+  if (!(usage?.input_tokens || usage?.output_tokens)) return;
+  const model = isMockProvider() ? 'mock' : requestedModel;
+  const cache = cacheResult(usage, cacheRequested);
+
+  const store = getStore();
+  if (!store) return;
+
+  const entry = {
+    at: Date.now(),
+    model,
+    operation: meta.operation || 'other',
+    documentId: meta.documentId || null,
+    modes: meta.modes || [],
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheWriteTokens: usage.cache_creation_input_tokens || 0,
+    cacheReadTokens: usage.cache_read_input_tokens || 0,
+    cost: estimateCost(model, usage),
+    cache,
+    cacheSavings: estimateCacheSavings(model, usage),
+  };
+  const id = `${entry.at}-${crypto.randomBytes(4).toString('hex')}`;
+  try {
+    await store.hset(monthHash(currentMonth()), { [id]: entry });
+  } catch (error) {
+    console.error('Could not record usage:', error);
+  }
+}
+
+const emptyTotals = () => ({
+  requests: 0, inputTokens: 0, outputTokens: 0, cacheWriteTokens: 0, cacheReadTokens: 0, cost: 0,
+  cacheHits: 0, cacheMisses: 0, cacheSavings: 0,
+});
+
+const addTo = (totals, entry, share = 1) => {
+  totals.requests += share;
+  totals.inputTokens += entry.inputTokens * share;
+  totals.outputTokens += entry.outputTokens * share;
+  totals.cacheWriteTokens += (entry.cacheWriteTokens || 0) * share;
+  totals.cacheReadTokens += (entry.cacheReadTokens || 0) * share;
+  totals.cost += entry.cost * share;
+  // Entries from before prompt caching have no cache fields
+  if (entry.cache === 'hit') totals.cacheHits += share;
+  if (entry.cache === 'miss') totals.cacheMisses += share;
+  totals.cacheSavings += (entry.cacheSavings || 0) * share;
+};
+
+const groupInto = (groups, key, entry, share) => {
+  if (!groups.has(key)) groups.set(key, { key, ...emptyTotals() });
+  addTo(groups.get(key), entry, share);
+};
+
+const summarize = (entries) => {
+  const totals = emptyTotals();
+  const byDay = new Map();
+  const byDocument = new Map();
+  const byOperation = new Map();
+
+  for (const entry of entries) {
+    addTo(totals, entry);
+    groupInto(byDay, new Date(entry.at).toISOString().slice(0, 10), entry, 1);
+    groupInto(byDocument, entry.documentId || 'none', entry, 1);
+    // An analysis covering several modes is split evenly between them
+    if (entry.operation === 'analyze' && entry.modes.length > 0) {
+      entry.modes.forEach(mode => groupInto(byOperation, `analyze:${mode}`, entry, 1 / entry.modes.length));
+    } else {
+      groupInto(byOperation, entry.operation, entry, 1);
+    }
+  }
+
+  const sorted = (groups, compare) => [...groups.values()].sort(compare);
+  return {
+    totals,
+    byDay: sorted(byDay, (a, b) => a.key.localeCompare(b.key)),
+    byDocument: sorted(byDocument, (a, b) => b.cost - a.cost),
+    byOperation: sorted(byOperation, (a, b) => b.cost - a.cost),
+  };
+};
+
+const monthSpend = async (store) => {
+  const entries = Object.values(await store.hgetall(monthHash(currentMonth())));
+  return entries.reduce((sum, entry) => sum + entry.cost, 0);
+};
+
+/**
+ * Where this month's spending stands against the budget:
+ * { state: 'none' | 'ok' | 'warning' | 'exceeded', spent, monthlyLimit, action }
+ */
+export async function checkBudget() {
+  const store = getStore();
+  let budget, spent;
+  try {
+    budget = store ? await store.get(BUDGET_KEY) : null;
+    if (!budget?.monthlyLimit) return { state: 'none' };
+    spent = await monthSpend(store);
+  } catch (error) {
+    // An unreadable store shouldn't take Claude down with it
+    console.error('Could not check the usage budget:', error);
+    return { state: 'none' };
+  }
+
+  const state = spent >= budget.monthlyLimit ? 'exceeded'
+    : spent >= budget.monthlyLimit * WARNING_SHARE ? 'warning'
+    : 'ok';
+  return { state, spent, monthlyLimit: budget.monthlyLimit, action: budget.action };
+}
+
+// The error body for a request refused by a 'block' budget
+export const budgetError = ({ spent, monthlyLimit }) => ({
+  error: `This month's budget of $${monthlyLimit.toFixed(2)} is used up ($${spent.toFixed(2)} spent). Raise it under Usage to keep going.`,
+  category: 'budget',
+});
+
+export async function handleUsageRequest({ method, query = {}, body = {} }) {
+  const store = getStore();
+  if (!store) {
+    return { status: 503, body: { error: 'Usage tracking needs a server store. Connect a Vercel KV store.' } };
+  }
+
+  if (method === 'GET') {
+    const month = /^\d{4}-\d{2}$/.test(query.month || '') ? query.month : currentMonth();
+    const entries = Object.values(await store.hgetall(monthHash(month)));
+    return {
+      status: 200,
+      body: { month, ...summarize(entries), budget: await checkBudget() },
+    };
+  }
+
+  if (method === 'PUT') {
+    const { monthlyLimit, action = 'warn' } = body;
+    if (monthlyLimit !== null && (typeof monthlyLimit !== 'number' || !(monthlyLimit > 0))) {
+      return { status: 400, body: { error: 'monthlyLimit must be a positive number of dollars, or null' } };
+    }
+    if (!BUDGET_ACTIONS.includes(action)) {
+      return { status: 400, body: { error: `action must be one of ${BUDGET_ACTIONS.join(', ')}` } };
+    }
+    if (monthlyLimit === null) {
+      await store.delete(BUDGET_KEY);
+    } else {
+      await store.set(BUDGET_KEY, { monthlyLimit, action });
+    }
+    return { status: 200, body: { budget: await checkBudget() } };
+  }
+
+  return { status: 405, body: { error: 'Method not allowed' } };
+}
@@ -0,0 +1,18 @@
+import { handleAuthRequest } from './_lib/auth.js';
+
+export default async function handler(req, res) {
+  try {
+    const { status, body, cookie } = await handleAuthRequest({
+      method: req.method,
+      query: req.query,
+      body: req.body,
+      headers: req.headers,
+      remoteAddress: req.socket?.remoteAddress,
+    });
+    if (cookie) res.setHeader('Set-Cookie', cookie);
+    return res.status(status).json(body);
+  } catch (error) {
+    console.error('Auth API Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -0,0 +1,21 @@
+import { handleCacheRequest, cachePermission } from './_lib/cache.js';
+import { authorize } from './_lib/auth.js';
+
+export default async function handler(req, res) {
+  try {
+    const denied = await authorize(req.headers, cachePermission(req.method));
+    if (denied) {
+      return res.status(denied.status).json(denied.body);
+    }
+
+    const { status, body } = await handleCacheRequest({
+      method: req.method,
+      query: req.query,
+      body: req.body,
+    });
+    return res.status(status).json(body);
+  } catch (error) {
+    console.error('Cache API Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
@@ -1,3 +1,9 @@
+import { requestMessages, abortOnDisconnect, relayEventStream, describeUpstreamError, describeRequestError } from './_lib/claude.js';
+import { validateClaudeRequest, toMessagesPayload, policyError, countCacheBreakpoints } from './_lib/policy.js';
+import { authorize } from './_lib/auth.js';
+import { checkBudget, budgetError, recordUsage, cacheResult } from './_lib/usage.js';
+import { isMockProvider } from './_lib/mock.js';
+
 export const config = {
   maxDuration: 300,
 };
@@ -7,39 +13,59 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) {
-    return res.status(500).json({ error: 'API key not configured' });
-  }
+  const controller = abortOnDisconnect(res);
 
   try {
+    // Sign-in and budget both read the server store, which can fail
+    const denied = await authorize(req.headers, 'claude');
+    if (denied) {
+      return res.status(denied.status).json(denied.body);
+    }
+
+    const apiKey = process.env.ANTHROPIC_API_KEY;
+    if (!apiKey && !isMockProvider()) {
+      return res.status(500).json({ error: 'API key not configured' });
+    }
+
     const body = req.body;
+    const problem = validateClaudeRequest(body);
+    if (problem) {
+      return res.status(400).json(policyError(problem));
+    }
+
+    const budget = await checkBudget();
+    if (budget.state === 'exceeded' && budget.action === 'block') {
+      return res.status(402).json(budgetError(budget));
+    }
+    if (budget.state === 'warning' || budget.state === 'exceeded') {
+      res.setHeader('X-Usage-Budget', budget.state);
+    }
 
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-      },
-      body: JSON.stringify({
-        model: body.model || 'claude-sonnet-4-5-20250929',
-        max_tokens: body.max_tokens || 4000,
-        system: body.system || '',
-        messages: body.messages,
-      }),
-    });
+    const payload = toMessagesPayload(body);
+    const cacheRequested = countCacheBreakpoints(body) > 0;
+    const record = (usage) => recordUsage({ model: payload.model, usage, meta: body.meta, cacheRequested });
+    const response = await requestMessages(apiKey, payload, { signal: controller.signal });
 
     if (!response.ok) {
-      const errorText = await response.text();
-      return res.status(response.status).json({ error: errorText });
+      const { status, body: errorBody } = await describeUpstreamError(response);
+      return res.status(status).json(errorBody);
+    }
+
+    if (body.stream) {
+      return record(await relayEventStream(response, res, controller));
     }
 
     const data = await response.json();
+    await record(data.usage);
+    res.setHeader('X-Prompt-Cache', cacheResult(data.usage, cacheRequested));
     return res.status(200).json(data);
 
   } catch (error) {
+    if (controller.signal.aborted) return;
     console.error('API Error:', error);
-    return res.status(500).json({ error: error.message });
+    // Only failures reaching the API are categorized; anything else is ours
+    if (!error.category) return res.status(500).json({ error: error.message });
+    const { status, body: errorBody } = describeRequestError(error);
+    return res.status(status).json(errorBody);
   }
 }
@@ -0,0 +1,21 @@
+import { handleUsageRequest } from './_lib/usage.js';
+import { authorize } from './_lib/auth.js';
+
+export default async function handler(req, res) {
+  try {
+    const denied = await authorize(req.headers, 'usage');
+    if (denied) {
+      return res.status(denied.status).json(denied.body);
+    }
+
+    const { status, body } = await handleUsageRequest({
+      method: req.method,
+      query: req.query,
+      body: req.body,
+    });
+    return res.status(status).json(body);
+  } catch (error) {
+    console.error('Usage API Error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+}
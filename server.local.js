@@ -9,6 +9,13 @@
 import express from 'express';
 import cors from 'cors';
 import { config } from 'dotenv';
+import { handleDocumentsRequest } from './api/_lib/documents.js';
+import { handleCacheRequest, cachePermission } from './api/_lib/cache.js';
+import { handleAuthRequest, authorize } from './api/_lib/auth.js';
+import { requestMessages, abortOnDisconnect, relayEventStream, describeUpstreamError, describeRequestError } from './api/_lib/claude.js';
+import { validateClaudeRequest, toMessagesPayload, policyError, countCacheBreakpoints } from './api/_lib/policy.js';
+import { checkBudget, budgetError, recordUsage, handleUsageRequest, cacheResult } from './api/_lib/usage.js';
+import { isMockProvider } from './api/_lib/mock.js';
 
 config(); // Load .env file
 
@@ -16,47 +23,134 @@ const app = express();
 const PORT = 3001;
 
 app.use(cors());
-app.use(express.json());
+// Synced documents carry full version history, so allow larger bodies
+app.use(express.json({ limit: '10mb' }));
+
+// Same checks as the Vercel functions; a no-op unless AUTH_OWNER_PASSWORD is set
+const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    const denied = await authorize(req.headers, typeof permission === 'function' ? permission(req) : permission);
+    if (denied) return res.status(denied.status).json(denied.body);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Sign-in, sessions and invites
+app.all('/api/auth', async (req, res) => {
+  try {
+    const { status, body, cookie } = await handleAuthRequest({
+      method: req.method,
+      query: req.query,
+      body: req.body,
+      headers: req.headers,
+      remoteAddress: req.socket?.remoteAddress,
+    });
+    if (cookie) res.setHeader('Set-Cookie', cookie);
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Auth API Error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
 
 // Claude API Proxy
-app.post('/api/claude', async (req, res) => {
+app.post('/api/claude', requirePermission('claude'), async (req, res) => {
   const apiKey = process.env.ANTHROPIC_API_KEY;
   
-  if (!apiKey) {
+  if (!apiKey && !isMockProvider()) {
     return res.status(500).json({ 
       error: 'API key not configured. Create a .env file with ANTHROPIC_API_KEY=your-key' 
     });
   }
 
+  const problem = validateClaudeRequest(req.body);
+  if (problem) {
+    return res.status(400).json(policyError(problem));
+  }
+
+  const controller = abortOnDisconnect(res);
+
   try {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-      },
-      body: JSON.stringify({
-        model: req.body.model || 'claude-sonnet-4-20250514',
-        max_tokens: req.body.max_tokens || 4000,
-        system: req.body.system || '',
-        messages: req.body.messages,
-      }),
-    });
+    const budget = await checkBudget();
+    if (budget.state === 'exceeded' && budget.action === 'block') {
+      return res.status(402).json(budgetError(budget));
+    }
+    if (budget.state === 'warning' || budget.state === 'exceeded') {
+      res.setHeader('X-Usage-Budget', budget.state);
+    }
+
+    const payload = toMessagesPayload(req.body);
+    const cacheRequested = countCacheBreakpoints(req.body) > 0;
+    const record = (usage) => recordUsage({ model: payload.model, usage, meta: req.body.meta, cacheRequested });
+    const response = await requestMessages(apiKey, payload, { signal: controller.signal });
 
     if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      return res.status(response.status).json({ 
-        error: `Anthropic API error: ${response.status}`,
-        details: errorData 
-      });
+      const { status, body } = await describeUpstreamError(response);
+      return res.status(status).json(body);
+    }
+
+    if (req.body.stream) {
+      return record(await relayEventStream(response, res, controller));
     }
 
     const data = await response.json();
+    await record(data.usage);
+    res.setHeader('X-Prompt-Cache', cacheResult(data.usage, cacheRequested));
     res.json(data);
 
   } catch (error) {
+    if (controller.signal.aborted) return;
     console.error('API Error:', error);
+    // Only failures reaching the API are categorized; anything else is ours
+    if (!error.category) return res.status(500).json({ error: error.message });
+    const { status, body } = describeRequestError(error);
+    res.status(status).json(body);
+  }
+});
+
+// Document sync (stored under DATA_DIR, default .data/)
+app.all('/api/documents', requirePermission(req => (req.method === 'GET' ? 'documents:read' : 'documents:write')), async (req, res) => {
+  try {
+    const { status, body } = await handleDocumentsRequest({
+      method: req.method,
+      query: req.query,
+      body: req.body,
+    });
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Documents API Error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Analysis results shared between devices
+app.all('/api/cache', requirePermission(req => cachePermission(req.method)), async (req, res) => {
+  try {
+    const { status, body } = await handleCacheRequest({
+      method: req.method,
+      query: req.query,
+      body: req.body,
+    });
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Cache API Error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Token usage totals and the monthly budget
+app.all('/api/usage', requirePermission('usage'), async (req, res) => {
+  try {
+    const { status, body } = await handleUsageRequest({
+      method: req.method,
+      query: req.query,
+      body: req.body,
+    });
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Usage API Error:', error);
     res.status(500).json({ error: 'Internal server error', message: error.message });
   }
 });
@@ -72,4 +166,7 @@ app.listen(PORT, () => {
 ║  to start the frontend at http://localhost:5173            ║
 ╚════════════════════════════════════════════════════════════╝
   `);
+  if (isMockProvider()) {
+    console.log('Using the mock Claude provider (CLAUDE_PROVIDER=mock): replies come from fixtures, no API calls are made.\n');
+  }
 });
@@ -1,7 +1,26 @@
-import React from 'react';
+import React, { useState } from 'react';
 import Editor from './components/Editor';
+import SignIn from './components/SignIn';
+import StorageError from './components/StorageError';
+import { auth } from './lib/auth';
+import { sync } from './lib/sync';
 
-function App() {
+function App({ storageError }) {
+  const [session, setSession] = useState(() => auth.getSession());
+
+  if (storageError) {
+    return <StorageError error={storageError} />;
+  }
+  if (session.enabled && !session.user) {
+    return (
+      <SignIn
+        onSignedIn={(next) => {
+          sync.start();
+          setSession(next);
+        }}
+      />
+    );
+  }
   return <Editor />;
 }
 
@@ -0,0 +1,171 @@
+import React, { useState } from 'react';
+import { SUGGESTION_STATUSES } from '../lib/storage';
+
+const statusColors = {
+  pending: '#7a6f5f',
+  accepted: '#059669',
+  custom: '#2563eb',
+  dismissed: '#94867a'
+};
+
+const countByStatus = (suggestions) =>
+  suggestions.reduce((counts, s) => ({ ...counts, [s.status]: (counts[s.status] || 0) + 1 }), {});
+
+const smallButtonStyle = {
+  padding: '4px 10px',
+  background: 'transparent',
+  border: '1px solid rgba(44,36,22,0.2)',
+  borderRadius: '4px',
+  fontSize: '11px',
+  fontFamily: '"Inter", system-ui, sans-serif',
+  cursor: 'pointer',
+  color: '#5a5044'
+};
+
+// Past analysis runs for one document, with what was decided on each suggestion
+export default function AnalysisHistory({ sessions, documentTitle, getModeName, onResume, onDelete, onClose }) {
+  const [openSessionId, setOpenSessionId] = useState(sessions[0]?.id || null);
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        background: 'rgba(0,0,0,0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000,
+        padding: '20px'
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: '#fff',
+          borderRadius: '12px',
+          maxWidth: '720px',
+          width: '100%',
+          maxHeight: '90vh',
+          display: 'flex',
+          flexDirection: 'column',
+          boxShadow: '0 20px 60px rgba(0,0,0,0.3)',
+          fontFamily: '"Inter", system-ui, sans-serif'
+        }}
+      >
+        <div style={{
+          padding: '16px 24px',
+          borderBottom: '1px solid rgba(44,36,22,0.1)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between'
+        }}>
+          <div>
+            <h3 style={{ margin: 0, fontSize: '16px', color: '#1e3a5f' }}>Analysis history</h3>
+            <p style={{ margin: '4px 0 0', fontSize: '12px', color: '#7a6f5f' }}>{documentTitle}</p>
+          </div>
+          <button
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', fontSize: '24px', cursor: 'pointer', color: '#7a6f5f', padding: '0 4px' }}
+          >
+            ×
+          </button>
+        </div>
+
+        <div style={{ flex: 1, overflowY: 'auto', padding: '8px 0' }}>
+          {sessions.length === 0 && (
+            <p style={{ padding: '24px', margin: 0, fontSize: '13px', color: '#7a6f5f', textAlign: 'center' }}>
+              No analysis runs for this document yet.
+            </p>
+          )}
+          {sessions.map(session => {
+            const counts = countByStatus(session.suggestions);
+            const isOpen = openSessionId === session.id;
+            return (
+              <div key={session.id} style={{ borderBottom: '1px solid rgba(44,36,22,0.06)' }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '12px', padding: '12px 24px' }}>
+                  <button
+                    onClick={() => setOpenSessionId(isOpen ? null : session.id)}
+                    style={{
+                      flex: 1,
+                      background: 'none',
+                      border: 'none',
+                      padding: 0,
+                      textAlign: 'left',
+                      cursor: 'pointer',
+                      fontFamily: '"Inter", system-ui, sans-serif'
+                    }}
+                  >
+                    <div style={{ fontSize: '13px', fontWeight: '500', color: '#2c2416' }}>
+                      {isOpen ? '▾' : '▸'} {new Date(session.createdAt).toLocaleString()}
+                    </div>
+                    <div style={{ fontSize: '11px', color: '#7a6f5f', marginTop: '2px' }}>
+                      {session.modes.map(getModeName).join(', ')} • {session.suggestionLimit === 'exhaustive' ? 'Exhaustive' : `~${session.suggestionLimit}`} • {session.wordCount} words
+                    </div>
+                    <div style={{ fontSize: '11px', marginTop: '4px', display: 'flex', gap: '10px' }}>
+                      {Object.keys(SUGGESTION_STATUSES).filter(status => counts[status]).map(status => (
+                        <span key={status} style={{ color: statusColors[status] }}>
+                          {counts[status]} {SUGGESTION_STATUSES[status].toLowerCase()}
+                        </span>
+                      ))}
+                      {session.suggestions.length === 0 && <span style={{ color: '#7a6f5f' }}>No suggestions</span>}
+                    </div>
+                  </button>
+                  {counts.pending > 0 && (
+                    <button
+                      onClick={() => onResume(session)}
+                      style={{ ...smallButtonStyle, background: 'linear-gradient(135deg, #1e3a5f 0%, #2d5a87 100%)', border: 'none', color: '#fff' }}
+                    >
+                      Resume review
+                    </button>
+                  )}
+                  <button
+                    onClick={() => onDelete(session)}
+                    title="Delete this run"
+                    style={{ ...smallButtonStyle, border: 'none', fontSize: '14px', color: '#94867a' }}
+                  >
+                    ×
+                  </button>
+                </div>
+
+                {isOpen && session.suggestions.length > 0 && (
+                  <div style={{ padding: '0 24px 12px 40px' }}>
+                    {session.suggestions.map(s => (
+                      <div key={s.id} style={{ padding: '6px 0', borderTop: '1px solid rgba(44,36,22,0.04)', fontSize: '12px' }}>
+                        <span style={{
+                          display: 'inline-block',
+                          minWidth: '76px',
+                          fontSize: '10px',
+                          fontWeight: '600',
+                          letterSpacing: '0.05em',
+                          textTransform: 'uppercase',
+                          color: statusColors[s.status]
+                        }}>
+                          {SUGGESTION_STATUSES[s.status]}
+                        </span>
+                        <span style={{ textDecoration: 'line-through', color: '#94867a' }}>
+                          {s.original.substring(0, 60)}{s.original.length > 60 ? '...' : ''}
+                        </span>
+                        {' → '}
+                        <span style={{ color: '#1e3a5f' }}>
+                          {(s.status === 'custom' ? s.customText : s.suggestion).substring(0, 60)}
+                          {(s.status === 'custom' ? s.customText : s.suggestion).length > 60 ? '...' : ''}
+                        </span>
+                        {s.note && (
+                          <span style={{ display: 'block', marginLeft: '76px', fontSize: '11px', color: '#7a6f5f' }}>
+                            Reason: {s.note}
+                          </span>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
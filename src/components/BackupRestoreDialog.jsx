@@ -0,0 +1,192 @@
+import React, { useState, useMemo } from 'react';
+import { previewImport } from '../lib/backup';
+
+const sectionTitleStyle = {
+  margin: '16px 0 6px',
+  fontSize: '11px',
+  fontWeight: '600',
+  color: '#7a6f5f',
+  letterSpacing: '0.08em',
+  textTransform: 'uppercase'
+};
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString() : 'unknown date');
+
+function DocumentList({ documents, note }) {
+  return (
+    <ul style={{ margin: 0, padding: '0 0 0 18px', fontSize: '13px', color: '#2c2416', lineHeight: '1.7' }}>
+      {documents.map(doc => (
+        <li key={doc.id}>
+          {doc.title}
+          {note && <span style={{ color: '#7a6f5f', fontSize: '12px' }}> — {note(doc)}</span>}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+// Preview of what restoring a backup will add, overwrite or remove, before anything is written
+export default function BackupRestoreDialog({ backup, localDocuments, onRestore, onClose }) {
+  const { archive, fileName, migratedFrom, errors } = backup;
+  const [mode, setMode] = useState('merge');
+  const [isRestoring, setIsRestoring] = useState(false);
+
+  const preview = useMemo(
+    () => (errors.length === 0 ? previewImport(archive, localDocuments, mode) : null),
+    [archive, localDocuments, mode, errors]
+  );
+
+  const restore = async () => {
+    setIsRestoring(true);
+    await onRestore(archive, mode);
+    setIsRestoring(false);
+  };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        background: 'rgba(0,0,0,0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000,
+        padding: '20px'
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: '#fff',
+          borderRadius: '12px',
+          maxWidth: '560px',
+          width: '100%',
+          maxHeight: '90vh',
+          display: 'flex',
+          flexDirection: 'column',
+          boxShadow: '0 20px 60px rgba(0,0,0,0.3)',
+          fontFamily: '"Inter", system-ui, sans-serif'
+        }}
+      >
+        <div style={{ padding: '20px 24px 12px', borderBottom: '1px solid rgba(44,36,22,0.1)' }}>
+          <h3 style={{ margin: 0, fontSize: '16px', color: '#1e3a5f' }}>Restore from backup</h3>
+          <p style={{ margin: '6px 0 0', fontSize: '12px', color: '#7a6f5f' }}>
+            {fileName} • created {formatDate(archive.exportedAt)}
+            {migratedFrom && ` • older format (v${migratedFrom}), converted`}
+          </p>
+        </div>
+
+        <div style={{ flex: 1, overflowY: 'auto', padding: '4px 24px 16px' }}>
+          {errors.length > 0 ? (
+            <>
+              <p style={{ ...sectionTitleStyle, color: '#b91c1c' }}>This backup can't be restored</p>
+              <ul style={{ margin: 0, padding: '0 0 0 18px', fontSize: '13px', color: '#991b1b', lineHeight: '1.7' }}>
+                {errors.map((message, idx) => <li key={idx}>{message}</li>)}
+              </ul>
+            </>
+          ) : (
+            <>
+              <p style={sectionTitleStyle}>How to restore</p>
+              {[
+                ['merge', 'Merge', 'Add the backup to your library. Documents you have that aren\'t in the backup are kept.'],
+                ['replace', 'Replace everything', 'Make your library exactly match the backup. Documents not in the backup are deleted.']
+              ].map(([id, name, description]) => (
+                <label key={id} style={{ display: 'flex', gap: '8px', padding: '6px 0', cursor: 'pointer', fontSize: '13px', color: '#2c2416' }}>
+                  <input type="radio" name="restore-mode" checked={mode === id} onChange={() => setMode(id)} />
+                  <span>
+                    <strong style={{ fontWeight: '600' }}>{name}</strong>
+                    <span style={{ display: 'block', color: '#7a6f5f', fontSize: '12px' }}>{description}</span>
+                  </span>
+                </label>
+              ))}
+
+              {preview.overwritten.length > 0 && (
+                <>
+                  <p style={{ ...sectionTitleStyle, color: '#b45309' }}>Will be overwritten ({preview.overwritten.length})</p>
+                  <DocumentList
+                    documents={preview.overwritten}
+                    note={(doc) => doc.localIsNewer
+                      ? `⚠ your copy is newer (edited ${formatDate(doc.localUpdatedAt)})`
+                      : `backup from ${formatDate(doc.updatedAt)}`}
+                  />
+                </>
+              )}
+              {preview.added.length > 0 && (
+                <>
+                  <p style={{ ...sectionTitleStyle, color: '#059669' }}>Will be added ({preview.added.length})</p>
+                  <DocumentList documents={preview.added} />
+                </>
+              )}
+              {preview.removed.length > 0 && (
+                <>
+                  <p style={{ ...sectionTitleStyle, color: '#b91c1c' }}>Will be deleted ({preview.removed.length})</p>
+                  <DocumentList documents={preview.removed} note={(doc) => `${doc.wordCount} words`} />
+                </>
+              )}
+              {preview.kept.length > 0 && (
+                <p style={{ margin: '12px 0 0', fontSize: '12px', color: '#7a6f5f' }}>
+                  {preview.kept.length} other document{preview.kept.length !== 1 ? 's' : ''} in your library will be left as they are.
+                </p>
+              )}
+
+              <p style={sectionTitleStyle}>Also included</p>
+              <ul style={{ margin: 0, padding: '0 0 0 18px', fontSize: '13px', color: '#2c2416', lineHeight: '1.7' }}>
+                <li>{preview.versionCount} saved version{preview.versionCount !== 1 ? 's' : ''}</li>
+                <li>{preview.sessionCount} analysis run{preview.sessionCount !== 1 ? 's' : ''}</li>
+                <li>{preview.bookCount} book{preview.bookCount !== 1 ? 's' : ''}</li>
+                {preview.hasPreferences && <li>Preferences ({mode === 'merge' ? 'merged with yours' : 'replacing yours'})</li>}
+                {preview.settingsCount > 0 && <li>{preview.settingsCount} custom setting{preview.settingsCount !== 1 ? 's' : ''}</li>}
+              </ul>
+            </>
+          )}
+        </div>
+
+        <div style={{
+          padding: '12px 24px',
+          borderTop: '1px solid rgba(44,36,22,0.1)',
+          display: 'flex',
+          justifyContent: 'flex-end',
+          gap: '8px'
+        }}>
+          <button
+            onClick={onClose}
+            style={{
+              padding: '8px 16px',
+              background: 'transparent',
+              border: '1px solid rgba(44,36,22,0.2)',
+              borderRadius: '6px',
+              fontSize: '13px',
+              fontFamily: '"Inter", system-ui, sans-serif',
+              cursor: 'pointer',
+              color: '#2c2416'
+            }}
+          >
+            Cancel
+          </button>
+          {errors.length === 0 && (
+            <button
+              onClick={restore}
+              disabled={isRestoring}
+              style={{
+                padding: '8px 16px',
+                background: mode === 'replace' ? '#b91c1c' : 'linear-gradient(135deg, #1e3a5f 0%, #2d5a87 100%)',
+                border: 'none',
+                borderRadius: '6px',
+                fontSize: '13px',
+                fontFamily: '"Inter", system-ui, sans-serif',
+                fontWeight: '500',
+                cursor: isRestoring ? 'wait' : 'pointer',
+                color: '#fff',
+                opacity: isRestoring ? 0.7 : 1
+              }}
+            >
+              {isRestoring ? 'Restoring...' : mode === 'replace' ? 'Replace and restore' : 'Restore'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
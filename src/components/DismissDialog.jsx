@@ -0,0 +1,159 @@
+import React, { useState } from 'react';
+import { createRule, RULE_KINDS } from '../lib/exclusions';
+
+const labelStyle = {
+  display: 'block',
+  margin: '14px 0 4px',
+  fontSize: '11px',
+  fontWeight: '600',
+  color: '#7a6f5f',
+  letterSpacing: '0.08em',
+  textTransform: 'uppercase'
+};
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '6px 8px',
+  border: '1px solid rgba(44,36,22,0.2)',
+  borderRadius: '4px',
+  fontSize: '13px',
+  fontFamily: '"Inter", system-ui, sans-serif',
+  background: '#fff',
+  color: '#2c2416'
+};
+
+// Dismiss one suggestion with a reason, optionally adding a rule so the same
+// rewrite isn't suggested again
+export default function DismissDialog({ suggestion, getModeName, onDismiss, onClose }) {
+  const [reason, setReason] = useState('');
+  const [neverSuggest, setNeverSuggest] = useState(false);
+  const [kind, setKind] = useState('phrase');
+  const [text, setText] = useState(suggestion.original);
+  const [scope, setScope] = useState('all');
+  const [error, setError] = useState(null);
+
+  const submit = (e) => {
+    e.preventDefault();
+    let rule = null;
+    if (neverSuggest) {
+      try {
+        rule = createRule({ kind, text, mode: scope === 'mode' ? suggestion.mode : null, reason });
+      } catch (err) {
+        setError(err.message);
+        return;
+      }
+    }
+    onDismiss({ reason: reason.trim(), rule });
+  };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        background: 'rgba(0,0,0,0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000,
+        padding: '20px'
+      }}
+    >
+      <form
+        onClick={(e) => e.stopPropagation()}
+        onSubmit={submit}
+        style={{
+          background: '#fff',
+          borderRadius: '12px',
+          maxWidth: '480px',
+          width: '100%',
+          boxShadow: '0 20px 60px rgba(0,0,0,0.3)',
+          fontFamily: '"Inter", system-ui, sans-serif'
+        }}
+      >
+        <div style={{
+          padding: '16px 24px',
+          borderBottom: '1px solid rgba(44,36,22,0.1)',
+          display: 'flex',
+          alignItems: 'center'
+        }}>
+          <h3 style={{ margin: 0, fontSize: '16px', color: '#1e3a5f', flex: 1 }}>Dismiss suggestion</h3>
+          <button
+            type="button"
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', fontSize: '24px', cursor: 'pointer', color: '#7a6f5f', padding: '0 4px' }}
+          >
+            ×
+          </button>
+        </div>
+
+        <div style={{ padding: '4px 24px 20px' }}>
+          <p style={{ margin: '12px 0 0', fontSize: '13px', color: '#2c2416', lineHeight: '1.5', fontFamily: '"Source Serif 4", Georgia, serif' }}>
+            <span style={{ textDecoration: 'line-through', color: '#94867a' }}>{suggestion.original}</span>
+            {' → '}
+            <span style={{ color: '#1e3a5f' }}>{suggestion.suggestion}</span>
+          </p>
+
+          <label style={labelStyle} htmlFor="dismiss-reason">Reason (optional)</label>
+          <input
+            id="dismiss-reason"
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder="e.g. I keep this phrasing on purpose"
+            autoFocus
+            style={inputStyle}
+          />
+
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '16px', fontSize: '13px', color: '#2c2416', cursor: 'pointer' }}>
+            <input type="checkbox" checked={neverSuggest} onChange={(e) => setNeverSuggest(e.target.checked)} />
+            Never suggest this again
+          </label>
+
+          {neverSuggest && (
+            <div style={{ marginTop: '8px', padding: '12px', background: 'rgba(250,249,247,0.8)', borderRadius: '8px', border: '1px solid rgba(44,36,22,0.08)' }}>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <select value={kind} onChange={(e) => { setKind(e.target.value); setError(null); }} style={{ ...inputStyle, width: 'auto' }}>
+                  {Object.entries(RULE_KINDS).map(([id, name]) => <option key={id} value={id}>{name}</option>)}
+                </select>
+                <input
+                  value={text}
+                  onChange={(e) => { setText(e.target.value); setError(null); }}
+                  style={{ ...inputStyle, flex: 1, fontFamily: kind === 'pattern' ? 'monospace' : inputStyle.fontFamily }}
+                />
+              </div>
+              <p style={{ margin: '6px 0 0', fontSize: '11px', color: '#7a6f5f', lineHeight: '1.5' }}>
+                {kind === 'pattern'
+                  ? 'A regular expression, matched ignoring case. Suggestions that rewrite text it matches are left out.'
+                  : 'Shorten it to the words you want kept. Suggestions that rewrite them are left out.'}
+              </p>
+              <select value={scope} onChange={(e) => setScope(e.target.value)} style={{ ...inputStyle, marginTop: '8px' }}>
+                <option value="all">For every focus area</option>
+                <option value="mode">For {getModeName(suggestion.mode)} only</option>
+              </select>
+            </div>
+          )}
+
+          {error && <p style={{ margin: '10px 0 0', fontSize: '12px', color: '#b91c1c' }}>{error}</p>}
+
+          <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px', marginTop: '20px' }}>
+            <button
+              type="button"
+              onClick={onClose}
+              style={{ padding: '8px 16px', background: 'transparent', border: '1px solid rgba(44,36,22,0.2)', borderRadius: '6px', fontSize: '13px', fontFamily: '"Inter", system-ui, sans-serif', cursor: 'pointer', color: '#5a5044' }}
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              style={{ padding: '8px 16px', background: '#1e3a5f', border: 'none', borderRadius: '6px', fontSize: '13px', fontFamily: '"Inter", system-ui, sans-serif', cursor: 'pointer', color: '#fff' }}
+            >
+              Dismiss
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,245 @@
+import React from 'react';
+
+const actionButtonStyle = {
+  padding: '2px 6px',
+  background: 'transparent',
+  border: 'none',
+  borderRadius: '4px',
+  fontSize: '11px',
+  fontFamily: '"Inter", system-ui, sans-serif',
+  cursor: 'pointer',
+  color: '#7a6f5f'
+};
+
+const sectionLabelStyle = {
+  fontSize: '10px',
+  color: '#7a6f5f',
+  fontFamily: '"Inter", system-ui, sans-serif',
+  fontWeight: '600',
+  letterSpacing: '0.08em',
+  textTransform: 'uppercase',
+  margin: '16px 0 8px 0'
+};
+
+function DocumentRow({ doc, index, book, books, isActive, onSelect, onRename, onDuplicate, onDelete, onAssignToBook, onMoveChapter }) {
+  return (
+    <div style={{
+      padding: '8px 10px',
+      borderRadius: '8px',
+      background: isActive ? 'rgba(30,58,95,0.08)' : 'transparent',
+      border: `1px solid ${isActive ? 'rgba(30,58,95,0.2)' : 'transparent'}`,
+      marginBottom: '4px'
+    }}>
+      <button
+        onClick={() => onSelect(doc.id)}
+        style={{
+          display: 'block',
+          width: '100%',
+          padding: 0,
+          background: 'none',
+          border: 'none',
+          textAlign: 'left',
+          cursor: 'pointer',
+          fontFamily: '"Inter", system-ui, sans-serif',
+          color: '#2c2416'
+        }}
+      >
+        <div style={{ fontSize: '13px', fontWeight: isActive ? '600' : '500', color: isActive ? '#1e3a5f' : '#2c2416' }}>
+          {book ? `${index + 1}. ` : ''}{doc.title}
+        </div>
+        <div style={{ fontSize: '11px', color: '#7a6f5f' }}>
+          {doc.wordCount.toLocaleString()} words • {new Date(doc.updatedAt).toLocaleDateString()}
+        </div>
+      </button>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '2px', marginTop: '4px', flexWrap: 'wrap' }}>
+        {book && (
+          <>
+            <button onClick={() => onMoveChapter(book.id, doc.id, -1)} disabled={index === 0} title="Move chapter up" style={actionButtonStyle}>↑</button>
+            <button onClick={() => onMoveChapter(book.id, doc.id, 1)} disabled={index === book.chapters.length - 1} title="Move chapter down" style={actionButtonStyle}>↓</button>
+          </>
+        )}
+        <button onClick={() => onRename(doc)} style={actionButtonStyle}>Rename</button>
+        <button onClick={() => onDuplicate(doc.id)} style={actionButtonStyle}>Duplicate</button>
+        <button onClick={() => onDelete(doc)} style={{ ...actionButtonStyle, color: '#b91c1c' }}>Delete</button>
+        {books.length > 0 && (
+          <select
+            value={book ? book.id : ''}
+            onChange={(e) => onAssignToBook(doc.id, e.target.value || null)}
+            title="Book"
+            style={{
+              marginLeft: 'auto',
+              padding: '2px 4px',
+              border: '1px solid rgba(44,36,22,0.15)',
+              borderRadius: '4px',
+              fontSize: '11px',
+              fontFamily: '"Inter", system-ui, sans-serif',
+              background: '#fff',
+              color: '#5a5044',
+              maxWidth: '110px'
+            }}
+          >
+            <option value="">No book</option>
+            {books.map(b => (
+              <option key={b.id} value={b.id}>{b.title}</option>
+            ))}
+          </select>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default function DocumentLibrary({
+  documents,
+  books,
+  activeDocumentId,
+  onClose,
+  onSelect,
+  onCreate,
+  onRename,
+  onDuplicate,
+  onDelete,
+  onCreateBook,
+  onRenameBook,
+  onDeleteBook,
+  onAssignToBook,
+  onMoveChapter
+}) {
+  const documentsById = Object.fromEntries(documents.map(d => [d.id, d]));
+  const chapterIds = new Set(books.flatMap(b => b.chapters));
+  const looseDocuments = documents.filter(d => !chapterIds.has(d.id));
+
+  const rowProps = { books, onSelect, onRename, onDuplicate, onDelete, onAssignToBook, onMoveChapter };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        background: 'rgba(0,0,0,0.2)',
+        zIndex: 900
+      }}
+    >
+      <aside
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          position: 'absolute',
+          top: 0,
+          left: 0,
+          bottom: 0,
+          width: '320px',
+          background: '#faf9f7',
+          borderRight: '1px solid rgba(44,36,22,0.1)',
+          boxShadow: '4px 0 20px rgba(0,0,0,0.1)',
+          display: 'flex',
+          flexDirection: 'column',
+          animation: 'slideIn 0.2s ease-out'
+        }}
+      >
+        <div style={{
+          padding: '16px 20px',
+          borderBottom: '1px solid rgba(44,36,22,0.08)',
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center'
+        }}>
+          <h2 style={{ fontSize: '14px', fontWeight: '600', color: '#1e3a5f', margin: 0, fontFamily: '"Inter", system-ui, sans-serif' }}>
+            Library
+          </h2>
+          <button
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', fontSize: '22px', cursor: 'pointer', color: '#7a6f5f', padding: '0 4px' }}
+          >
+            ×
+          </button>
+        </div>
+
+        <div style={{ display: 'flex', gap: '8px', padding: '12px 20px', borderBottom: '1px solid rgba(44,36,22,0.06)' }}>
+          <button
+            onClick={onCreate}
+            style={{
+              flex: 1,
+              padding: '8px 12px',
+              background: 'linear-gradient(135deg, #1e3a5f 0%, #2d5a87 100%)',
+              border: 'none',
+              borderRadius: '6px',
+              fontSize: '12px',
+              fontFamily: '"Inter", system-ui, sans-serif',
+              fontWeight: '500',
+              cursor: 'pointer',
+              color: '#fff'
+            }}
+          >
+            + Document
+          </button>
+          <button
+            onClick={onCreateBook}
+            style={{
+              flex: 1,
+              padding: '8px 12px',
+              background: 'transparent',
+              border: '1px solid rgba(44,36,22,0.2)',
+              borderRadius: '6px',
+              fontSize: '12px',
+              fontFamily: '"Inter", system-ui, sans-serif',
+              fontWeight: '500',
+              cursor: 'pointer',
+              color: '#2c2416'
+            }}
+          >
+            + Book
+          </button>
+        </div>
+
+        <div style={{ flex: 1, overflowY: 'auto', padding: '0 12px 20px' }}>
+          {books.map(book => (
+            <div key={book.id}>
+              <div style={{ ...sectionLabelStyle, display: 'flex', alignItems: 'center', gap: '4px', padding: '0 8px' }}>
+                <span style={{ flex: 1, color: '#1e3a5f' }}>📖 {book.title}</span>
+                <button onClick={() => onRenameBook(book)} style={actionButtonStyle}>Rename</button>
+                <button onClick={() => onDeleteBook(book)} style={{ ...actionButtonStyle, color: '#b91c1c' }}>Delete</button>
+              </div>
+              {book.chapters.length === 0 ? (
+                <div style={{ padding: '4px 10px 8px', fontSize: '11px', color: '#7a6f5f', fontFamily: '"Inter", system-ui, sans-serif' }}>
+                  No chapters yet. Assign a document to this book.
+                </div>
+              ) : (
+                book.chapters
+                  .filter(id => documentsById[id])
+                  .map((id, index) => (
+                    <DocumentRow
+                      key={id}
+                      doc={documentsById[id]}
+                      index={index}
+                      book={book}
+                      isActive={id === activeDocumentId}
+                      {...rowProps}
+                    />
+                  ))
+              )}
+            </div>
+          ))}
+
+          {looseDocuments.length > 0 && (
+            <div>
+              <div style={{ ...sectionLabelStyle, padding: '0 8px' }}>
+                {books.length > 0 ? 'Other documents' : 'Documents'}
+              </div>
+              {looseDocuments.map((doc, index) => (
+                <DocumentRow
+                  key={doc.id}
+                  doc={doc}
+                  index={index}
+                  book={null}
+                  isActive={doc.id === activeDocumentId}
+                  {...rowProps}
+                />
+              ))}
+            </div>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+}
@@ -1,5 +1,27 @@
-import React, { useState, useRef, useEffect, useCallback } from 'react';
-import { storage, autoSaveContent, autoSaveChatHistory, autoSavePreferences, versioning } from '../lib/storage';
+import React, { useState, useRef, useEffect, useLayoutEffect } from 'react';
+import { storage, library, autoSaveContent, autoSaveChatHistory, autoSaveSuggestions, autoSaveTracking, autoSavePreferences, versioning, analysisHistory, RETENTION_POLICIES } from '../lib/storage';
+import { sync } from '../lib/sync';
+import DocumentLibrary from './DocumentLibrary';
+import VersionTimeline from './VersionTimeline';
+import VersionDiff from './VersionDiff';
+import BackupRestoreDialog from './BackupRestoreDialog';
+import AnalysisHistory from './AnalysisHistory';
+import PeopleDialog from './PeopleDialog';
+import UsagePanel from './UsagePanel';
+import DismissDialog from './DismissDialog';
+import SuggestionRules from './SuggestionRules';
+import { parseBackup } from '../lib/backup';
+import { auth } from '../lib/auth';
+import { usage } from '../lib/usage';
+import { analysisCache } from '../lib/cache';
+import { createUndoHistory } from '../lib/undo';
+import { createMessage, streamMessage, isAbortError, cachedText } from '../lib/claude';
+import { suggestionTool, parseSuggestionResponse, allocateSuggestionBudget, mergeSuggestions, SUGGESTION_TOOL_NAME } from '../lib/suggestions';
+import { createAnchor, placeSuggestions, applyEdits, remapSuggestions, moveSpans, changedRange } from '../lib/anchors';
+import { trackEdits, followEdits, rejectChanges, diffEdits, redlineLines, withoutLeadingText, CHANGE_SOURCES } from '../lib/changes';
+import { groupOverlapping, competingWith, highlightSegments, mergeAlternatives } from '../lib/overlaps';
+import { applyRules, ruleMatches, describeRule, exclusionPrompt } from '../lib/exclusions';
+import { splitIntoChunks, settleWithConcurrency, MAX_WORDS_PER_CHUNK } from '../lib/chunks';
 
 const SAMPLE_TEXT = `Paste your chapter content here to begin editing...
 
@@ -24,6 +46,36 @@ const getModeColor = (modeId) => {
   return colors[modeId] || '#64748b';
 };
 
+const filterControlStyle = {
+  flex: 1,
+  minWidth: 0,
+  padding: '4px 6px',
+  background: '#fff',
+  border: '1px solid rgba(44,36,22,0.15)',
+  borderRadius: '4px',
+  fontSize: '11px',
+  fontFamily: '"Inter", system-ui, sans-serif',
+  color: '#2c2416'
+};
+
+// Shared by the editing textarea and the highlight layer behind it, which
+// must lay text out identically for the highlights to line up
+const editorTextStyle = {
+  display: 'block',
+  width: '100%',
+  margin: 0,
+  padding: 0,
+  border: 'none',
+  boxSizing: 'border-box',
+  fontSize: '16px',
+  lineHeight: '1.8',
+  fontFamily: '"Source Serif 4", Georgia, serif',
+  whiteSpace: 'pre-wrap',
+  overflowWrap: 'break-word'
+};
+
+const getModeName = (modeId) => EDITORIAL_MODES.find(m => m.id === modeId)?.name || modeId;
+
 const getModePrompt = (modeId) => {
   const prompts = {
     clarity: `Focus on CLARITY & ACCESSIBILITY for interfaith audiences. Identify phrases that:
@@ -65,6 +117,13 @@ Suggest corrections that align with the current style guide.`
   return prompts[modeId] || '';
 };
 
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+};
+
 const WELCOME_MESSAGE = {
   role: 'assistant',
   content: `Welcome to your Words of Plainness Editorial Canvas, Aaron. I'm here to help you refine your ministry writings.
@@ -127,83 +186,82 @@ Return ONLY the transformed text with no additional commentary, explanations, or
 If there are no footnotes to convert, still apply the terminology changes.
 If there are no terminology issues, still return the text (with any footnote conversions).`;
 
-const prepareDocument = async (text, onProgress) => {
-  // Split into paragraphs and process in chunks to avoid timeout
-  const paragraphs = text.split(/\n\n+/);
-  const chunks = [];
-  let currentChunk = [];
-  let currentWordCount = 0;
-  const MAX_WORDS_PER_CHUNK = 1500;
-  
-  // Group paragraphs into chunks
-  for (const para of paragraphs) {
-    const paraWords = para.trim().split(/\s+/).length;
-    if (currentWordCount + paraWords > MAX_WORDS_PER_CHUNK && currentChunk.length > 0) {
-      chunks.push(currentChunk.join('\n\n'));
-      currentChunk = [para];
-      currentWordCount = paraWords;
-    } else {
-      currentChunk.push(para);
-      currentWordCount += paraWords;
-    }
-  }
-  if (currentChunk.length > 0) {
-    chunks.push(currentChunk.join('\n\n'));
-  }
+// Sections analyzed at once; more risks hitting the API rate limit
+const ANALYSIS_CONCURRENCY = 3;
+
+const ANALYSIS_MODEL = 'claude-sonnet-4-5-20250929';
+// Part of every analysis cache key: bump it when the analysis prompts, mode
+// prompts or suggestion tool change, so older cached results aren't reused
+const ANALYSIS_PROMPT_VERSION = 2;
+
+// Kept free of mode and count so re-analyzing the same text with other
+// modes reuses the cached profile and section
+const ANALYSIS_SYSTEM_PROMPT = `You are an expert editorial assistant helping Aaron refine his religious ministry writings for "Words of Plainness." Aaron is a retired science teacher, ordained Elder, and minister who bridges scientific understanding with spiritual insight. His writing serves both Latter-day Saint audiences and interfaith readers.
+
+Your task is to analyze the provided text and return editorial suggestions by calling the ${SUGGESTION_TOOL_NAME} tool. Copy each "original" exactly as it appears in the text so it can be located. When the same wording appears more than once, fill in "prefix" and "suffix" with the words around the occurrence you mean.`;
+
+// The chat prompt carries the document, cached between turns; very long
+// chapters are cut here
+const CHAT_DOCUMENT_CHARS = 60000;
+
+// Rough share of a section already rewritten. Prepared text runs about as
+// long as the input, so compare lengths and hold at 99% until it finishes.
+const estimateProgress = (output, input) =>
+  Math.min(99, Math.round((output.length / Math.max(input.length, 1)) * 100));
+
+// `completed` holds sections already prepared by an earlier, interrupted run;
+// onSectionDone(text, total) reports each new one so a failure can resume.
+const prepareDocument = async (text, { documentId, onProgress, signal, completed = [], onSectionDone } = {}) => {
+  // Process in chunks to avoid timeout
+  const chunks = splitIntoChunks(text).map(chunk => chunk.text);
+  const meta = { operation: 'prepare', documentId };
   
   // If only one chunk, process normally
   if (chunks.length === 1) {
     onProgress?.('Processing document...');
-    const response = await fetch('/api/claude', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-5-20250929',
-        max_tokens: 8000,
-        system: PREPARATION_SYSTEM_PROMPT,
-        messages: [{ 
-          role: 'user', 
-          content: `Please prepare this document by converting footnotes to MLA inline citations and aligning terminology with the Church Style Guide:\n\n${text}` 
-        }]
-      })
+    const preparedText = await streamMessage({
+      model: 'claude-sonnet-4-5-20250929',
+      max_tokens: 8000,
+      system: PREPARATION_SYSTEM_PROMPT,
+      meta,
+      messages: [{ 
+        role: 'user', 
+        content: `Please prepare this document by converting footnotes to MLA inline citations and aligning terminology with the Church Style Guide:\n\n${text}` 
+      }]
+    }, {
+      signal,
+      onText: (_, soFar) => onProgress?.(`Processing document... ${estimateProgress(soFar, text)}%`)
     });
-    
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error || `API error: ${response.status}`);
-    }
-    
-    const data = await response.json();
-    return data.content.map(item => item.text || '').join('').trim();
+    return preparedText.trim();
   }
   
   // Process multiple chunks
-  const processedChunks = [];
-  for (let i = 0; i < chunks.length; i++) {
-    onProgress?.(`Processing section ${i + 1} of ${chunks.length}...`);
+  const processedChunks = [...completed];
+  for (let i = processedChunks.length; i < chunks.length; i++) {
+    const section = `section ${i + 1} of ${chunks.length}`;
+    onProgress?.(`Processing ${section}...`);
     
-    const response = await fetch('/api/claude', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
+    try {
+      const processedText = await streamMessage({
         model: 'claude-sonnet-4-5-20250929',
         max_tokens: 6000,
         system: PREPARATION_SYSTEM_PROMPT,
+        meta,
         messages: [{ 
           role: 'user', 
           content: `Please prepare this section of a longer document. Convert footnotes to MLA inline citations and align terminology with the Church Style Guide. Return ONLY the transformed text:\n\n${chunks[i]}` 
         }]
-      })
-    });
-    
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error || `API error: ${response.status} on section ${i + 1}`);
+      }, {
+        signal,
+        onText: (_, soFar) => onProgress?.(`Processing ${section}... ${estimateProgress(soFar, chunks[i])}%`)
+      });
+      processedChunks.push(processedText.trim());
+      onSectionDone?.(processedText.trim(), chunks.length);
+    } catch (err) {
+      err.section = i + 1;
+      err.sectionCount = chunks.length;
+      throw err;
     }
-    
-    const data = await response.json();
-    const processedText = data.content.map(item => item.text || '').join('').trim();
-    processedChunks.push(processedText);
   }
   
   return processedChunks.join('\n\n');
@@ -211,41 +269,93 @@ const prepareDocument = async (text, onProgress) => {
 
 export default function Editor() {
   // Load initial state from storage
+  const [activeDocumentId, setActiveDocumentId] = useState(() => library.getActiveDocumentId());
+  const [documents, setDocuments] = useState(() => library.listDocuments());
+  const [books, setBooks] = useState(() => library.listBooks());
+  const [showLibrary, setShowLibrary] = useState(false);
+
   const [content, setContent] = useState(() => {
-    const saved = storage.loadContent();
+    const saved = storage.loadContent(activeDocumentId);
     return saved || SAMPLE_TEXT;
   });
   
-  const [suggestions, setSuggestions] = useState([]);
+  const [suggestions, setSuggestions] = useState(() => storage.loadSuggestions(activeDocumentId));
   
   const [activeModes, setActiveModes] = useState(() => {
     const prefs = storage.loadPreferences();
     return prefs?.activeModes || ['clarity'];
   });
+
+  const [versionRetention, setVersionRetention] = useState(() => {
+    const prefs = storage.loadPreferences();
+    return prefs?.versionRetention || 'all';
+  });
+
+  // "Don't suggest this" rules by author: { [username]: [rule] }
+  const [suggestionRules, setSuggestionRules] = useState(() => {
+    const prefs = storage.loadPreferences();
+    return prefs?.suggestionRules || {};
+  });
   
   const [chatHistory, setChatHistory] = useState(() => {
-    const saved = storage.loadChatHistory();
+    const saved = storage.loadChatHistory(activeDocumentId);
     return saved || [WELCOME_MESSAGE];
   });
   
   const [chatInput, setChatInput] = useState('');
   const [hoveredSuggestion, setHoveredSuggestion] = useState(null);
+  // Track-changes mode for this document, and the changes awaiting review
+  const [trackChanges, setTrackChanges] = useState(() => storage.loadTracking(activeDocumentId).enabled);
+  const [trackedChanges, setTrackedChanges] = useState(() => storage.loadTracking(activeDocumentId).changes);
+  const [hoveredChange, setHoveredChange] = useState(null);
+  // Margin filters; status is 'all', 'clear' (overlaps nothing) or 'overlapping'
+  const [reviewFilter, setReviewFilter] = useState({ mode: 'all', status: 'all', query: '' });
   const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [analysisChunks, setAnalysisChunks] = useState([]); // { status, count, error } per section
+  // Set when the current suggestions came from the analysis cache: { cachedAt, source }
+  const [cachedAnalysis, setCachedAnalysis] = useState(null);
   const [isChatLoading, setIsChatLoading] = useState(false);
   const [wordCount, setWordCount] = useState(0);
   const [showExportMenu, setShowExportMenu] = useState(false);
+  const [showAccountMenu, setShowAccountMenu] = useState(false);
+  const [showPeople, setShowPeople] = useState(false);
+  const [showUsage, setShowUsage] = useState(false);
+  // 'ok', 'warning' or 'exceeded' against the monthly Claude budget
+  const [budgetState, setBudgetState] = useState(() => usage.getBudgetState());
   const [showVersionMenu, setShowVersionMenu] = useState(false);
+  const [compareVersionId, setCompareVersionId] = useState(null);
+  const [pendingBackup, setPendingBackup] = useState(null);
+  const [tabConflict, setTabConflict] = useState(false);
+  const [showAnalysisHistory, setShowAnalysisHistory] = useState(false);
+  const [dismissingSuggestion, setDismissingSuggestion] = useState(null);
+  const [showSuggestionRules, setShowSuggestionRules] = useState(false);
+  const [undoLabels, setUndoLabels] = useState({ undo: null, redo: null });
   const [error, setError] = useState(null);
   const [saveStatus, setSaveStatus] = useState('saved');
-  const [versions, setVersions] = useState(() => versioning.getVersions());
+  const [saveError, setSaveError] = useState(null);
+  const [storageUsage, setStorageUsage] = useState(null);
+  const [syncStatus, setSyncStatus] = useState(() => sync.getStatus());
+  const [versions, setVersions] = useState(() => versioning.getVersions(activeDocumentId));
   const [isPreparing, setIsPreparing] = useState(false);
   const [showPrepareConfirm, setShowPrepareConfirm] = useState(false);
+  // Sections finished before a preparation failed or was cancelled
+  const [interruptedPreparation, setInterruptedPreparation] = useState(null);
   const [suggestionLimit, setSuggestionLimit] = useState('8');
   const [expandedSuggestion, setExpandedSuggestion] = useState(null);
   const [customEdit, setCustomEdit] = useState('');
 
   const editorRef = useRef(null);
   const chatEndRef = useRef(null);
+  const backupInputRef = useRef(null);
+  const textareaRef = useRef(null);
+  const undoHistoryRef = useRef(null);
+  const stepHistoryRef = useRef(null);
+  const prepareAbortRef = useRef(null);
+  const chatAbortRef = useRef(null);
+  if (!undoHistoryRef.current) undoHistoryRef.current = createUndoHistory();
+  // The text as it is now, for work that started on an earlier version of it
+  const contentRef = useRef(content);
+  contentRef.current = content;
 
   // Word count
   useEffect(() => {
@@ -258,25 +368,152 @@ export default function Editor() {
     chatEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [chatHistory]);
 
+  // Track save status and quota usage reported by the storage layer
+  useEffect(() => {
+    return storage.subscribe(({ status, error }) => {
+      setSaveStatus(status);
+      setSaveError(error);
+      if (status !== 'saving') {
+        storage.getUsage().then(setStorageUsage);
+      }
+    });
+  }, []);
+
+  // Apply documents, versions and preferences changed on other devices or in other tabs
+  const applyExternalChanges = (changes) => {
+    refreshLibrary();
+    if (changes.documents.includes(activeDocumentId) && !storage.hasConflict(activeDocumentId)) {
+      setContent(storage.loadContent(activeDocumentId) || SAMPLE_TEXT);
+      setChatHistory(storage.loadChatHistory(activeDocumentId) || [WELCOME_MESSAGE]);
+      setSuggestions(storage.loadSuggestions(activeDocumentId));
+      const tracking = storage.loadTracking(activeDocumentId);
+      setTrackChanges(tracking.enabled);
+      setTrackedChanges(tracking.changes);
+    }
+    if (changes.conflicts?.includes(activeDocumentId)) {
+      setTabConflict(true);
+    }
+    if (changes.versions.includes(activeDocumentId)) {
+      setVersions(versioning.getVersions(activeDocumentId));
+    }
+    if (changes.keptEdits?.includes(activeDocumentId)) {
+      setError('A newer edit from another device replaced text that had not synced yet. Your text is saved in version history as "Unsynced edits from this device".');
+    }
+    if (changes.preferences) {
+      const prefs = storage.loadPreferences();
+      setActiveModes(prefs?.activeModes || ['clarity']);
+      setVersionRetention(prefs?.versionRetention || 'all');
+      setSuggestionRules(prefs?.suggestionRules || {});
+    }
+    // The open document may have been deleted elsewhere
+    if (!library.getDocument(activeDocumentId)) {
+      loadDocument(library.getActiveDocumentId());
+    }
+  };
+
+  useEffect(() => usage.subscribe(setBudgetState), []);
+
+  // Sync and other tabs report changes whenever they happen, so they go
+  // through a ref to the latest handler and its view of the editor state
+  const applyExternalChangesRef = useRef(applyExternalChanges);
+  applyExternalChangesRef.current = applyExternalChanges;
+
+  useEffect(() => {
+    return sync.subscribe(({ status, changes }) => {
+      setSyncStatus(status);
+      if (changes) applyExternalChangesRef.current(changes);
+    });
+  }, []);
+
+  useEffect(() => {
+    return storage.onTabChange((changes) => applyExternalChangesRef.current(changes));
+  }, []);
+
+  // Closing this tab would drop the text that another tab's edit held back
+  useEffect(() => {
+    if (!tabConflict) return;
+    const warn = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+    window.addEventListener('beforeunload', warn);
+    return () => window.removeEventListener('beforeunload', warn);
+  }, [tabConflict]);
+
+  // Ctrl/Cmd+Z undoes; Ctrl/Cmd+Shift+Z or Ctrl+Y redoes. Other text fields
+  // (chat, custom edits) keep the browser's own undo.
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      const isUndo = key === 'z' && !e.shiftKey;
+      const isRedo = (key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey);
+      if (!isUndo && !isRedo) return;
+      const field = e.target.closest?.('input, textarea, select, [contenteditable="true"]');
+      if (field && field !== textareaRef.current) return;
+      e.preventDefault();
+      stepHistoryRef.current(isUndo ? 'undo' : 'redo');
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // The textarea grows with its text instead of scrolling, so the highlight
+  // layer behind it never has to follow a scroll position
+  useLayoutEffect(() => {
+    const fit = () => {
+      const field = textareaRef.current;
+      if (!field) return;
+      field.style.height = 'auto';
+      field.style.height = `${Math.max(field.scrollHeight, 500)}px`;
+    };
+    fit();
+    window.addEventListener('resize', fit);
+    return () => window.removeEventListener('resize', fit);
+  }, [content]);
+
+  // Typing moves the suggestions along with the text around them
+  const editContent = (next) => {
+    recordUndo('Typing', { typing: true });
+    setSuggestions(remapSuggestions(content, next, suggestions));
+    setTrackedChanges(moveSpans(trackedChanges, changedRange(content, next)));
+    setContent(next);
+  };
+
+  // With the caret inside a highlight, its card is marked in the margin
+  const followCaret = (e) => {
+    const { selectionStart, selectionEnd } = e.target;
+    if (selectionStart !== selectionEnd) return;
+    const under = visibleSuggestions.filter(s => s.start <= selectionStart && s.end >= selectionStart);
+    if (under.length > 0) setHoveredSuggestion(under[under.length - 1].id);
+  };
+
   // Auto-save content
   useEffect(() => {
     if (content !== SAMPLE_TEXT) {
-      setSaveStatus('saving');
-      autoSaveContent(content);
-      const timer = setTimeout(() => setSaveStatus('saved'), 2500);
-      return () => clearTimeout(timer);
+      autoSaveContent(content, activeDocumentId);
     }
-  }, [content]);
+  }, [content, activeDocumentId]);
 
   // Auto-save chat history
   useEffect(() => {
-    autoSaveChatHistory(chatHistory);
-  }, [chatHistory]);
+    autoSaveChatHistory(chatHistory, activeDocumentId);
+  }, [chatHistory, activeDocumentId]);
+
+  // Auto-save pending suggestions
+  useEffect(() => {
+    autoSaveSuggestions(suggestions, activeDocumentId);
+  }, [suggestions, activeDocumentId]);
+
+  // Auto-save track-changes mode and tracked changes
+  useEffect(() => {
+    autoSaveTracking({ enabled: trackChanges, changes: trackedChanges }, activeDocumentId);
+  }, [trackChanges, trackedChanges, activeDocumentId]);
 
   // Auto-save preferences
   useEffect(() => {
-    autoSavePreferences({ activeModes });
-  }, [activeModes]);
+    autoSavePreferences({ ...storage.loadPreferences(), activeModes, versionRetention, suggestionRules });
+  }, [activeModes, versionRetention, suggestionRules]);
 
   const toggleMode = (modeId) => {
     setActiveModes(prev => 
@@ -295,28 +532,65 @@ export default function Editor() {
     setShowPrepareConfirm(false);
     setIsPreparing(true);
     setError(null);
+
+    // Pick up after the last finished section if the text hasn't changed since
+    const resumed = resumablePreparation;
+    const completed = resumed ? [...resumed.completed] : [];
+    let sectionCount = resumed?.sectionCount || 1;
+    setInterruptedPreparation(null);
     
-    // Save current version before transforming
-    versioning.saveVersion(content, 'Before preparation');
-    setVersions(versioning.getVersions());
+    if (!resumed) {
+      // Save current version before transforming
+      versioning.saveVersion(content, 'Before preparation', activeDocumentId, { auto: true });
+      setVersions(versioning.getVersions(activeDocumentId));
+    }
     
     setChatHistory(prev => [...prev, {
       role: 'assistant',
-      content: '⏳ Preparing document: Converting footnotes to MLA inline citations and aligning terminology with Church Style Guide...'
+      content: resumed
+        ? `⏳ Resuming preparation from section ${completed.length + 1} of ${sectionCount}...`
+        : '⏳ Preparing document: Converting footnotes to MLA inline citations and aligning terminology with Church Style Guide...'
     }]);
 
+    const controller = new AbortController();
+    prepareAbortRef.current = controller;
+
+    // Keep finished sections so a failure or cancel can resume from the next one
+    const keepFinishedSections = () => {
+      if (completed.length === 0) return '';
+      setInterruptedPreparation({ documentId: activeDocumentId, source: content, completed, sectionCount });
+      return `\n\nSections 1–${completed.length} of ${sectionCount} are done. Click "Resume Preparation" to continue from section ${completed.length + 1}.`;
+    };
+
     try {
-      const preparedText = await prepareDocument(content, (progressMsg) => {
-        // Update the last chat message with progress
-        setChatHistory(prev => {
-          const newHistory = [...prev];
-          newHistory[newHistory.length - 1] = {
-            role: 'assistant',
-            content: `⏳ ${progressMsg}`
-          };
-          return newHistory;
-        });
+      const preparedText = await prepareDocument(content, {
+        documentId: activeDocumentId,
+        signal: controller.signal,
+        completed,
+        onSectionDone: (text, total) => {
+          completed.push(text);
+          sectionCount = total;
+        },
+        onProgress: (progressMsg) => {
+          // Update the last chat message with progress
+          setChatHistory(prev => {
+            const newHistory = [...prev];
+            newHistory[newHistory.length - 1] = {
+              role: 'assistant',
+              content: `⏳ ${progressMsg}`
+            };
+            return newHistory;
+          });
+        }
       });
+      recordUndo('Prepare document');
+      if (trackChanges || trackedChanges.length > 0) {
+        updateTrackedChanges(diffEdits(content, preparedText).map(edit => ({
+          ...edit,
+          source: 'preparation',
+          reason: 'Footnotes converted to MLA citations and terminology aligned with the Church Style Guide'
+        })));
+      }
       setContent(preparedText);
       setSuggestions([]);
       
@@ -326,39 +600,65 @@ export default function Editor() {
       }]);
       
     } catch (err) {
+      if (err.sectionCount) sectionCount = err.sectionCount;
+      if (isAbortError(err)) {
+        const resumeNote = keepFinishedSections();
+        setChatHistory(prev => [...prev, {
+          role: 'assistant',
+          content: `Preparation cancelled. Your original text is unchanged.${resumeNote}`
+        }]);
+        return;
+      }
       console.error('Preparation error:', err);
-      setError(`Document preparation failed: ${err.message}`);
+      const where = err.section && sectionCount > 1 ? ` on section ${err.section} of ${sectionCount}` : '';
+      setError(`Document preparation failed${where}: ${err.message}`);
+      const resumeNote = keepFinishedSections();
       setChatHistory(prev => [...prev, {
         role: 'assistant',
-        content: `I encountered an issue during preparation: ${err.message}\n\nYour original text is unchanged. Would you like to try again?`
+        content: `I encountered an issue during preparation${where}: ${err.message}\n\nYour original text is unchanged.${resumeNote || ' Would you like to try again?'}`
       }]);
     } finally {
+      prepareAbortRef.current = null;
       setIsPreparing(false);
     }
   };
 
-  const callClaudeAPI = async (messages, systemPrompt) => {
-    const response = await fetch('/api/claude', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-5-20250929',
-        max_tokens: 4000,
-        system: systemPrompt,
-        messages: messages
-      })
-    });
+  const cancelPreparation = () => prepareAbortRef.current?.abort();
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(errorData.error || `API error: ${response.status}`);
-    }
+  // Preparation, analysis and chat finish into the open document, so the
+  // library stays closed until they are done
+  const busyWith = isPreparing ? 'preparation'
+    : isAnalyzing ? 'the analysis'
+    : isChatLoading ? 'the chat reply'
+    : null;
+
+  const currentUser = auth.getUser();
 
-    const data = await response.json();
-    return data.content.map(item => item.text || '').join('\n');
+  // Rules belong to whoever is signed in; without sign-in there is one author
+  const ruleOwner = currentUser?.username || 'default';
+  const dismissalRules = suggestionRules[ruleOwner] || [];
+  const saveDismissalRules = (rules) => setSuggestionRules(prev => ({ ...prev, [ruleOwner]: rules }));
+
+  // Reloading drops in-memory state and shows the sign-in screen
+  const signOut = async () => {
+    setShowAccountMenu(false);
+    try {
+      await auth.logout();
+    } catch (err) {
+      console.error('Sign out failed:', err);
+    }
+    window.location.reload();
   };
 
-  const analyzeContent = async () => {
+  // Only resumable while the same document's text is untouched
+  const resumablePreparation = interruptedPreparation
+    && interruptedPreparation.documentId === activeDocumentId
+    && interruptedPreparation.source === content
+    ? interruptedPreparation
+    : null;
+
+  // `fresh` skips the analysis cache and always asks Claude
+  const analyzeContent = async ({ fresh = false } = {}) => {
     if (!content.trim() || content === SAMPLE_TEXT) {
       setError('Please paste your chapter content before analyzing.');
       return;
@@ -366,90 +666,158 @@ export default function Editor() {
     
     setIsAnalyzing(true);
     setError(null);
+    recordUndo('Analyze');
     setSuggestions([]);
 
     const modeDescriptions = activeModes.map(m => getModePrompt(m)).join('\n\n');
-    
-    const systemPrompt = `You are an expert editorial assistant helping Aaron refine his religious ministry writings for "Words of Plainness." Aaron is a retired science teacher, ordained Elder, and minister who bridges scientific understanding with spiritual insight. His writing serves both Latter-day Saint audiences and interfaith readers.
-
-Your task is to analyze the provided text and return editorial suggestions.
-
-${modeDescriptions}
-
-Return approximately ${suggestionLimit === 'exhaustive' ? '25-40' : suggestionLimit} suggestions as a JSON array. Each suggestion must have this structure:
-{
-  "original": "exact text from document",
-  "suggestion": "proposed replacement",
-  "reason": "brief explanation",
-  "mode": "clarity|grammar|tone|scripture|terminology"
-}
+    const modes = EDITORIAL_MODES.map(m => m.id);
+    const exclusions = exclusionPrompt(dismissalRules, getModeName);
+    // Suggestions that still rewrite protected phrasing are left out
+    const withoutExcluded = (list) => applyRules(list, dismissalRules);
+    const excludedNote = (excluded) => (excluded.length > 0
+      ? `\n\n${excluded.length} suggestion${excluded.length !== 1 ? 's' : ''} matched your don't-suggest rules and ${excluded.length !== 1 ? 'were' : 'was'} left out.`
+      : '');
+    // The text may have been edited while the analysis ran, so suggestions
+    // are found again in it rather than kept at the offsets they came with
+    const placeInCurrentText = (list) => placeSuggestions(contentRef.current, list);
+    const unplacedNote = (unplaced) => (unplaced.length > 0
+      ? `\n\n${unplaced.length} suggestion${unplaced.length !== 1 ? 's were' : ' was'} for text you changed while the analysis ran and ${unplaced.length !== 1 ? 'were' : 'was'} left out.`
+      : '');
+
+    // Long chapters are analyzed a section at a time, so output isn't cut off
+    // and suggestions are spread across the whole text
+    const chunks = splitIntoChunks(content);
+    const budgets = allocateSuggestionBudget(suggestionLimit, chunks, MAX_WORDS_PER_CHUNK);
+    const multiSection = chunks.length > 1;
+    const updateChunk = (idx, update) =>
+      setAnalysisChunks(prev => prev.map((chunk, i) => (i === idx ? { ...chunk, ...update } : chunk)));
+    setAnalysisChunks(chunks.map(() => ({ status: 'pending' })));
+
+    const analyzeChunk = async (chunk, idx) => {
+      // No share of the suggestion count left for this section
+      if (budgets[idx] === '0') {
+        updateChunk(idx, { status: 'done', count: 0 });
+        return { suggestions: [], rejected: [], truncated: false };
+      }
+      updateChunk(idx, { status: 'running' });
 
-CRITICAL FORMATTING RULES:
-1. Return ONLY raw JSON - NO markdown, NO code fences, NO backticks
-2. Start your response directly with [ and end with ]
-3. Do not wrap in \`\`\`json or any other formatting
+      // Tools, system prompt and text form the cached prefix; the mode
+      // instructions and suggestion count follow it
+      const data = await createMessage({
+        model: ANALYSIS_MODEL,
+        max_tokens: 4000,
+        system: exclusions ? `${ANALYSIS_SYSTEM_PROMPT}\n\n${exclusions}` : ANALYSIS_SYSTEM_PROMPT,
+        tools: [suggestionTool(modes)],
+        tool_choice: { type: 'tool', name: SUGGESTION_TOOL_NAME },
+        meta: { operation: 'analyze', documentId: activeDocumentId, modes: activeModes },
+        messages: [{
+          role: 'user',
+          content: [
+            cachedText(multiSection
+              ? `Section ${idx + 1} of ${chunks.length} of a longer chapter:\n\n${chunk.text}`
+              : `Text to analyze:\n\n${chunk.text}`),
+            {
+              type: 'text',
+              text: `${modeDescriptions}\n\nReturn approximately ${budgets[idx]} suggestions${multiSection ? ' for this section only' : ''} by calling the ${SUGGESTION_TOOL_NAME} tool.`
+            }
+          ]
+        }]
+      });
 
-Example response format:
-[{"original":"text here","suggestion":"new text","reason":"why","mode":"clarity"}]`;
+      const result = parseSuggestionResponse(data, { modes, content: chunk.text });
+      updateChunk(idx, { status: 'done', count: result.suggestions.length });
+      return {
+        ...result,
+        suggestions: result.suggestions.map(s => ({
+          ...s,
+          start: s.start + chunk.start,
+          end: s.end + chunk.start,
+          anchor: createAnchor(content, s.start + chunk.start, s.end + chunk.start)
+        }))
+      };
+    };
 
     try {
-      const response = await callClaudeAPI(
-        [{ role: 'user', content: `Analyze this text and return suggestions as a JSON array. Remember: raw JSON only, no markdown formatting, start directly with [:\n\n${content}` }],
-        systemPrompt
-      );
-
-      // Strip any markdown fences first
-      let cleanResponse = response.trim();
-      cleanResponse = cleanResponse.replace(/^```json\s*/i, '');
-      cleanResponse = cleanResponse.replace(/^```\s*/i, '');
-      cleanResponse = cleanResponse.replace(/\s*```$/g, '');
-      
-      // Extract JSON array - find first [ and last ]
-      const startBracket = cleanResponse.indexOf('[');
-      const endBracket = cleanResponse.lastIndexOf(']');
-      
-      if (startBracket === -1 || endBracket === -1) {
-        const preview = cleanResponse.substring(0, 300).replace(/\n/g, ' ');
-        throw new Error(`No JSON array found. Response was: "${preview}..."`);
+      const cacheKey = await analysisCache.keyFor({
+        content,
+        modes: activeModes,
+        suggestionLimit,
+        promptVersion: ANALYSIS_PROMPT_VERSION,
+        model: ANALYSIS_MODEL,
+        exclusions
+      });
+      const cached = fresh ? null : await analysisCache.get(cacheKey);
+      if (cached) {
+        const { kept, excluded } = withoutExcluded(cached.result.suggestions);
+        const { placed: cachedSuggestions, unplaced } = placeInCurrentText(kept);
+        const session = analysisHistory.createSession({
+          modes: activeModes,
+          suggestionLimit,
+          wordCount,
+          suggestions: cachedSuggestions
+        }, activeDocumentId);
+        setSuggestions(cachedSuggestions.map(s => ({ ...s, sessionId: session.id })));
+        setCachedAnalysis({ cachedAt: cached.cachedAt, source: cached.source });
+        setChatHistory(prev => [...prev, {
+          role: 'assistant',
+          content: `This text was already analyzed with the same focus areas and suggestion count on ${new Date(cached.cachedAt).toLocaleString()}${cached.source === 'server' ? ' (on another device)' : ''}, so I reused those ${cachedSuggestions.length} suggestion${cachedSuggestions.length !== 1 ? 's' : ''} without calling Claude.\n\nClick "Fresh analysis" for a new set.` + excludedNote(excluded) + unplacedNote(unplaced)
+        }]);
+        return;
       }
-      
-      let jsonString = cleanResponse.substring(startBracket, endBracket + 1);
-      
-      // Clean up common issues
-      jsonString = jsonString.replace(/[\x00-\x1F\x7F]/g, ' ');
-      
-      let parsedSuggestions;
-      try {
-        parsedSuggestions = JSON.parse(jsonString);
-      } catch (parseError) {
-        const preview = jsonString.substring(0, 300).replace(/\n/g, ' ');
-        throw new Error(`JSON parse failed: ${parseError.message}. JSON started with: "${preview}..."`);
+      setCachedAnalysis(null);
+
+      // A failed section is reported on its own; the others still count
+      const results = await settleWithConcurrency(chunks, ANALYSIS_CONCURRENCY, async (chunk, idx) => {
+        try {
+          return await analyzeChunk(chunk, idx);
+        } catch (err) {
+          updateChunk(idx, { status: 'failed', error: err.message });
+          throw err;
+        }
+      });
+
+      const sections = results.map((result, idx) => ({ ...result, section: idx + 1 }));
+      const failed = sections.filter(r => r.status === 'rejected');
+      if (failed.length === sections.length) throw failed[0].reason;
+      const succeeded = sections.filter(r => r.status === 'fulfilled');
+
+      const merged = mergeSuggestions(succeeded.map(r => r.value.suggestions));
+      const { kept, excluded } = withoutExcluded(merged);
+      const { placed: processedSuggestions, unplaced } = placeInCurrentText(kept);
+      const rejected = succeeded.flatMap(r => r.value.rejected.map(item => ({ ...item, section: r.section })));
+      const truncated = succeeded.filter(r => r.value.truncated).map(r => r.section);
+      // Only complete runs are cached; a partial one is worth retrying
+      if (failed.length === 0 && truncated.length === 0) {
+        analysisCache.put(cacheKey, { suggestions: merged });
       }
-      
-      // Process suggestions to add IDs and find positions
-      const processedSuggestions = parsedSuggestions
-        .map((s, idx) => {
-          const start = content.indexOf(s.original);
-          if (start === -1) return null;
-          return {
-            id: idx + 1,
-            original: s.original,
-            suggestion: s.suggestion,
-            reason: s.reason,
-            mode: s.mode,
-            start: start,
-            end: start + s.original.length
-          };
-        })
-        .filter(s => s !== null);
-
-      setSuggestions(processedSuggestions);
+
+      // Keep the run so it survives a reload and can be resumed later
+      const session = analysisHistory.createSession({
+        modes: activeModes,
+        suggestionLimit,
+        wordCount,
+        suggestions: processedSuggestions
+      }, activeDocumentId);
+      setSuggestions(processedSuggestions.map(s => ({ ...s, sessionId: session.id })));
+
+      const sectionLabel = (section) => (multiSection ? `Section ${section}` : '');
+      const skippedNote = rejected.length > 0
+        ? `\n\n${rejected.length} suggestion${rejected.length !== 1 ? 's were' : ' was'} skipped:\n${rejected.slice(0, 5).map(r => `• ${multiSection ? `${sectionLabel(r.section)}, ` : ''}#${r.index} "${r.preview}" — ${r.problems.join('; ')}`).join('\n')}${rejected.length > 5 ? `\n• ...and ${rejected.length - 5} more` : ''}`
+        : '';
+      const truncatedNote = truncated.length > 0
+        ? `\n\nThe response${multiSection ? ` for section ${truncated.join(', ')}` : ''} was cut off before it finished, so some suggestions may be missing.`
+        : '';
+      const failedNote = failed.length > 0
+        ? `\n\n${failed.length} of ${sections.length} sections couldn't be analyzed:\n${failed.map(r => `• ${sectionLabel(r.section)}: ${r.reason.message}`).join('\n')}\nRun the analysis again to retry them.`
+        : '';
       
       setChatHistory(prev => [...prev, {
         role: 'assistant',
-        content: processedSuggestions.length > 0 
+        content: (processedSuggestions.length > 0 
           ? `Analysis complete. I found ${processedSuggestions.length} suggestion${processedSuggestions.length !== 1 ? 's' : ''} based on your selected editorial focus areas.\n\nReview them in the margin—hover over highlighted text to see the connection. Accept or dismiss each as you see fit.`
-          : `Analysis complete. The text looks strong for your selected focus areas.\n\nWould you like to try different focus areas, or discuss specific aspects of the writing?`
+          : rejected.length > 0
+            ? 'Analysis complete, but none of the suggestions could be used.'
+            : `Analysis complete. The text looks strong for your selected focus areas.\n\nWould you like to try different focus areas, or discuss specific aspects of the writing?`) + excludedNote(excluded) + unplacedNote(unplaced) + skippedNote + truncatedNote + failedNote
       }]);
 
     } catch (err) {
@@ -461,46 +829,252 @@ Example response format:
       }]);
     } finally {
       setIsAnalyzing(false);
+      setAnalysisChunks([]);
     }
   };
 
-  const acceptSuggestion = (suggestion) => {
-    const newContent = content.substring(0, suggestion.start) + 
-                       suggestion.suggestion + 
-                       content.substring(suggestion.end);
-    setContent(newContent);
-    
+  // Undo/redo covers the text, the pending suggestions and tracked changes together
+  const recordUndo = (label, options) => {
+    undoHistoryRef.current.record(label, { content, suggestions, changes: trackedChanges }, options);
+    setUndoLabels(undoHistoryRef.current.peek());
+  };
+
+  const stepHistory = (direction) => {
+    const history = undoHistoryRef.current;
+    const entry = direction === 'undo'
+      ? history.undo({ content, suggestions, changes: trackedChanges })
+      : history.redo({ content, suggestions, changes: trackedChanges });
+    if (!entry) return;
+    setContent(entry.state.content);
+    setSuggestions(entry.state.suggestions);
+    setTrackedChanges(entry.state.changes);
+    applyDecisions(entry.decisions, direction === 'undo');
+    setUndoLabels(history.peek());
+  };
+  // The keyboard shortcut listener calls the latest stepHistory through this
+  stepHistoryRef.current = stepHistory;
+
+  // Decisions are recorded against the analysis run the suggestion came from
+  const decisionsFor = (suggestion, status, note = null) => (suggestion.sessionId ? [{
+    sessionId: suggestion.sessionId,
+    suggestionId: suggestion.id,
+    status,
+    customText: status === 'custom' ? suggestion.suggestion : null,
+    note
+  }] : []);
+
+  // Undoing puts the suggestions back to pending; redoing reapplies the decision
+  const applyDecisions = (decisions, revert = false) => {
+    decisions.forEach(d => analysisHistory.recordDecision(
+      d.sessionId,
+      d.suggestionId,
+      revert ? 'pending' : d.status,
+      revert ? null : d.customText,
+      activeDocumentId,
+      revert ? null : d.note
+    ));
+  };
+
+  // Edits to `content` ({ start, end, text } plus source, mode and reason)
+  // become tracked changes in track-changes mode; otherwise tracked changes
+  // just move with the text
+  const updateTrackedChanges = (edits) => {
+    setTrackedChanges(trackChanges ? trackEdits(content, trackedChanges, edits) : followEdits(trackedChanges, edits));
+  };
+
+  // A merged suggestion stands in for its `members`, which are each recorded
+  // as a custom edit. Suggestions competing for the replaced text are dismissed.
+  const acceptSuggestion = (suggestion, status = 'accepted') => {
+    const decided = suggestion.members || [suggestion];
+    const decidedIds = decided.map(s => s.id);
+    const others = suggestions.filter(s => !decidedIds.includes(s.id));
+    const competing = competingWith(suggestion, others);
+    const decisions = [
+      ...decided.flatMap(s => (suggestion.members
+        ? decisionsFor({ ...s, suggestion: suggestion.suggestion }, 'custom')
+        : decisionsFor(suggestion, status))),
+      ...competing.flatMap(s => decisionsFor(s, 'dismissed'))
+    ];
+    const label = suggestion.members ? 'Merge suggestions' : status === 'custom' ? 'Custom edit' : 'Accept suggestion';
+    recordUndo(label, { decisions });
+    applyDecisions(decisions);
     // Remove accepted suggestion and recalculate positions for remaining
-    const remainingSuggestions = suggestions
-      .filter(s => s.id !== suggestion.id)
-      .map(s => {
-        // Find the original text in the NEW content
-        const newStart = newContent.indexOf(s.original);
-        if (newStart === -1) return null; // Text no longer exists
-        return {
-          ...s,
-          start: newStart,
-          end: newStart + s.original.length
-        };
-      })
-      .filter(s => s !== null);
-    
-    setSuggestions(remainingSuggestions);
+    const edit = {
+      start: suggestion.start,
+      end: suggestion.end,
+      text: suggestion.suggestion,
+      source: suggestion.members || status === 'custom' ? 'custom' : 'suggestion',
+      mode: suggestion.mode,
+      reason: suggestion.reason
+    };
+    const { content: newContent, placed, unplaced } = applyEdits(content, [edit], others.filter(s => !competing.includes(s)));
+    updateTrackedChanges([edit]);
+    setContent(newContent);
+    setSuggestions(placed);
     
     setChatHistory(prev => [...prev, {
       role: 'assistant',
-      content: `✓ Applied: "${suggestion.original.substring(0, 50)}${suggestion.original.length > 50 ? '...' : ''}" → "${suggestion.suggestion.substring(0, 50)}${suggestion.suggestion.length > 50 ? '...' : ''}"`
+      content: `✓ Applied: "${suggestion.original.substring(0, 50)}${suggestion.original.length > 50 ? '...' : ''}" → "${suggestion.suggestion.substring(0, 50)}${suggestion.suggestion.length > 50 ? '...' : ''}"` +
+        (competing.length > 0 ? `\n\nDismissed ${competing.length} competing suggestion${competing.length !== 1 ? 's' : ''} for the same text.` : '') +
+        (unplaced.length > 0 ? `\n\n${unplaced.length} other suggestion${unplaced.length !== 1 ? 's' : ''} could no longer be placed and ${unplaced.length !== 1 ? 'were' : 'was'} removed.` : '')
+    }]);
+  };
+
+  // `reason` is kept with the decision. A `rule` is added to the author's
+  // don't-suggest rules, and pending suggestions it matches go too.
+  const dismissSuggestion = (suggestion, { reason = '', rule = null } = {}) => {
+    const alsoMatching = rule ? suggestions.filter(s => s.id !== suggestion.id && ruleMatches(rule, s)) : [];
+    const dismissed = [suggestion, ...alsoMatching];
+    const decisions = dismissed.flatMap(s => decisionsFor(s, 'dismissed', reason || null));
+    recordUndo('Dismiss suggestion', { decisions });
+    applyDecisions(decisions);
+    setSuggestions(prev => prev.filter(s => !dismissed.includes(s)));
+    setDismissingSuggestion(null);
+    if (rule) saveDismissalRules([...dismissalRules, rule]);
+    setChatHistory(prev => [...prev, {
+      role: 'assistant',
+      content: `Dismissed suggestion. Your original phrasing preserved.` +
+        (rule ? `\n\nI won't suggest changing ${describeRule(rule, getModeName)} again. Manage this under Rules in the Suggestions panel.` : '') +
+        (alsoMatching.length > 0 ? `\n\n${alsoMatching.length} other pending suggestion${alsoMatching.length !== 1 ? 's' : ''} matching it ${alsoMatching.length !== 1 ? 'were' : 'was'} dismissed too.` : '')
+    }]);
+  };
+
+  // Suggestions shown in the margin and highlighted in the text
+  const filterQuery = reviewFilter.query.trim().toLowerCase();
+  const visibleSuggestions = suggestions.filter(s => {
+    if (reviewFilter.mode !== 'all' && s.mode !== reviewFilter.mode) return false;
+    if (reviewFilter.status !== 'all'
+      && (competingWith(s, suggestions).length > 0) !== (reviewFilter.status === 'overlapping')) return false;
+    return !filterQuery || [s.original, s.suggestion, s.reason].some(text => text.toLowerCase().includes(filterQuery));
+  });
+  const isFiltered = visibleSuggestions.length !== suggestions.length;
+
+  const countByMode = (list) => Object.entries(list.reduce((counts, s) => ({ ...counts, [s.mode]: (counts[s.mode] || 0) + 1 }), {}))
+    .map(([mode, count]) => `• ${getModeName(mode)}: ${count}`)
+    .join('\n');
+
+  // Applies every visible suggestion in one undoable step. Visible suggestions
+  // that compete with each other are left for review one by one; hidden ones
+  // competing with an applied suggestion are dismissed, as for a single accept.
+  const acceptVisible = () => {
+    const conflicted = visibleSuggestions.filter(s => competingWith(s, visibleSuggestions).length > 0);
+    const toApply = visibleSuggestions.filter(s => !conflicted.includes(s));
+    if (toApply.length === 0) {
+      setChatHistory(prev => [...prev, {
+        role: 'assistant',
+        content: `All ${conflicted.length} visible suggestions overlap each other. Pick or merge them one group at a time.`
+      }]);
+      return;
+    }
+    if (!window.confirm(`Accept ${toApply.length} suggestion${toApply.length !== 1 ? 's' : ''}?${conflicted.length > 0 ? ` ${conflicted.length} overlapping suggestions will be left for you to review.` : ''}`)) return;
+
+    const rest = suggestions.filter(s => !toApply.includes(s));
+    const competing = rest.filter(s => !conflicted.includes(s) && toApply.some(applied => competingWith(applied, [s]).length > 0));
+    const decisions = [
+      ...toApply.flatMap(s => decisionsFor(s, 'accepted')),
+      ...competing.flatMap(s => decisionsFor(s, 'dismissed'))
+    ];
+    recordUndo(`Accept ${toApply.length} suggestions`, { decisions });
+    applyDecisions(decisions);
+    const edits = toApply.map(s => ({ start: s.start, end: s.end, text: s.suggestion, source: 'suggestion', mode: s.mode, reason: s.reason }));
+    const { content: newContent, placed, unplaced } = applyEdits(content, edits, rest.filter(s => !competing.includes(s)));
+    updateTrackedChanges(edits);
+    setContent(newContent);
+    setSuggestions(placed);
+
+    setChatHistory(prev => [...prev, {
+      role: 'assistant',
+      content: `✓ Accepted ${toApply.length} suggestion${toApply.length !== 1 ? 's' : ''}:\n${countByMode(toApply)}` +
+        (conflicted.length > 0 ? `\n\nLeft ${conflicted.length} overlapping suggestion${conflicted.length !== 1 ? 's' : ''} for you to pick from or merge.` : '') +
+        (competing.length > 0 ? `\n\nDismissed ${competing.length} hidden suggestion${competing.length !== 1 ? 's' : ''} competing for the same text.` : '') +
+        (unplaced.length > 0 ? `\n\n${unplaced.length} other suggestion${unplaced.length !== 1 ? 's' : ''} could no longer be placed and ${unplaced.length !== 1 ? 'were' : 'was'} removed.` : '') +
+        '\n\nUndo reverts the whole batch.'
+    }]);
+  };
+
+  const dismissVisible = () => {
+    if (!window.confirm(`Dismiss ${visibleSuggestions.length} suggestion${visibleSuggestions.length !== 1 ? 's' : ''}?`)) return;
+    const decisions = visibleSuggestions.flatMap(s => decisionsFor(s, 'dismissed'));
+    recordUndo(`Dismiss ${visibleSuggestions.length} suggestions`, { decisions });
+    applyDecisions(decisions);
+    setSuggestions(prev => prev.filter(s => !visibleSuggestions.includes(s)));
+    setChatHistory(prev => [...prev, {
+      role: 'assistant',
+      content: `Dismissed ${visibleSuggestions.length} suggestion${visibleSuggestions.length !== 1 ? 's' : ''}:\n${countByMode(visibleSuggestions)}\n\nUndo brings them all back.`
+    }]);
+  };
+
+  const toggleTrackChanges = () => {
+    const enabled = !trackChanges;
+    setTrackChanges(enabled);
+    setChatHistory(prev => [...prev, {
+      role: 'assistant',
+      content: enabled
+        ? 'Track changes is on. Accepted suggestions, custom edits and document preparation will be kept as changes you can finalize or reject under Tracked changes.'
+        : `Track changes is off. New edits won't be tracked${trackedChanges.length > 0 ? `; the ${trackedChanges.length} change${trackedChanges.length !== 1 ? 's' : ''} already tracked stay for review` : ''}.`
+    }]);
+  };
+
+  // Finalizing keeps the text as it is and stops tracking the change
+  const finalizeChanges = (ids) => {
+    recordUndo(ids.length === 1 ? 'Finalize change' : `Finalize ${ids.length} changes`);
+    setTrackedChanges(prev => prev.filter(c => !ids.includes(c.id)));
+  };
+
+  // Rejecting puts back the text each change replaced
+  const rejectTrackedChanges = (ids) => {
+    recordUndo(ids.length === 1 ? 'Reject change' : `Reject ${ids.length} changes`);
+    const result = rejectChanges(content, trackedChanges, ids);
+    const { placed, unplaced } = applyEdits(content, result.edits, suggestions);
+    setContent(result.content);
+    setTrackedChanges(result.changes);
+    setSuggestions(placed);
+    setChatHistory(prev => [...prev, {
+      role: 'assistant',
+      content: `Rejected ${ids.length} tracked change${ids.length !== 1 ? 's' : ''}; the earlier wording is back.` +
+        (unplaced.length > 0 ? `\n\n${unplaced.length} suggestion${unplaced.length !== 1 ? 's' : ''} could no longer be placed and ${unplaced.length !== 1 ? 'were' : 'was'} removed.` : '')
     }]);
   };
 
-  const dismissSuggestion = (suggestion) => {
-    setSuggestions(prev => prev.filter(s => s.id !== suggestion.id));
+  const describeChange = (change) =>
+    `${CHANGE_SOURCES[change.source] || 'Edit'}${change.mode ? ` — ${getModeName(change.mode)}` : ''}${change.reason ? `: ${change.reason}` : ''}`;
+
+  // Combine overlapping suggestions into one replacement and open it for review
+  const mergeGroup = (group) => {
+    const merged = mergeAlternatives(content, group);
+    setExpandedSuggestion({
+      ...merged,
+      id: `merged-${group.suggestions.map(s => s.id).join('-')}`,
+      mode: group.suggestions[0].mode,
+      reason: group.suggestions.map(s => `${getModeName(s.mode)}: ${s.reason}`).join('\n'),
+      members: group.suggestions
+    });
+    setCustomEdit('');
+  };
+
+  // Bring back a past run's undecided suggestions, located in the current text
+  const resumeAnalysis = (session) => {
+    const pending = session.suggestions.filter(s => s.status === 'pending');
+    const { placed: located, unplaced } = placeSuggestions(content, pending.map(s => ({ ...s, sessionId: session.id })));
+    const missing = unplaced.length;
+
+    recordUndo('Resume analysis');
+    setSuggestions(located);
+    setShowAnalysisHistory(false);
     setChatHistory(prev => [...prev, {
       role: 'assistant',
-      content: `Dismissed suggestion. Your original phrasing preserved.`
+      content: `Resumed the analysis from ${new Date(session.createdAt).toLocaleString()}: ${located.length} suggestion${located.length !== 1 ? 's' : ''} left to review.` +
+        (missing > 0 ? `\n\n${missing} no longer match the text and were skipped.` : '')
     }]);
   };
 
+  const deleteAnalysis = (session) => {
+    const confirmDelete = window.confirm(`Delete the analysis run from ${new Date(session.createdAt).toLocaleString()}?`);
+    if (!confirmDelete) return;
+    analysisHistory.deleteSession(session.id, activeDocumentId);
+    setSuggestions(prev => prev.filter(s => s.sessionId !== session.id));
+  };
+
   const handleChatSubmit = async (e) => {
     e.preventDefault();
     if (!chatInput.trim() || isChatLoading) return;
@@ -510,7 +1084,10 @@ Example response format:
     setChatHistory(prev => [...prev, { role: 'user', content: userMessage }]);
     setIsChatLoading(true);
 
-    const systemPrompt = `You are an editorial collaborator helping Aaron refine his religious ministry writings for "Words of Plainness."
+    // Profile and document stay the same from turn to turn, so they are
+    // cached; only what changes between turns comes after them
+    const systemPrompt = [
+      cachedText(`You are an editorial collaborator helping Aaron refine his religious ministry writings for "Words of Plainness."
 
 Context about Aaron:
 - Retired high school science teacher with 26 years experience
@@ -518,14 +1095,14 @@ Context about Aaron:
 - Full-time RV traveling minister providing interfaith dialogue
 - Combines scientific background with spiritual insight
 
+Be conversational, warm, and collaborative. Offer specific editorial guidance when asked.
+
 The current document being edited:
 """
-${content.substring(0, 3000)}${content.length > 3000 ? '...[truncated]' : ''}
-"""
-
-Current suggestions pending: ${suggestions.length}
-
-Be conversational, warm, and collaborative. Offer specific editorial guidance when asked.`;
+${content.substring(0, CHAT_DOCUMENT_CHARS)}${content.length > CHAT_DOCUMENT_CHARS ? '...[truncated]' : ''}
+"""`),
+      { type: 'text', text: `Current suggestions pending: ${suggestions.length}` }
+    ];
 
     const conversationMessages = chatHistory
       .filter(m => m.role === 'user' || m.role === 'assistant')
@@ -534,25 +1111,58 @@ Be conversational, warm, and collaborative. Offer specific editorial guidance wh
     
     conversationMessages.push({ role: 'user', content: userMessage });
 
+    // The reply is added on its first token and filled in as the rest arrives.
+    // replyId finds it again even if other messages are posted meanwhile.
+    const replyId = `reply-${Date.now()}`;
+    const updateReply = (text) => setChatHistory(prev =>
+      prev.some(m => m.replyId === replyId)
+        ? prev.map(m => (m.replyId === replyId ? { ...m, content: text } : m))
+        : [...prev, { role: 'assistant', content: text, replyId }]
+    );
+    const finishReply = (format) => setChatHistory(prev => {
+      const reply = prev.find(m => m.replyId === replyId);
+      const rest = prev.filter(m => m.replyId !== replyId);
+      const message = format(reply?.content || '');
+      return message ? [...rest, { role: 'assistant', content: message }] : rest;
+    });
+
+    const controller = new AbortController();
+    chatAbortRef.current = controller;
+
     try {
-      const response = await callClaudeAPI(conversationMessages, systemPrompt);
-      setChatHistory(prev => [...prev, { role: 'assistant', content: response }]);
+      await streamMessage({
+        model: 'claude-sonnet-4-5-20250929',
+        max_tokens: 4000,
+        system: systemPrompt,
+        messages: conversationMessages,
+        meta: { operation: 'chat', documentId: activeDocumentId }
+      }, {
+        signal: controller.signal,
+        onText: (_, soFar) => updateReply(soFar)
+      });
+      finishReply(text => text);
     } catch (err) {
-      setChatHistory(prev => [...prev, { 
-        role: 'assistant', 
-        content: `I had trouble processing that request: ${err.message}`
-      }]);
+      if (isAbortError(err)) {
+        finishReply(text => (text ? `${text}\n\n(stopped)` : 'Cancelled.'));
+      } else if (err.category === 'truncated') {
+        finishReply(text => `${text}\n\n(This reply reached its length limit and was cut off.)`);
+      } else {
+        finishReply(text => `${text ? `${text}\n\n` : ''}I had trouble processing that request: ${err.message}`);
+      }
     } finally {
+      chatAbortRef.current = null;
       setIsChatLoading(false);
     }
   };
 
+  const cancelChatReply = () => chatAbortRef.current?.abort();
+
   const saveVersion = () => {
     const label = prompt('Version label (optional):', `Version ${versions.length + 1}`);
     if (label !== null) {
-      const newVersion = versioning.saveVersion(content, label);
+      const newVersion = versioning.saveVersion(content, label, activeDocumentId);
       if (newVersion) {
-        setVersions(versioning.getVersions());
+        setVersions(versioning.getVersions(activeDocumentId));
         setChatHistory(prev => [...prev, {
           role: 'assistant',
           content: `✓ Saved version: "${newVersion.label}" (${newVersion.wordCount} words)`
@@ -562,11 +1172,14 @@ Be conversational, warm, and collaborative. Offer specific editorial guidance wh
   };
 
   const restoreVersion = (id) => {
-    const restored = versioning.restoreVersion(id);
+    const restored = versioning.restoreVersion(id, activeDocumentId);
     if (restored) {
+      recordUndo('Restore version');
+      setTrackedChanges(moveSpans(trackedChanges, changedRange(content, restored)));
       setContent(restored);
       setSuggestions([]);
       setShowVersionMenu(false);
+      setCompareVersionId(null);
       setChatHistory(prev => [...prev, {
         role: 'assistant',
         content: '✓ Version restored.'
@@ -574,27 +1187,257 @@ Be conversational, warm, and collaborative. Offer specific editorial guidance wh
     }
   };
 
-  const startNewDocument = () => {
-    if (content !== SAMPLE_TEXT && content.trim()) {
-      const confirmClear = window.confirm(
-        'Start a new document? Your current work will be saved to version history.'
+  // `restored` is where the restored passage sits in newContent
+  const restoreParagraph = (newContent, versionLabel, restored) => {
+    recordUndo('Restore paragraph');
+    setTrackedChanges(moveSpans(trackedChanges, changedRange(content, newContent)));
+    setContent(newContent);
+    // Suggestions elsewhere move with the text; those in the passage no longer apply
+    setSuggestions(remapSuggestions(content, newContent, suggestions)
+      .filter(s => s.end <= restored.start || s.start >= restored.end));
+    setChatHistory(prev => [...prev, {
+      role: 'assistant',
+      content: `✓ Restored a passage from "${versionLabel}".`
+    }]);
+  };
+
+  const toggleVersionPin = (version) => {
+    versioning.pinVersion(version.id, !version.pinned, activeDocumentId);
+    setVersions(versioning.getVersions(activeDocumentId));
+  };
+
+  const deleteVersion = (version) => {
+    if (version.pinned && !window.confirm(`"${version.label}" is pinned. Delete it anyway?`)) return;
+    versioning.deleteVersion(version.id, activeDocumentId);
+    setVersions(versioning.getVersions(activeDocumentId));
+  };
+
+  const changeVersionRetention = (policy) => {
+    if (policy !== 'all') {
+      const confirmPrune = window.confirm(
+        `Apply "${RETENTION_POLICIES[policy]}" to every document now? Older unpinned versions will be removed.`
       );
-      if (!confirmClear) return;
-      
-      versioning.saveVersion(content, 'Auto-save before new document');
-      setVersions(versioning.getVersions());
+      if (!confirmPrune) return;
     }
-    
-    setContent(SAMPLE_TEXT);
-    setSuggestions([]);
-    setChatHistory([WELCOME_MESSAGE]);
+    setVersionRetention(policy);
+    versioning.applyRetention(policy);
+    setVersions(versioning.getVersions(activeDocumentId));
+  };
+
+  const refreshLibrary = () => {
+    setDocuments(library.listDocuments());
+    setBooks(library.listBooks());
+  };
+
+  // Write the open document immediately, bypassing the auto-save debounce
+  const persistActiveDocument = () => {
+    // Writes are held while another tab's edit is unresolved; keep ours as a version
+    if (storage.hasConflict(activeDocumentId)) {
+      versioning.saveVersion(content, 'Unsaved edits from this tab', activeDocumentId, { auto: true });
+      return;
+    }
+    if (content !== SAMPLE_TEXT) storage.saveContent(content, activeDocumentId);
+    storage.saveChatHistory(chatHistory, activeDocumentId);
+    storage.saveSuggestions(suggestions, activeDocumentId);
+    storage.saveTracking({ enabled: trackChanges, changes: trackedChanges }, activeDocumentId);
+  };
+
+  const loadDocument = (id) => {
+    library.setActiveDocumentId(id);
+    setActiveDocumentId(id);
+    setContent(storage.loadContent(id) || SAMPLE_TEXT);
+    setChatHistory(storage.loadChatHistory(id) || [WELCOME_MESSAGE]);
+    setSuggestions(storage.loadSuggestions(id));
+    const tracking = storage.loadTracking(id);
+    setTrackChanges(tracking.enabled);
+    setTrackedChanges(tracking.changes);
+    setVersions(versioning.getVersions(id));
+    setExpandedSuggestion(null);
+    setCachedAnalysis(null);
     setError(null);
-    storage.saveContent('');
-    storage.saveChatHistory([WELCOME_MESSAGE]);
+    setTabConflict(false);
+    undoHistoryRef.current.clear();
+    setUndoLabels(undoHistoryRef.current.peek());
+    refreshLibrary();
+  };
+
+  // Settle an edit made in another tab. The text that is not kept is saved as
+  // a version; 'merge' keeps ours and opens the comparison to pull theirs in.
+  const resolveTabConflict = (choice) => {
+    if (choice === 'theirs') {
+      versioning.saveVersion(content, 'Unsaved edits from this tab', activeDocumentId, { auto: true });
+      loadDocument(activeDocumentId);
+      return;
+    }
+
+    const theirs = versioning.saveVersion(storage.loadContent(activeDocumentId) || '', 'Edits from another tab', activeDocumentId, { auto: true });
+    storage.resolveConflict(activeDocumentId);
+    persistActiveDocument();
+    setVersions(versioning.getVersions(activeDocumentId));
+    setTabConflict(false);
+    if (choice === 'merge') setCompareVersionId(theirs.id);
+  };
+
+  const switchDocument = (id) => {
+    if (id === activeDocumentId) return;
+    persistActiveDocument();
+    loadDocument(id);
+  };
+
+  const startNewDocument = () => {
+    const title = prompt('Document title:', 'Untitled document');
+    if (title === null) return;
+
+    persistActiveDocument();
+    const doc = library.createDocument({ title: title.trim() || undefined, chatHistory: [WELCOME_MESSAGE] });
+    loadDocument(doc.id);
+  };
+
+  const renameDocument = (doc) => {
+    const title = prompt('Rename document:', doc.title);
+    if (title === null) return;
+    library.renameDocument(doc.id, title);
+    refreshLibrary();
+  };
+
+  const duplicateDocument = (id) => {
+    if (id === activeDocumentId) persistActiveDocument();
+    library.duplicateDocument(id);
+    refreshLibrary();
+  };
+
+  const deleteDocument = (doc) => {
+    const confirmDelete = window.confirm(
+      `Delete "${doc.title}"? Its content, chat history and saved versions will be removed permanently.`
+    );
+    if (!confirmDelete) return;
+
+    const nextId = library.deleteDocument(doc.id);
+    if (doc.id !== activeDocumentId) {
+      refreshLibrary();
+      return;
+    }
+    if (nextId) {
+      loadDocument(nextId);
+    } else {
+      const fresh = library.createDocument({ chatHistory: [WELCOME_MESSAGE] });
+      loadDocument(fresh.id);
+    }
+  };
+
+  const createBook = () => {
+    const title = prompt('Book title:', '');
+    if (title === null) return;
+    library.createBook(title);
+    refreshLibrary();
+  };
+
+  const renameBook = (book) => {
+    const title = prompt('Rename book:', book.title);
+    if (title === null) return;
+    library.renameBook(book.id, title);
+    refreshLibrary();
+  };
+
+  const deleteBook = (book) => {
+    const confirmDelete = window.confirm(
+      `Delete the book "${book.title}"? Its chapters will be kept as separate documents.`
+    );
+    if (!confirmDelete) return;
+    library.deleteBook(book.id);
+    refreshLibrary();
+  };
+
+  const assignToBook = (docId, bookId) => {
+    if (bookId) {
+      library.addChapter(bookId, docId);
+    } else {
+      library.removeChapter(docId);
+    }
+    refreshLibrary();
+  };
+
+  const moveChapter = (bookId, docId, offset) => {
+    library.moveChapter(bookId, docId, offset);
+    refreshLibrary();
+  };
+
+  const backUpEverything = () => {
+    setShowExportMenu(false);
+    persistActiveDocument();
+
+    const archive = storage.exportAll();
+    const blob = new Blob([JSON.stringify(archive, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `words-of-plainness-backup-${archive.exportedAt.slice(0, 10)}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+
+    setChatHistory(prev => [...prev, {
+      role: 'assistant',
+      content: `✓ Backup saved with ${archive.documents.length} document${archive.documents.length !== 1 ? 's' : ''} and their version history. Keep the file somewhere safe; use "Restore from backup" to bring it back.`
+    }]);
+  };
+
+  const chooseBackupFile = () => {
+    setShowExportMenu(false);
+    if (busyWith) {
+      setError(`Wait for ${busyWith} to finish before restoring a backup.`);
+      return;
+    }
+    backupInputRef.current?.click();
+  };
+
+  const readBackupFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setPendingBackup({ ...parseBackup(await file.text()), fileName: file.name });
+    } catch (err) {
+      setError(`Could not read backup: ${err.message}`);
+    }
+  };
+
+  const restoreBackup = async (archive, mode) => {
+    persistActiveDocument();
+    const ok = await storage.importAll(archive, { mode });
+    setPendingBackup(null);
+
+    const prefs = storage.loadPreferences();
+    setActiveModes(prefs?.activeModes || ['clarity']);
+    setVersionRetention(prefs?.versionRetention || 'all');
+    loadDocument(library.getActiveDocumentId());
+
+    if (!ok) {
+      setError('Some of the backup could not be saved. Check the save indicator for details.');
+      return;
+    }
+    setChatHistory(prev => [...prev, {
+      role: 'assistant',
+      content: `✓ Restored ${archive.documents.length} document${archive.documents.length !== 1 ? 's' : ''} from backup.`
+    }]);
   };
 
+  const activeDocument = documents.find(d => d.id === activeDocumentId);
+  const activeBook = books.find(b => b.chapters.includes(activeDocumentId));
+
   const exportContent = async (format) => {
     setShowExportMenu(false);
+
+    // Tracked changes can go out as redlines in RTF and HTML
+    const withRedlines = trackedChanges.length > 0 && ['docx', 'gdocs', 'html'].includes(format) && window.confirm(
+      `Include the ${trackedChanges.length} tracked change${trackedChanges.length !== 1 ? 's' : ''} as redlines?\n\nOK shows insertions and deletions with their reasons. Cancel exports the text as it reads now.`
+    );
+    const lines = withRedlines
+      ? redlineLines(content, trackedChanges)
+      : content.split('\n').map(line => ({ text: line, parts: [{ type: 'equal', text: line }] }));
+    // Parts of a line after its first `marker` characters, leading spaces included
+    const bodyOf = (line, marker = 0) =>
+      withoutLeadingText(line.parts, line.text.length - line.text.trimStart().length + marker);
     
     if (format === 'docx' || format === 'gdocs') {
       const escapeRtf = (text) => {
@@ -605,29 +1448,41 @@ Be conversational, warm, and collaborative. Offer specific editorial guidance wh
           .replace(/\n/g, '\\par\n');
       };
       
-      const lines = content.split('\n');
+      // Insertions and deletions become Word revision marks, each change's
+      // reason a comment on it
+      const annotated = new Set();
+      const rtfText = (parts) => parts.map(part => {
+        const text = escapeRtf(part.text);
+        if (part.type === 'equal') return text;
+        const mark = `{\\${part.type === 'insert' ? 'revised' : 'deleted'}\\revauth1 ${text}}`;
+        if (annotated.has(part.change.id)) return mark;
+        annotated.add(part.change.id);
+        return `${mark}{\\*\\atnid WoP}{\\*\\atnauthor Words of Plainness}\\chatn{\\*\\annotation\\pard\\plain ${escapeRtf(describeChange(part.change))}}`;
+      }).join('');
+
       let rtfBody = '';
       
       lines.forEach(line => {
-        const trimmed = line.trim();
+        const trimmed = line.text.trim();
         if (trimmed.startsWith('# ')) {
-          rtfBody += `{\\pard\\sb400\\sa200\\b\\fs36 ${escapeRtf(trimmed.substring(2))}\\b0\\par}\n`;
+          rtfBody += `{\\pard\\sb400\\sa200\\b\\fs36 ${rtfText(bodyOf(line, 2))}\\b0\\par}\n`;
         } else if (trimmed.startsWith('## ')) {
-          rtfBody += `{\\pard\\sb300\\sa150\\b\\fs28 ${escapeRtf(trimmed.substring(3))}\\b0\\par}\n`;
+          rtfBody += `{\\pard\\sb300\\sa150\\b\\fs28 ${rtfText(bodyOf(line, 3))}\\b0\\par}\n`;
         } else if (trimmed.startsWith('### ')) {
-          rtfBody += `{\\pard\\sb240\\sa120\\b\\fs24 ${escapeRtf(trimmed.substring(4))}\\b0\\par}\n`;
+          rtfBody += `{\\pard\\sb240\\sa120\\b\\fs24 ${rtfText(bodyOf(line, 4))}\\b0\\par}\n`;
         } else if (trimmed.startsWith('• ') || trimmed.startsWith('- ') || trimmed.startsWith('* ')) {
-          rtfBody += `{\\pard\\li720\\sa120 \\bullet  ${escapeRtf(trimmed.substring(2))}\\par}\n`;
-        } else if (trimmed === '') {
+          rtfBody += `{\\pard\\li720\\sa120 \\bullet  ${rtfText(bodyOf(line, 2))}\\par}\n`;
+        } else if (trimmed === '' && !line.parts.some(part => part.type === 'delete')) {
           rtfBody += `{\\pard\\sa200\\par}\n`;
         } else {
-          rtfBody += `{\\pard\\sa200\\sl360\\slmult1\\qj ${escapeRtf(line)}\\par}\n`;
+          rtfBody += `{\\pard\\sa200\\sl360\\slmult1\\qj ${rtfText(line.parts)}\\par}\n`;
         }
       });
       
       const rtfContent = `{\\rtf1\\ansi\\deff0
 {\\fonttbl{\\f0\\froman Georgia;}{\\f1\\fswiss Arial;}}
 {\\colortbl;\\red44\\green36\\blue22;}
+{\\*\\revtbl {Unknown;}{Words of Plainness;}}
 \\paperw12240\\paperh15840
 \\margl1440\\margr1440\\margt1440\\margb1440
 \\f0\\fs24\\cf1
@@ -655,15 +1510,20 @@ ${rtfBody}
       let filename = `words-of-plainness-edited.${format}`;
       
       if (format === 'html') {
-        const htmlContent = content
-          .split('\n')
+        const escapeAttribute = (text) => text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+        const htmlText = (parts) => parts.map(part => {
+          if (part.type === 'equal') return part.text;
+          const tag = part.type === 'insert' ? 'ins' : 'del';
+          return `<${tag} title="${escapeAttribute(describeChange(part.change))}">${part.text}</${tag}>`;
+        }).join('');
+        const htmlContent = lines
           .map(line => {
-            const trimmed = line.trim();
-            if (trimmed.startsWith('# ')) return `<h1>${trimmed.substring(2)}</h1>`;
-            if (trimmed.startsWith('## ')) return `<h2>${trimmed.substring(3)}</h2>`;
-            if (trimmed.startsWith('### ')) return `<h3>${trimmed.substring(4)}</h3>`;
-            if (trimmed === '') return '';
-            return `<p>${line}</p>`;
+            const trimmed = line.text.trim();
+            if (trimmed.startsWith('# ')) return `<h1>${htmlText(bodyOf(line, 2))}</h1>`;
+            if (trimmed.startsWith('## ')) return `<h2>${htmlText(bodyOf(line, 3))}</h2>`;
+            if (trimmed.startsWith('### ')) return `<h3>${htmlText(bodyOf(line, 4))}</h3>`;
+            if (trimmed === '' && !line.parts.some(part => part.type === 'delete')) return '';
+            return `<p>${htmlText(line.parts)}</p>`;
           })
           .filter(line => line !== '')
           .join('\n');
@@ -677,6 +1537,8 @@ ${rtfBody}
     body { font-family: Georgia, serif; max-width: 750px; margin: 60px auto; padding: 0 24px; line-height: 1.8; color: #2c2416; }
     h1, h2, h3 { font-weight: 600; margin-top: 1.5em; }
     p { margin-bottom: 1em; text-align: justify; }
+    ins { color: #059669; text-decoration: underline; }
+    del { color: #b91c1c; text-decoration: line-through; }
   </style>
 </head>
 <body>
@@ -696,44 +1558,113 @@ ${htmlContent}
     }
   };
 
+  // One margin card; `competing` cards sit in a group of overlapping suggestions
+  const renderSuggestionCard = (suggestion, { competing = false } = {}) => (
+    <div
+      key={suggestion.id}
+      style={{
+        background: hoveredSuggestion === suggestion.id ? '#fff' : 'rgba(255,255,255,0.8)',
+        borderRadius: '10px',
+        padding: competing ? '12px' : '16px',
+        border: `1px solid ${hoveredSuggestion === suggestion.id ? getModeColor(suggestion.mode) : 'rgba(44,36,22,0.08)'}`,
+        boxShadow: hoveredSuggestion === suggestion.id ? `0 4px 12px ${getModeColor(suggestion.mode)}20` : '0 1px 3px rgba(0,0,0,0.03)',
+        transition: 'all 0.2s ease',
+        cursor: 'pointer'
+      }}
+      onMouseEnter={() => setHoveredSuggestion(suggestion.id)}
+      onMouseLeave={() => setHoveredSuggestion(null)}
+    >
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '10px' }}>
+        <span style={{ width: '8px', height: '8px', borderRadius: '50%', background: getModeColor(suggestion.mode) }} />
+        <span style={{ fontSize: '10px', color: getModeColor(suggestion.mode), fontFamily: '"Inter", system-ui, sans-serif', fontWeight: '600', letterSpacing: '0.05em', textTransform: 'uppercase' }}>
+          {getModeName(suggestion.mode)}
+        </span>
+      </div>
+      
+      <div style={{ fontSize: '13px', marginBottom: '8px' }}>
+        <span style={{ textDecoration: 'line-through', color: '#94867a', background: 'rgba(220,38,38,0.08)', padding: '1px 4px', borderRadius: '3px' }}>
+          {suggestion.original.substring(0, 80)}{suggestion.original.length > 80 ? '...' : ''}
+        </span>
+      </div>
+    <div 
+        onClick={() => { setExpandedSuggestion(suggestion); setCustomEdit(''); }}
+        style={{ fontSize: '13px', marginBottom: '8px', cursor: 'pointer' }}
+        title="Click to view full suggestion"
+      >
+        <span style={{ color: '#1e3a5f', fontWeight: '500', background: 'rgba(5,150,105,0.08)', padding: '1px 4px', borderRadius: '3px' }}>
+          {suggestion.suggestion.substring(0, 80)}{suggestion.suggestion.length > 80 ? '...' : ''}
+        </span>
+        {suggestion.suggestion.length > 80 && (
+          <span style={{ fontSize: '11px', color: '#059669', marginLeft: '6px' }}>⤢ expand</span>
+        )}
+      </div>
+      
+      <p style={{ fontSize: '11px', color: '#7a6f5f', margin: '0 0 12px 0', fontFamily: '"Inter", system-ui, sans-serif', lineHeight: '1.5' }}>
+        {suggestion.reason}
+      </p>
+      
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <button
+          onClick={() => acceptSuggestion(suggestion)}
+          style={{ flex: 1, padding: '6px 12px', background: 'linear-gradient(135deg, #059669 0%, #047857 100%)', border: 'none', borderRadius: '5px', fontSize: '11px', fontFamily: '"Inter", system-ui, sans-serif', fontWeight: '500', cursor: 'pointer', color: '#fff' }}
+        >
+          {competing ? 'Use this' : 'Accept'}
+        </button>
+        <button
+          onClick={() => dismissSuggestion(suggestion)}
+          style={{ flex: 1, padding: '6px 12px', background: 'transparent', border: '1px solid rgba(44,36,22,0.2)', borderRadius: '5px', fontSize: '11px', fontFamily: '"Inter", system-ui, sans-serif', fontWeight: '500', cursor: 'pointer', color: '#5a5044' }}
+        >
+          Dismiss
+        </button>
+        <button
+          onClick={() => setDismissingSuggestion(suggestion)}
+          title="Dismiss with a reason, or never suggest this again"
+          style={{ padding: '6px 8px', background: 'transparent', border: '1px solid rgba(44,36,22,0.2)', borderRadius: '5px', fontSize: '11px', fontFamily: '"Inter", system-ui, sans-serif', cursor: 'pointer', color: '#5a5044' }}
+        >
+          ⋯
+        </button>
+      </div>
+    </div>
+  );
+
+  // Overlapping suggestions split the text into segments; a segment under
+  // several suggestions gets one underline per suggestion, stacked
   const renderContentWithHighlights = () => {
-    if (suggestions.length === 0) return content;
+    if (visibleSuggestions.length === 0) return content;
     
     let result = [];
     let lastIndex = 0;
     
-    const sortedSuggestions = [...suggestions].sort((a, b) => a.start - b.start);
-    
-    sortedSuggestions.forEach((suggestion, idx) => {
-      if (suggestion.start > lastIndex) {
+    highlightSegments(visibleSuggestions).forEach(({ start, end, covering }) => {
+      if (start > lastIndex) {
         result.push(
-          <span key={`text-${idx}`}>
-            {content.substring(lastIndex, suggestion.start)}
+          <span key={`text-${lastIndex}`}>
+            {content.substring(lastIndex, start)}
           </span>
         );
       }
-      
+
+      // The hovered suggestion colors the segment; otherwise the innermost one
+      const [outermost, ...inner] = covering;
+      const shown = covering.find(s => s.id === hoveredSuggestion) || covering[covering.length - 1];
+      const isHovered = covering.some(s => s.id === hoveredSuggestion);
       result.push(
         <span
-          key={`highlight-${suggestion.id}`}
+          key={`highlight-${start}`}
           style={{
-            backgroundColor: hoveredSuggestion === suggestion.id 
-              ? `${getModeColor(suggestion.mode)}30` 
-              : `${getModeColor(suggestion.mode)}15`,
-            borderBottom: `2px solid ${getModeColor(suggestion.mode)}`,
-            cursor: 'pointer',
-            transition: 'all 0.2s ease',
-            padding: '0 2px',
-            borderRadius: '2px'
+            backgroundColor: isHovered
+              ? `${getModeColor(shown.mode)}30` 
+              : `${getModeColor(shown.mode)}15`,
+            borderBottom: `2px solid ${getModeColor(outermost.mode)}`,
+            boxShadow: inner.map((s, idx) => `0 ${2 * (idx + 1)}px 0 ${getModeColor(s.mode)}`).join(', ') || undefined,
+            transition: 'background-color 0.2s ease'
           }}
-          onMouseEnter={() => setHoveredSuggestion(suggestion.id)}
-          onMouseLeave={() => setHoveredSuggestion(null)}
         >
-          {content.substring(suggestion.start, suggestion.end)}
+          {content.substring(start, end)}
         </span>
       );
       
-      lastIndex = suggestion.end;
+      lastIndex = end;
     });
     
     if (lastIndex < content.length) {
@@ -747,6 +1678,41 @@ ${htmlContent}
     return result;
   };
 
+  // Tracked insertions are tinted green; a deletion with nothing put in its
+  // place is a red bar that takes no room
+  const renderTrackedChanges = () => {
+    const result = [];
+    let lastIndex = 0;
+    trackedChanges.forEach(change => {
+      if (change.start > lastIndex) {
+        result.push(<span key={`text-${lastIndex}`}>{content.substring(lastIndex, change.start)}</span>);
+      }
+      const isHovered = change.id === hoveredChange;
+      result.push(change.start === change.end ? (
+        <span
+          key={`change-${change.id}`}
+          style={{ borderLeft: `2px solid ${isHovered ? '#b91c1c' : 'rgba(185,28,28,0.6)'}`, margin: '0 -1px' }}
+        />
+      ) : (
+        <span
+          key={`change-${change.id}`}
+          style={{
+            backgroundColor: isHovered ? 'rgba(5,150,105,0.22)' : 'rgba(5,150,105,0.1)',
+            borderBottom: '1px dotted #059669',
+            transition: 'background-color 0.2s ease'
+          }}
+        >
+          {content.substring(change.start, change.end)}
+        </span>
+      ));
+      lastIndex = Math.max(lastIndex, change.end);
+    });
+    if (lastIndex < content.length) {
+      result.push(<span key="text-end">{content.substring(lastIndex)}</span>);
+    }
+    return result;
+  };
+
   return (
     <div style={{
       minHeight: '100vh',
@@ -808,21 +1774,48 @@ ${htmlContent}
           </div>
           
           <div style={{ display: 'flex', alignItems: 'center', gap: '16px' }}>
-            <span style={{
-              fontSize: '12px',
-              color: saveStatus === 'saved' ? '#059669' : '#7a6f5f',
-              fontFamily: '"Inter", system-ui, sans-serif',
-              display: 'flex',
-              alignItems: 'center',
-              gap: '4px'
-            }}>
+            <span
+              title={[
+                saveError,
+                storageUsage && `Using ${formatBytes(storageUsage.usage)} of ${formatBytes(storageUsage.quota)} browser storage`
+              ].filter(Boolean).join('\n')}
+              style={{
+                fontSize: '12px',
+                color: saveStatus === 'saved' ? '#059669' : saveStatus === 'error' ? '#dc2626' : '#7a6f5f',
+                fontFamily: '"Inter", system-ui, sans-serif',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '4px'
+              }}
+            >
               <span style={{ 
                 width: '6px', 
                 height: '6px', 
                 borderRadius: '50%', 
-                background: saveStatus === 'saved' ? '#059669' : '#f59e0b' 
+                background: saveStatus === 'saved' ? '#059669' : saveStatus === 'error' ? '#dc2626' : '#f59e0b' 
               }} />
-              {saveStatus === 'saving' ? 'Saving...' : 'Saved'}
+              {saveStatus === 'saving' ? 'Saving...' : saveStatus === 'error' ? 'Save failed' : 'Saved'}
+              {syncStatus !== 'disabled' && (
+                <span
+                  title={syncStatus === 'error' ? 'Cloud sync failed; retrying every minute' : undefined}
+                  style={{ color: syncStatus === 'synced' ? '#7a6f5f' : syncStatus === 'syncing' ? '#f59e0b' : '#dc2626' }}
+                >
+                  • ☁ {syncStatus === 'synced' ? 'Synced' : syncStatus === 'syncing' ? 'Syncing...' : syncStatus === 'offline' ? 'Offline' : 'Sync failed'}
+                </span>
+              )}
+              {budgetState !== 'ok' && (
+                <span
+                  onClick={auth.can('usage') ? () => setShowUsage(true) : undefined}
+                  style={{ color: budgetState === 'exceeded' ? '#b91c1c' : '#b45309', cursor: auth.can('usage') ? 'pointer' : 'default' }}
+                >
+                  • {budgetState === 'exceeded' ? 'Over monthly budget' : 'Near monthly budget'}
+                </span>
+              )}
+              {storageUsage && storageUsage.ratio > 0.9 && (
+                <span style={{ color: '#b45309' }}>
+                  • Storage {Math.round(storageUsage.ratio * 100)}% full
+                </span>
+              )}
             </span>
             
             <span style={{
@@ -833,9 +1826,31 @@ ${htmlContent}
               {wordCount.toLocaleString()} words
             </span>
             
+            {/* Document Library */}
+            <button
+              onClick={() => { refreshLibrary(); setShowLibrary(true); setShowVersionMenu(false); setShowExportMenu(false); }}
+              disabled={!!busyWith}
+              title={busyWith ? `Wait for ${busyWith} to finish, or cancel it` : undefined}
+              style={{
+                padding: '8px 12px',
+                background: 'transparent',
+                border: '1px solid rgba(44,36,22,0.2)',
+                borderRadius: '6px',
+                fontSize: '13px',
+                fontFamily: '"Inter", system-ui, sans-serif',
+                cursor: busyWith ? 'not-allowed' : 'pointer',
+                color: '#2c2416',
+                opacity: busyWith ? 0.5 : 1
+              }}
+            >
+              Library
+            </button>
+
             {/* New Document */}
             <button
               onClick={startNewDocument}
+              disabled={!!busyWith}
+              title={busyWith ? `Wait for ${busyWith} to finish, or cancel it` : undefined}
               style={{
                 padding: '8px 12px',
                 background: 'transparent',
@@ -843,8 +1858,9 @@ ${htmlContent}
                 borderRadius: '6px',
                 fontSize: '13px',
                 fontFamily: '"Inter", system-ui, sans-serif',
-                cursor: 'pointer',
-                color: '#2c2416'
+                cursor: busyWith ? 'not-allowed' : 'pointer',
+                color: '#2c2416',
+                opacity: busyWith ? 0.5 : 1
               }}
             >
               + New
@@ -853,7 +1869,7 @@ ${htmlContent}
             {/* Versions */}
             <div style={{ position: 'relative' }}>
               <button
-                onClick={() => { setShowVersionMenu(!showVersionMenu); setShowExportMenu(false); }}
+                onClick={() => { setShowVersionMenu(!showVersionMenu); setShowExportMenu(false); setShowAccountMenu(false); }}
                 style={{
                   padding: '8px 12px',
                   background: 'transparent',
@@ -877,7 +1893,7 @@ ${htmlContent}
                   border: '1px solid rgba(44,36,22,0.1)',
                   borderRadius: '8px',
                   boxShadow: '0 4px 20px rgba(0,0,0,0.1)',
-                  minWidth: '240px',
+                  minWidth: '300px',
                   zIndex: 100
                 }}>
                   <button
@@ -899,44 +1915,69 @@ ${htmlContent}
                   >
                     + Save Current Version
                   </button>
-                  {versions.length === 0 ? (
-                    <div style={{ padding: '16px', color: '#7a6f5f', fontSize: '12px', textAlign: 'center' }}>
-                      No saved versions yet
-                    </div>
-                  ) : (
-                    versions.map(v => (
-                      <button
-                        key={v.id}
-                        onClick={() => restoreVersion(v.id)}
-                        style={{
-                          display: 'block',
-                          width: '100%',
-                          padding: '10px 16px',
-                          background: 'transparent',
-                          border: 'none',
-                          borderBottom: '1px solid rgba(44,36,22,0.05)',
-                          textAlign: 'left',
-                          fontSize: '12px',
-                          fontFamily: '"Inter", system-ui, sans-serif',
-                          cursor: 'pointer',
-                          color: '#2c2416'
-                        }}
-                      >
-                        <div style={{ fontWeight: '500' }}>{v.label}</div>
-                        <div style={{ color: '#7a6f5f', fontSize: '11px' }}>
-                          {v.wordCount} words • {new Date(v.timestamp).toLocaleDateString()}
-                        </div>
-                      </button>
-                    ))
-                  )}
+                  <VersionTimeline
+                    versions={versions}
+                    onCompare={(id) => { setCompareVersionId(id); setShowVersionMenu(false); }}
+                    onTogglePin={toggleVersionPin}
+                    onDelete={deleteVersion}
+                  />
+                  <div style={{
+                    padding: '10px 16px',
+                    borderTop: '1px solid rgba(44,36,22,0.08)',
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '8px',
+                    fontSize: '11px',
+                    fontFamily: '"Inter", system-ui, sans-serif',
+                    color: '#7a6f5f'
+                  }}>
+                    <span>Retention:</span>
+                    <select
+                      value={versionRetention}
+                      onChange={(e) => changeVersionRetention(e.target.value)}
+                      style={{
+                        flex: 1,
+                        padding: '4px 6px',
+                        border: '1px solid rgba(44,36,22,0.15)',
+                        borderRadius: '4px',
+                        fontSize: '11px',
+                        fontFamily: '"Inter", system-ui, sans-serif',
+                        background: '#fff',
+                        color: '#2c2416'
+                      }}
+                    >
+                      {Object.entries(RETENTION_POLICIES).map(([id, name]) => (
+                        <option key={id} value={id}>{name}</option>
+                      ))}
+                    </select>
+                  </div>
                 </div>
               )}
             </div>
             
+            {/* Usage */}
+            {auth.can('usage') && (
+              <button
+                onClick={() => { setShowUsage(true); setShowExportMenu(false); setShowVersionMenu(false); setShowAccountMenu(false); }}
+                style={{
+                  padding: '8px 16px',
+                  background: 'transparent',
+                  border: '1px solid rgba(44,36,22,0.2)',
+                  borderRadius: '6px',
+                  fontSize: '13px',
+                  fontFamily: '"Inter", system-ui, sans-serif',
+                  cursor: 'pointer',
+                  color: '#2c2416'
+                }}
+              >
+                Usage
+              </button>
+            )}
+
             {/* Export */}
             <div style={{ position: 'relative' }}>
               <button
-                onClick={() => { setShowExportMenu(!showExportMenu); setShowVersionMenu(false); }}
+                onClick={() => { setShowExportMenu(!showExportMenu); setShowVersionMenu(false); setShowAccountMenu(false); }}
                 style={{
                   padding: '8px 16px',
                   background: 'transparent',
@@ -965,30 +2006,126 @@ ${htmlContent}
                 }}>
                   {['docx', 'gdocs', 'txt', 'md', 'html'].map(format => (
                     <button
-                      key={format}
-                      onClick={() => exportContent(format)}
+                      key={format}
+                      onClick={() => exportContent(format)}
+                      style={{
+                        display: 'block',
+                        width: '100%',
+                        padding: '10px 16px',
+                        background: 'transparent',
+                        border: 'none',
+                        borderBottom: '1px solid rgba(44,36,22,0.05)',
+                        textAlign: 'left',
+                        fontSize: '13px',
+                        fontFamily: '"Inter", system-ui, sans-serif',
+                        cursor: 'pointer',
+                        color: '#2c2416'
+                      }}
+                    >
+                      {format === 'docx' ? 'Word / RTF' : 
+                       format === 'gdocs' ? 'Google Docs' : 
+                       `.${format}`}
+                    </button>
+                  ))}
+                  {[['Back up everything', backUpEverything], ['Restore from backup...', chooseBackupFile]].map(([label, action]) => (
+                    <button
+                      key={label}
+                      onClick={action}
                       style={{
                         display: 'block',
                         width: '100%',
                         padding: '10px 16px',
-                        background: 'transparent',
+                        background: 'rgba(250,249,247,0.8)',
                         border: 'none',
                         borderBottom: '1px solid rgba(44,36,22,0.05)',
                         textAlign: 'left',
                         fontSize: '13px',
                         fontFamily: '"Inter", system-ui, sans-serif',
                         cursor: 'pointer',
-                        color: '#2c2416'
+                        color: '#1e3a5f'
                       }}
                     >
-                      {format === 'docx' ? 'Word / RTF' : 
-                       format === 'gdocs' ? 'Google Docs' : 
-                       `.${format}`}
+                      {label}
                     </button>
                   ))}
                 </div>
               )}
+              <input
+                ref={backupInputRef}
+                type="file"
+                accept="application/json,.json"
+                onChange={readBackupFile}
+                style={{ display: 'none' }}
+              />
             </div>
+
+            {/* Account (only when the deployment requires sign-in) */}
+            {currentUser && (
+              <div style={{ position: 'relative' }}>
+                <button
+                  onClick={() => { setShowAccountMenu(!showAccountMenu); setShowExportMenu(false); setShowVersionMenu(false); }}
+                  title={`Signed in as ${currentUser.username} (${currentUser.role})`}
+                  style={{
+                    padding: '8px 12px',
+                    background: 'transparent',
+                    border: '1px solid rgba(44,36,22,0.2)',
+                    borderRadius: '6px',
+                    fontSize: '13px',
+                    fontFamily: '"Inter", system-ui, sans-serif',
+                    cursor: 'pointer',
+                    color: '#2c2416'
+                  }}
+                >
+                  {currentUser.username} ▾
+                </button>
+                {showAccountMenu && (
+                  <div style={{
+                    position: 'absolute',
+                    top: '100%',
+                    right: 0,
+                    marginTop: '4px',
+                    background: '#fff',
+                    border: '1px solid rgba(44,36,22,0.1)',
+                    borderRadius: '8px',
+                    boxShadow: '0 4px 20px rgba(0,0,0,0.1)',
+                    minWidth: '200px',
+                    zIndex: 100,
+                    fontFamily: '"Inter", system-ui, sans-serif'
+                  }}>
+                    <p style={{ margin: 0, padding: '10px 16px', fontSize: '12px', color: '#7a6f5f', borderBottom: '1px solid rgba(44,36,22,0.05)' }}>
+                      Signed in as {currentUser.role === 'author' ? 'an author' : 'a reviewer'}
+                      {currentUser.role === 'reviewer' && (
+                        <span style={{ display: 'block', marginTop: '2px' }}>Your edits stay on this device.</span>
+                      )}
+                    </p>
+                    {[
+                      ...(auth.can('people') ? [['People & invites...', () => { setShowPeople(true); setShowAccountMenu(false); }]] : []),
+                      ['Sign out', signOut]
+                    ].map(([label, action]) => (
+                      <button
+                        key={label}
+                        onClick={action}
+                        style={{
+                          display: 'block',
+                          width: '100%',
+                          padding: '10px 16px',
+                          background: 'transparent',
+                          border: 'none',
+                          borderBottom: '1px solid rgba(44,36,22,0.05)',
+                          textAlign: 'left',
+                          fontSize: '13px',
+                          fontFamily: '"Inter", system-ui, sans-serif',
+                          cursor: 'pointer',
+                          color: '#2c2416'
+                        }}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
           </div>
         </div>
       </header>
@@ -1072,7 +2209,7 @@ ${htmlContent}
             </select>
           
           <button
-            onClick={analyzeContent}
+            onClick={() => analyzeContent()}
             disabled={isAnalyzing || activeModes.length === 0}
             style={{
               padding: '8px 20px',
@@ -1102,8 +2239,76 @@ ${htmlContent}
                 animation: 'spin 1s linear infinite'
               }} />
             )}
-            {isAnalyzing ? 'Analyzing...' : 'Analyze Content'}
+            {isAnalyzing
+              ? analysisChunks.length > 1
+                ? `Analyzing ${analysisChunks.filter(c => c.status === 'done' || c.status === 'failed').length}/${analysisChunks.length}...`
+                : 'Analyzing...'
+              : 'Analyze Content'}
           </button>
+
+          {/* Suggestions reused from the analysis cache */}
+          {cachedAnalysis && !isAnalyzing && (
+            <>
+              <span
+                title={`Analyzed ${new Date(cachedAnalysis.cachedAt).toLocaleString()}${cachedAnalysis.source === 'server' ? ' on another device' : ''}; no API call was made`}
+                style={{
+                  padding: '3px 8px',
+                  background: 'rgba(5,150,105,0.1)',
+                  borderRadius: '10px',
+                  fontSize: '11px',
+                  fontFamily: '"Inter", system-ui, sans-serif',
+                  fontWeight: '500',
+                  color: '#059669'
+                }}
+              >
+                Cached
+              </span>
+              <button
+                onClick={() => analyzeContent({ fresh: true })}
+                style={{
+                  padding: '4px 10px',
+                  background: 'transparent',
+                  border: '1px solid rgba(44,36,22,0.2)',
+                  borderRadius: '4px',
+                  fontSize: '11px',
+                  fontFamily: '"Inter", system-ui, sans-serif',
+                  cursor: 'pointer',
+                  color: '#5a5044'
+                }}
+              >
+                ↻ Fresh analysis
+              </button>
+            </>
+          )}
+
+          {/* Per-section progress for long chapters */}
+          {isAnalyzing && analysisChunks.length > 1 && (
+            <div style={{ display: 'flex', gap: '3px', alignItems: 'center' }}>
+              {analysisChunks.map((chunk, idx) => (
+                <span
+                  key={idx}
+                  title={`Section ${idx + 1}: ${
+                    chunk.status === 'done' ? `${chunk.count} suggestion${chunk.count !== 1 ? 's' : ''}`
+                      : chunk.status === 'failed' ? `failed (${chunk.error})`
+                      : chunk.status === 'running' ? 'analyzing...'
+                      : 'waiting'
+                  }`}
+                  style={{
+                    width: '14px',
+                    height: '6px',
+                    borderRadius: '3px',
+                    background: {
+                      pending: 'rgba(44,36,22,0.12)',
+                      running: '#94a3b8',
+                      done: '#059669',
+                      failed: '#b91c1c'
+                    }[chunk.status],
+                    transition: 'background 0.2s'
+                  }}
+                />
+              ))}
+            </div>
+          )}
         </div>
         
         {error && (
@@ -1159,14 +2364,40 @@ ${htmlContent}
               margin: 0,
               fontFamily: '"Inter", system-ui, sans-serif'
             }}>
-              Chapter Editor
+              {activeBook && (
+                <span style={{ color: '#7a6f5f', fontWeight: '500' }}>
+                  {activeBook.title} › Chapter {activeBook.chapters.indexOf(activeDocumentId) + 1} ›{' '}
+                </span>
+              )}
+              {activeDocument?.title || 'Chapter Editor'}
             </h2>
             <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+              {isPreparing && (
+                <button
+                  onClick={cancelPreparation}
+                  title="Stop preparing and keep the original text"
+                  style={{
+                    padding: '6px 12px',
+                    background: 'transparent',
+                    border: '1px solid rgba(185,28,28,0.3)',
+                    borderRadius: '5px',
+                    fontSize: '11px',
+                    fontFamily: '"Inter", system-ui, sans-serif',
+                    fontWeight: '500',
+                    cursor: 'pointer',
+                    color: '#b91c1c'
+                  }}
+                >
+                  Cancel
+                </button>
+              )}
+
               {/* Prepare Document Button */}
               <div style={{ position: 'relative' }}>
                 <button
-                  onClick={() => setShowPrepareConfirm(true)}
+                  onClick={resumablePreparation ? handlePrepareDocument : () => setShowPrepareConfirm(true)}
                   disabled={isPreparing || content === SAMPLE_TEXT}
+                  title={resumablePreparation ? `Continue from section ${resumablePreparation.completed.length + 1} of ${resumablePreparation.sectionCount}` : undefined}
                   style={{
                     padding: '6px 12px',
                     background: isPreparing ? '#94a3b8' : 'linear-gradient(135deg, #b45309 0%, #92400e 100%)',
@@ -1193,7 +2424,11 @@ ${htmlContent}
                       animation: 'spin 1s linear infinite'
                     }} />
                   )}
-                  {isPreparing ? 'Preparing...' : '✦ Prepare Document'}
+                  {isPreparing
+                    ? 'Preparing...'
+                    : resumablePreparation
+                      ? `↻ Resume Preparation (${resumablePreparation.completed.length}/${resumablePreparation.sectionCount})`
+                      : '✦ Prepare Document'}
                 </button>
                 
                 {showPrepareConfirm && (
@@ -1257,9 +2492,33 @@ ${htmlContent}
                 )}
               </div>
               
+              {[
+                ['undo', '↶', 'Undo', 'Ctrl+Z'],
+                ['redo', '↷', 'Redo', 'Ctrl+Shift+Z']
+              ].map(([direction, icon, name, shortcut]) => (
+                <button
+                  key={direction}
+                  onClick={() => stepHistory(direction)}
+                  disabled={!undoLabels[direction]}
+                  title={undoLabels[direction] ? `${name} ${undoLabels[direction].toLowerCase()} (${shortcut})` : `Nothing to ${name.toLowerCase()}`}
+                  style={{
+                    padding: '4px 8px',
+                    background: 'transparent',
+                    border: '1px solid rgba(44,36,22,0.15)',
+                    borderRadius: '4px',
+                    fontSize: '13px',
+                    lineHeight: 1,
+                    cursor: undoLabels[direction] ? 'pointer' : 'default',
+                    color: undoLabels[direction] ? '#2c2416' : '#c7bfb3'
+                  }}
+                >
+                  {icon}
+                </button>
+              ))}
+
               {suggestions.length > 0 && (
                 <button
-                  onClick={() => setSuggestions([])}
+                  onClick={() => { recordUndo('Clear highlights'); setSuggestions([]); }}
                   style={{
                     padding: '4px 10px',
                     background: 'transparent',
@@ -1274,33 +2533,108 @@ ${htmlContent}
                   Clear highlights
                 </button>
               )}
+
+              <button
+                onClick={toggleTrackChanges}
+                title={trackChanges ? 'Stop tracking new edits' : 'Keep accepted suggestions, custom edits and preparation changes for review'}
+                style={{
+                  padding: '4px 10px',
+                  background: trackChanges ? 'rgba(5,150,105,0.1)' : 'transparent',
+                  border: `1px solid ${trackChanges ? '#059669' : 'rgba(44,36,22,0.15)'}`,
+                  borderRadius: '4px',
+                  fontSize: '11px',
+                  fontFamily: '"Inter", system-ui, sans-serif',
+                  cursor: 'pointer',
+                  color: trackChanges ? '#059669' : '#7a6f5f'
+                }}
+              >
+                Track changes{trackChanges ? ': on' : ''}
+              </button>
             </div>
           </div>
-          <div ref={editorRef} style={{ flex: 1, padding: '24px', minHeight: '500px' }}>
-            {suggestions.length > 0 ? (
-              <div style={{ fontSize: '16px', lineHeight: '1.8', whiteSpace: 'pre-wrap', color: '#2c2416' }}>
-                {renderContentWithHighlights()}
+          {tabConflict && (
+            <div style={{
+              padding: '12px 20px',
+              background: 'rgba(180,83,9,0.08)',
+              borderBottom: '1px solid rgba(180,83,9,0.2)',
+              fontSize: '13px',
+              fontFamily: '"Inter", system-ui, sans-serif',
+              color: '#92400e'
+            }}>
+              <div style={{ fontWeight: '600', marginBottom: '4px' }}>This document was changed in another tab.</div>
+              <div style={{ fontSize: '12px', marginBottom: '10px' }}>
+                Your edits here aren't being saved until you choose. The version you don't keep is saved in version history.
+              </div>
+              <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+                {[
+                  ['theirs', 'Load the other tab\'s version'],
+                  ['mine', 'Keep this version'],
+                  ['merge', 'Compare and merge...']
+                ].map(([choice, label]) => (
+                  <button
+                    key={choice}
+                    onClick={() => resolveTabConflict(choice)}
+                    style={{
+                      padding: '5px 12px',
+                      background: choice === 'merge' ? '#b45309' : 'transparent',
+                      border: '1px solid rgba(180,83,9,0.4)',
+                      borderRadius: '5px',
+                      fontSize: '12px',
+                      fontFamily: '"Inter", system-ui, sans-serif',
+                      cursor: 'pointer',
+                      color: choice === 'merge' ? '#fff' : '#92400e'
+                    }}
+                  >
+                    {label}
+                  </button>
+                ))}
               </div>
-            ) : (
+            </div>
+          )}
+          <div ref={editorRef} style={{ flex: 1, padding: '24px', minHeight: '500px' }}>
+            {/* Highlights are drawn on a layer behind the transparent textarea,
+                so the text stays editable while suggestions are shown */}
+            <div style={{ position: 'relative' }}>
+              {trackedChanges.length > 0 && (
+                <div
+                  aria-hidden="true"
+                  style={{ ...editorTextStyle, position: 'absolute', inset: 0, overflow: 'hidden', color: 'transparent', pointerEvents: 'none' }}
+                >
+                  {renderTrackedChanges()}
+                  {'\u200b'}
+                </div>
+              )}
+              {visibleSuggestions.length > 0 && (
+                <div
+                  aria-hidden="true"
+                  style={{ ...editorTextStyle, position: 'absolute', inset: 0, overflow: 'hidden', color: 'transparent', pointerEvents: 'none' }}
+                >
+                  {renderContentWithHighlights()}
+                  {/* Keeps a trailing newline from collapsing, as it doesn't in the textarea */}
+                  {'\u200b'}
+                </div>
+              )}
               <textarea
+                ref={textareaRef}
                 value={content}
-                onChange={(e) => setContent(e.target.value)}
+                onChange={(e) => editContent(e.target.value)}
+                onSelect={followCaret}
+                // Preparation replaces the whole text, so edits made meanwhile would be lost
+                readOnly={tabConflict || isPreparing}
+                title={isPreparing ? 'Editing is paused while the document is prepared' : undefined}
                 style={{
-                  width: '100%',
-                  height: '100%',
+                  ...editorTextStyle,
+                  position: 'relative',
                   minHeight: '500px',
-                  border: 'none',
                   outline: 'none',
                   resize: 'none',
-                  fontSize: '16px',
-                  lineHeight: '1.8',
-                  fontFamily: '"Source Serif 4", Georgia, serif',
+                  overflow: 'hidden',
                   color: '#2c2416',
                   background: 'transparent'
                 }}
                 placeholder="Paste your chapter content here..."
               />
-            )}
+            </div>
           </div>
         </div>
         
@@ -1316,73 +2650,218 @@ ${htmlContent}
             <h2 style={{ fontSize: '13px', fontWeight: '600', color: '#1e3a5f', margin: '0 0 4px 0', fontFamily: '"Inter", system-ui, sans-serif' }}>
               Suggestions
             </h2>
-            <p style={{ fontSize: '12px', color: '#7a6f5f', margin: 0, fontFamily: '"Inter", system-ui, sans-serif' }}>
-              {suggestions.length} pending
-            </p>
-          </div>
-          
-          <div style={{ flex: 1, display: 'flex', flexDirection: 'column', gap: '12px', overflowY: 'auto', maxHeight: 'calc(100vh - 300px)' }}>
-            {suggestions.map(suggestion => (
-              <div
-                key={suggestion.id}
-                style={{
-                  background: hoveredSuggestion === suggestion.id ? '#fff' : 'rgba(255,255,255,0.8)',
-                  borderRadius: '10px',
-                  padding: '16px',
-                  border: `1px solid ${hoveredSuggestion === suggestion.id ? getModeColor(suggestion.mode) : 'rgba(44,36,22,0.08)'}`,
-                  boxShadow: hoveredSuggestion === suggestion.id ? `0 4px 12px ${getModeColor(suggestion.mode)}20` : '0 1px 3px rgba(0,0,0,0.03)',
-                  transition: 'all 0.2s ease',
-                  cursor: 'pointer'
-                }}
-                onMouseEnter={() => setHoveredSuggestion(suggestion.id)}
-                onMouseLeave={() => setHoveredSuggestion(null)}
-              >
-                <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '10px' }}>
-                  <span style={{ width: '8px', height: '8px', borderRadius: '50%', background: getModeColor(suggestion.mode) }} />
-                  <span style={{ fontSize: '10px', color: getModeColor(suggestion.mode), fontFamily: '"Inter", system-ui, sans-serif', fontWeight: '600', letterSpacing: '0.05em', textTransform: 'uppercase' }}>
-                    {EDITORIAL_MODES.find(m => m.id === suggestion.mode)?.name}
-                  </span>
-                </div>
-                
-                <div style={{ fontSize: '13px', marginBottom: '8px' }}>
-                  <span style={{ textDecoration: 'line-through', color: '#94867a', background: 'rgba(220,38,38,0.08)', padding: '1px 4px', borderRadius: '3px' }}>
-                    {suggestion.original.substring(0, 80)}{suggestion.original.length > 80 ? '...' : ''}
-                  </span>
-                </div>
-              <div 
-                  onClick={() => { setExpandedSuggestion(suggestion); setCustomEdit(''); }}
-                  style={{ fontSize: '13px', marginBottom: '8px', cursor: 'pointer' }}
-                  title="Click to view full suggestion"
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+              <p style={{ fontSize: '12px', color: '#7a6f5f', margin: 0, fontFamily: '"Inter", system-ui, sans-serif' }}>
+                {suggestions.length} pending
+              </p>
+              <div style={{ display: 'flex' }}>
+                <button
+                  onClick={() => setShowAnalysisHistory(true)}
+                  style={{
+                    padding: '2px 8px',
+                    background: 'transparent',
+                    border: 'none',
+                    fontSize: '11px',
+                    fontFamily: '"Inter", system-ui, sans-serif',
+                    cursor: 'pointer',
+                    color: '#1e3a5f',
+                    textDecoration: 'underline'
+                  }}
                 >
-                  <span style={{ color: '#1e3a5f', fontWeight: '500', background: 'rgba(5,150,105,0.08)', padding: '1px 4px', borderRadius: '3px' }}>
-                    {suggestion.suggestion.substring(0, 80)}{suggestion.suggestion.length > 80 ? '...' : ''}
-                  </span>
-                  {suggestion.suggestion.length > 80 && (
-                    <span style={{ fontSize: '11px', color: '#059669', marginLeft: '6px' }}>⤢ expand</span>
-                  )}
+                  Past analyses ({analysisHistory.listSessions(activeDocumentId).length})
+                </button>
+                <button
+                  onClick={() => setShowSuggestionRules(true)}
+                  title="Phrasing analysis should leave alone"
+                  style={{
+                    padding: '2px 8px',
+                    background: 'transparent',
+                    border: 'none',
+                    fontSize: '11px',
+                    fontFamily: '"Inter", system-ui, sans-serif',
+                    cursor: 'pointer',
+                    color: '#1e3a5f',
+                    textDecoration: 'underline'
+                  }}
+                >
+                  Rules ({dismissalRules.length})
+                </button>
+              </div>
+            </div>
+            {suggestions.length > 1 && (
+              <div style={{ marginTop: '10px', display: 'flex', flexDirection: 'column', gap: '6px', fontFamily: '"Inter", system-ui, sans-serif' }}>
+                <div style={{ display: 'flex', gap: '6px' }}>
+                  <select
+                    value={reviewFilter.mode}
+                    onChange={(e) => setReviewFilter(prev => ({ ...prev, mode: e.target.value }))}
+                    style={filterControlStyle}
+                  >
+                    <option value="all">All focus areas</option>
+                    {EDITORIAL_MODES.filter(m => suggestions.some(s => s.mode === m.id)).map(m => (
+                      <option key={m.id} value={m.id}>{m.name}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={reviewFilter.status}
+                    onChange={(e) => setReviewFilter(prev => ({ ...prev, status: e.target.value }))}
+                    style={filterControlStyle}
+                  >
+                    <option value="all">Any status</option>
+                    <option value="clear">No overlaps</option>
+                    <option value="overlapping">Overlapping</option>
+                  </select>
                 </div>
-                
-                <p style={{ fontSize: '11px', color: '#7a6f5f', margin: '0 0 12px 0', fontFamily: '"Inter", system-ui, sans-serif', lineHeight: '1.5' }}>
-                  {suggestion.reason}
-                </p>
-                
-                <div style={{ display: 'flex', gap: '8px' }}>
+                <input
+                  type="search"
+                  value={reviewFilter.query}
+                  onChange={(e) => setReviewFilter(prev => ({ ...prev, query: e.target.value }))}
+                  placeholder="Search suggestions..."
+                  style={filterControlStyle}
+                />
+                <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  <span style={{ flex: 1, fontSize: '11px', color: '#7a6f5f' }}>
+                    {isFiltered ? `Showing ${visibleSuggestions.length} of ${suggestions.length}` : 'All shown'}
+                  </span>
                   <button
-                    onClick={() => acceptSuggestion(suggestion)}
-                    style={{ flex: 1, padding: '6px 12px', background: 'linear-gradient(135deg, #059669 0%, #047857 100%)', border: 'none', borderRadius: '5px', fontSize: '11px', fontFamily: '"Inter", system-ui, sans-serif', fontWeight: '500', cursor: 'pointer', color: '#fff' }}
+                    onClick={acceptVisible}
+                    disabled={visibleSuggestions.length === 0}
+                    style={{ ...filterControlStyle, flex: 'none', cursor: 'pointer', color: '#059669', opacity: visibleSuggestions.length === 0 ? 0.5 : 1 }}
                   >
-                    Accept
+                    Accept {isFiltered ? 'visible' : 'all'}
                   </button>
                   <button
-                    onClick={() => dismissSuggestion(suggestion)}
-                    style={{ flex: 1, padding: '6px 12px', background: 'transparent', border: '1px solid rgba(44,36,22,0.2)', borderRadius: '5px', fontSize: '11px', fontFamily: '"Inter", system-ui, sans-serif', fontWeight: '500', cursor: 'pointer', color: '#5a5044' }}
+                    onClick={dismissVisible}
+                    disabled={visibleSuggestions.length === 0}
+                    style={{ ...filterControlStyle, flex: 'none', cursor: 'pointer', color: '#5a5044', opacity: visibleSuggestions.length === 0 ? 0.5 : 1 }}
                   >
-                    Dismiss
+                    Dismiss {isFiltered ? 'visible' : 'all'}
                   </button>
                 </div>
               </div>
+            )}
+          </div>
+
+          {(trackChanges || trackedChanges.length > 0) && (
+            <div style={{
+              padding: '16px 20px',
+              background: '#fff',
+              borderRadius: '12px',
+              boxShadow: '0 1px 3px rgba(0,0,0,0.04)',
+              border: '1px solid rgba(5,150,105,0.2)',
+              fontFamily: '"Inter", system-ui, sans-serif'
+            }}>
+              <h2 style={{ fontSize: '13px', fontWeight: '600', color: '#1e3a5f', margin: '0 0 4px 0' }}>
+                Tracked changes
+              </h2>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                <span style={{ flex: 1, fontSize: '12px', color: '#7a6f5f' }}>
+                  {trackedChanges.length} to review{trackChanges ? '' : ' · tracking off'}
+                </span>
+                {trackedChanges.length > 1 && (
+                  <>
+                    <button
+                      onClick={() => finalizeChanges(trackedChanges.map(c => c.id))}
+                      style={{ ...filterControlStyle, flex: 'none', cursor: 'pointer', color: '#059669' }}
+                    >
+                      Finalize all
+                    </button>
+                    <button
+                      onClick={() => rejectTrackedChanges(trackedChanges.map(c => c.id))}
+                      style={{ ...filterControlStyle, flex: 'none', cursor: 'pointer', color: '#b91c1c' }}
+                    >
+                      Reject all
+                    </button>
+                  </>
+                )}
+              </div>
+              {trackedChanges.length > 0 && (
+                <div style={{ marginTop: '10px', display: 'flex', flexDirection: 'column', gap: '8px', overflowY: 'auto', maxHeight: '280px' }}>
+                  {trackedChanges.map(change => (
+                    <div
+                      key={change.id}
+                      onMouseEnter={() => setHoveredChange(change.id)}
+                      onMouseLeave={() => setHoveredChange(null)}
+                      style={{
+                        padding: '10px 12px',
+                        borderRadius: '8px',
+                        border: '1px solid rgba(44,36,22,0.08)',
+                        background: hoveredChange === change.id ? 'rgba(5,150,105,0.05)' : 'rgba(250,249,247,0.6)'
+                      }}
+                    >
+                      <div style={{ fontSize: '10px', fontWeight: '600', color: '#059669', letterSpacing: '0.05em', textTransform: 'uppercase', marginBottom: '4px' }}>
+                        {CHANGE_SOURCES[change.source] || 'Edit'}{change.mode ? ` · ${getModeName(change.mode)}` : ''}
+                      </div>
+                      <p style={{ fontSize: '13px', margin: '0 0 4px 0', lineHeight: '1.5', fontFamily: '"Source Serif 4", Georgia, serif' }}>
+                        {change.deleted && (
+                          <span style={{ color: '#b91c1c', textDecoration: 'line-through' }}>{change.deleted}</span>
+                        )}
+                        {change.deleted && change.end > change.start && ' → '}
+                        {change.end > change.start && (
+                          <span style={{ color: '#059669' }}>{content.slice(change.start, change.end)}</span>
+                        )}
+                      </p>
+                      {change.reason && (
+                        <p style={{ fontSize: '11px', color: '#7a6f5f', margin: '0 0 6px 0', lineHeight: '1.5' }}>
+                          {change.reason}
+                        </p>
+                      )}
+                      <div style={{ display: 'flex', gap: '6px' }}>
+                        <button
+                          onClick={() => finalizeChanges([change.id])}
+                          title="Keep this change and stop tracking it"
+                          style={{ ...filterControlStyle, flex: 'none', cursor: 'pointer', color: '#059669' }}
+                        >
+                          Finalize
+                        </button>
+                        <button
+                          onClick={() => rejectTrackedChanges([change.id])}
+                          title="Put back the text this change replaced"
+                          style={{ ...filterControlStyle, flex: 'none', cursor: 'pointer', color: '#b91c1c' }}
+                        >
+                          Reject
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+          
+          <div style={{ flex: 1, display: 'flex', flexDirection: 'column', gap: '12px', overflowY: 'auto', maxHeight: 'calc(100vh - 300px)' }}>
+            {groupOverlapping(visibleSuggestions).map(group => (group.suggestions.length === 1
+              ? renderSuggestionCard(group.suggestions[0])
+              : (
+                <div
+                  key={`group-${group.suggestions[0].id}`}
+                  style={{ borderRadius: '12px', padding: '10px', border: '1px dashed rgba(180,83,9,0.4)', background: 'rgba(180,83,9,0.04)', display: 'flex', flexDirection: 'column', gap: '8px' }}
+                >
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontFamily: '"Inter", system-ui, sans-serif' }}>
+                    <span style={{ flex: 1, fontSize: '10px', fontWeight: '600', color: '#b45309', letterSpacing: '0.05em', textTransform: 'uppercase' }}>
+                      {group.suggestions.length} suggestions for the same text
+                    </span>
+                    <button
+                      onClick={() => mergeGroup(group)}
+                      title="Combine these into one replacement you can review"
+                      style={{ padding: '2px 10px', background: 'transparent', border: '1px solid rgba(180,83,9,0.4)', borderRadius: '4px', fontSize: '11px', fontFamily: '"Inter", system-ui, sans-serif', cursor: 'pointer', color: '#b45309' }}
+                    >
+                      Merge
+                    </button>
+                  </div>
+                  <p style={{ fontSize: '11px', color: '#7a6f5f', margin: 0, fontFamily: '"Inter", system-ui, sans-serif' }}>
+                    Pick one to use and the others are dismissed, or merge them.
+                  </p>
+                  {group.suggestions.map(suggestion => renderSuggestionCard(suggestion, { competing: true }))}
+                </div>
+              )
             ))}
             
+            {suggestions.length > 0 && visibleSuggestions.length === 0 && (
+              <p style={{ fontSize: '12px', color: '#7a6f5f', margin: 0, textAlign: 'center', fontFamily: '"Inter", system-ui, sans-serif' }}>
+                No suggestions match these filters.
+              </p>
+            )}
+
             {suggestions.length === 0 && !isAnalyzing && (
               <div style={{ background: 'rgba(255,255,255,0.6)', borderRadius: '10px', padding: '24px 16px', textAlign: 'center', border: '1px dashed rgba(44,36,22,0.15)' }}>
                 <p style={{ fontSize: '13px', color: '#7a6f5f', margin: 0, fontFamily: '"Inter", system-ui, sans-serif', lineHeight: '1.6' }}>
@@ -1433,7 +2912,7 @@ ${htmlContent}
                 {message.content}
               </div>
             ))}
-            {isChatLoading && (
+            {isChatLoading && !chatHistory.some(m => m.replyId) && (
               <div style={{ padding: '12px 14px', borderRadius: '10px', background: 'rgba(250,249,247,0.8)', alignSelf: 'flex-start', border: '1px solid rgba(44,36,22,0.08)' }}>
                 <span style={{ opacity: 0.5 }}>Thinking...</span>
               </div>
@@ -1460,21 +2939,42 @@ ${htmlContent}
                   background: '#fff'
                 }}
               />
-              <button
-                type="submit"
-                disabled={isChatLoading || !chatInput.trim()}
-                style={{
-                  padding: '10px 16px',
-                  background: isChatLoading || !chatInput.trim() ? '#94a3b8' : 'linear-gradient(135deg, #1e3a5f 0%, #2d5a87 100%)',
-                  border: 'none',
-                  borderRadius: '8px',
-                  cursor: isChatLoading || !chatInput.trim() ? 'not-allowed' : 'pointer',
-                  color: '#fff',
-                  fontSize: '14px'
-                }}
-              >
-                →
-              </button>
+              {isChatLoading ? (
+                <button
+                  type="button"
+                  onClick={cancelChatReply}
+                  title="Stop this reply"
+                  style={{
+                    padding: '10px 14px',
+                    background: 'transparent',
+                    border: '1px solid rgba(185,28,28,0.3)',
+                    borderRadius: '8px',
+                    cursor: 'pointer',
+                    color: '#b91c1c',
+                    fontSize: '12px',
+                    fontFamily: '"Inter", system-ui, sans-serif',
+                    fontWeight: '500'
+                  }}
+                >
+                  ■ Stop
+                </button>
+              ) : (
+                <button
+                  type="submit"
+                  disabled={!chatInput.trim()}
+                  style={{
+                    padding: '10px 16px',
+                    background: !chatInput.trim() ? '#94a3b8' : 'linear-gradient(135deg, #1e3a5f 0%, #2d5a87 100%)',
+                    border: 'none',
+                    borderRadius: '8px',
+                    cursor: !chatInput.trim() ? 'not-allowed' : 'pointer',
+                    color: '#fff',
+                    fontSize: '14px'
+                  }}
+                >
+                  →
+                </button>
+              )}
             </div>
           </form>
         </div>
@@ -1483,6 +2983,89 @@ ${htmlContent}
       <style>{`
         @keyframes spin { to { transform: rotate(360deg); } }
       `}</style>
+
+      {compareVersionId !== null && (
+        <VersionDiff
+          versions={versions}
+          currentContent={content}
+          getVersionContent={(id) => versioning.getVersionContent(id, activeDocumentId)}
+          initialVersionId={compareVersionId}
+          onRestoreVersion={restoreVersion}
+          onRestoreParagraph={restoreParagraph}
+          onClose={() => setCompareVersionId(null)}
+        />
+      )}
+
+      {showPeople && (
+        <PeopleDialog currentUsername={currentUser?.username} onClose={() => setShowPeople(false)} />
+      )}
+
+      {showUsage && (
+        <UsagePanel
+          documents={documents}
+          getModeName={getModeName}
+          onClose={() => setShowUsage(false)}
+        />
+      )}
+
+      {dismissingSuggestion && (
+        <DismissDialog
+          suggestion={dismissingSuggestion}
+          getModeName={getModeName}
+          onDismiss={(options) => dismissSuggestion(dismissingSuggestion, options)}
+          onClose={() => setDismissingSuggestion(null)}
+        />
+      )}
+
+      {showSuggestionRules && (
+        <SuggestionRules
+          rules={dismissalRules}
+          owner={currentUser?.username}
+          modes={EDITORIAL_MODES}
+          getModeName={getModeName}
+          onChange={saveDismissalRules}
+          onClose={() => setShowSuggestionRules(false)}
+        />
+      )}
+
+      {showAnalysisHistory && (
+        <AnalysisHistory
+          sessions={analysisHistory.listSessions(activeDocumentId)}
+          documentTitle={activeDocument?.title}
+          getModeName={getModeName}
+          onResume={resumeAnalysis}
+          onDelete={deleteAnalysis}
+          onClose={() => setShowAnalysisHistory(false)}
+        />
+      )}
+
+      {pendingBackup && (
+        <BackupRestoreDialog
+          backup={pendingBackup}
+          localDocuments={documents}
+          onRestore={restoreBackup}
+          onClose={() => setPendingBackup(null)}
+        />
+      )}
+
+      {showLibrary && (
+        <DocumentLibrary
+          documents={documents}
+          books={books}
+          activeDocumentId={activeDocumentId}
+          onClose={() => setShowLibrary(false)}
+          onSelect={(id) => { switchDocument(id); setShowLibrary(false); }}
+          onCreate={() => { startNewDocument(); setShowLibrary(false); }}
+          onRename={renameDocument}
+          onDuplicate={duplicateDocument}
+          onDelete={deleteDocument}
+          onCreateBook={createBook}
+          onRenameBook={renameBook}
+          onDeleteBook={deleteBook}
+          onAssignToBook={assignToBook}
+          onMoveChapter={moveChapter}
+        />
+      )}
       
       {/* Expanded Suggestion Modal */}
       {expandedSuggestion && (
@@ -1521,7 +3104,9 @@ ${htmlContent}
               <div style={{ display: 'flex', alignItems: 'center', gap: '10px' }}>
                 <span style={{ width: '10px', height: '10px', borderRadius: '50%', background: getModeColor(expandedSuggestion.mode) }} />
                 <span style={{ fontSize: '14px', fontWeight: '600', color: getModeColor(expandedSuggestion.mode), fontFamily: '"Inter", system-ui, sans-serif' }}>
-                  {EDITORIAL_MODES.find(m => m.id === expandedSuggestion.mode)?.name}
+                  {expandedSuggestion.members
+                    ? `Merged: ${expandedSuggestion.members.map(s => getModeName(s.mode)).join(' + ')}`
+                    : getModeName(expandedSuggestion.mode)}
                 </span>
               </div>
               <button
@@ -1553,7 +3138,7 @@ ${htmlContent}
               
               <div style={{ marginBottom: '20px' }}>
                 <label style={{ fontSize: '11px', fontWeight: '600', color: '#059669', fontFamily: '"Inter", system-ui, sans-serif', letterSpacing: '0.05em', textTransform: 'uppercase', display: 'block', marginBottom: '8px' }}>
-                  Suggested Replacement
+                  {expandedSuggestion.members ? 'Merged Replacement' : 'Suggested Replacement'}
                 </label>
                 <div style={{ 
                   padding: '16px', 
@@ -1568,6 +3153,11 @@ ${htmlContent}
                 }}>
                   {expandedSuggestion.suggestion}
                 </div>
+                {expandedSuggestion.skipped?.length > 0 && (
+                  <p style={{ fontSize: '12px', color: '#b45309', margin: '8px 0 0', fontFamily: '"Inter", system-ui, sans-serif' }}>
+                    {expandedSuggestion.skipped.length} of the {expandedSuggestion.members.length} suggestions rewrite the same words differently and couldn't be combined. Write a custom edit below to include them.
+                  </p>
+                )}
               </div>
               
               <div style={{ marginBottom: '20px' }}>
@@ -1582,7 +3172,8 @@ ${htmlContent}
                   fontSize: '14px',
                   lineHeight: '1.6',
                   color: '#5a5044',
-                  fontFamily: '"Inter", system-ui, sans-serif'
+                  fontFamily: '"Inter", system-ui, sans-serif',
+                  whiteSpace: 'pre-line'
                 }}>
                   {expandedSuggestion.reason}
                 </div>
@@ -1619,7 +3210,7 @@ ${htmlContent}
                   <button
                     onClick={() => {
                       const customSuggestion = { ...expandedSuggestion, suggestion: customEdit.trim() };
-                      acceptSuggestion(customSuggestion);
+                      acceptSuggestion(customSuggestion, 'custom');
                       setCustomEdit('');
                       setExpandedSuggestion(null);
                     }}
@@ -1656,7 +3247,7 @@ ${htmlContent}
                     boxShadow: '0 2px 8px rgba(5,150,105,0.3)'
                   }}
                 >
-                  Accept Suggestion
+                  {expandedSuggestion.members ? 'Apply Merge' : 'Accept Suggestion'}
                 </button>
                 <button
                   onClick={() => { setCustomEdit(''); setExpandedSuggestion(null); }}
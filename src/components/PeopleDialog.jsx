@@ -0,0 +1,178 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { auth } from '../lib/auth';
+
+const ROLE_DESCRIPTIONS = {
+  author: 'Edits and syncs documents, sees usage',
+  reviewer: 'Reads synced documents and runs analysis; edits stay on their device'
+};
+
+const sectionTitleStyle = {
+  margin: '16px 0 6px',
+  fontSize: '11px',
+  fontWeight: '600',
+  color: '#7a6f5f',
+  letterSpacing: '0.08em',
+  textTransform: 'uppercase'
+};
+
+const rowStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '12px',
+  padding: '8px 0',
+  borderTop: '1px solid rgba(44,36,22,0.06)',
+  fontSize: '13px',
+  color: '#2c2416'
+};
+
+const smallButtonStyle = {
+  padding: '4px 10px',
+  background: 'transparent',
+  border: '1px solid rgba(44,36,22,0.2)',
+  borderRadius: '4px',
+  fontSize: '11px',
+  fontFamily: '"Inter", system-ui, sans-serif',
+  cursor: 'pointer',
+  color: '#5a5044'
+};
+
+// Who can sign in, pending invites, and new invite links (authors only)
+export default function PeopleDialog({ currentUsername, onClose }) {
+  const [people, setPeople] = useState(null);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(() => {
+    auth.listPeople().then(setPeople).catch(err => setError(err.message));
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const run = async (action) => {
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+    refresh();
+  };
+
+  const invite = (role) => run(async () => {
+    const { token } = await auth.createInvite(role);
+    prompt(`Send this link to your new ${role}. It works once and expires in 7 days:`, auth.inviteLink(token));
+  });
+
+  const removeUser = (username) => {
+    if (!confirm(`Remove ${username}? They will be signed out and can't sign in again.`)) return;
+    run(() => auth.removeUser(username));
+  };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        background: 'rgba(0,0,0,0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000,
+        padding: '20px'
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: '#fff',
+          borderRadius: '12px',
+          maxWidth: '520px',
+          width: '100%',
+          maxHeight: '90vh',
+          display: 'flex',
+          flexDirection: 'column',
+          boxShadow: '0 20px 60px rgba(0,0,0,0.3)',
+          fontFamily: '"Inter", system-ui, sans-serif'
+        }}
+      >
+        <div style={{
+          padding: '16px 24px',
+          borderBottom: '1px solid rgba(44,36,22,0.1)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between'
+        }}>
+          <h3 style={{ margin: 0, fontSize: '16px', color: '#1e3a5f' }}>People & invites</h3>
+          <button
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', fontSize: '24px', cursor: 'pointer', color: '#7a6f5f', padding: '0 4px' }}
+          >
+            ×
+          </button>
+        </div>
+
+        <div style={{ flex: 1, overflowY: 'auto', padding: '4px 24px 16px' }}>
+          {error && <p style={{ margin: '12px 0 0', fontSize: '12px', color: '#b91c1c' }}>{error}</p>}
+          {!people && !error && <p style={{ margin: '16px 0', fontSize: '13px', color: '#7a6f5f' }}>Loading...</p>}
+
+          {people && (
+            <>
+              <p style={sectionTitleStyle}>People ({people.users.length})</p>
+              {people.users.map(user => (
+                <div key={user.username} style={rowStyle}>
+                  <span style={{ flex: 1 }}>
+                    <strong style={{ fontWeight: '600' }}>{user.username}</strong>
+                    {user.username === currentUsername && <span style={{ color: '#7a6f5f' }}> (you)</span>}
+                    <span style={{ display: 'block', fontSize: '11px', color: '#7a6f5f' }}>
+                      {user.owner ? 'Owner' : user.role === 'author' ? 'Author' : 'Reviewer'}
+                      {user.invitedBy && ` • invited by ${user.invitedBy}`}
+                    </span>
+                  </span>
+                  {!user.owner && user.username !== currentUsername && (
+                    <button onClick={() => removeUser(user.username)} style={{ ...smallButtonStyle, color: '#b91c1c' }}>
+                      Remove
+                    </button>
+                  )}
+                </div>
+              ))}
+
+              {people.invites.length > 0 && (
+                <>
+                  <p style={sectionTitleStyle}>Pending invites ({people.invites.length})</p>
+                  {people.invites.map(pending => (
+                    <div key={pending.id} style={rowStyle}>
+                      <span style={{ flex: 1 }}>
+                        {pending.role === 'author' ? 'Author' : 'Reviewer'} invite
+                        <span style={{ display: 'block', fontSize: '11px', color: '#7a6f5f' }}>
+                          from {pending.createdBy} • expires {new Date(pending.expiresAt).toLocaleDateString()}
+                        </span>
+                      </span>
+                      <button onClick={() => run(() => auth.revokeInvite(pending.id))} style={smallButtonStyle}>
+                        Revoke
+                      </button>
+                    </div>
+                  ))}
+                </>
+              )}
+            </>
+          )}
+
+          <p style={sectionTitleStyle}>Invite someone</p>
+          {Object.entries(ROLE_DESCRIPTIONS).map(([role, description]) => (
+            <div key={role} style={rowStyle}>
+              <span style={{ flex: 1 }}>
+                {role === 'author' ? 'Author' : 'Reviewer'}
+                <span style={{ display: 'block', fontSize: '11px', color: '#7a6f5f' }}>{description}</span>
+              </span>
+              <button onClick={() => invite(role)} style={smallButtonStyle}>
+                Create invite link
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,151 @@
+import React, { useState } from 'react';
+import { auth } from '../lib/auth';
+
+const inputStyle = {
+  width: '100%',
+  padding: '10px 12px',
+  marginTop: '4px',
+  border: '1px solid rgba(44,36,22,0.15)',
+  borderRadius: '6px',
+  fontSize: '14px',
+  fontFamily: '"Inter", system-ui, sans-serif',
+  outline: 'none',
+  background: '#fff'
+};
+
+const labelStyle = {
+  display: 'block',
+  marginBottom: '14px',
+  fontSize: '12px',
+  fontWeight: '500',
+  color: '#5a5044'
+};
+
+// Sign-in form, or account creation when opened from an invite link (?invite=...)
+export default function SignIn({ onSignedIn }) {
+  const [inviteToken] = useState(() => new URLSearchParams(window.location.search).get('invite'));
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (inviteToken && password !== confirmPassword) {
+      setError('The passwords don\'t match.');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      const session = inviteToken
+        ? await auth.redeemInvite(inviteToken, username, password)
+        : await auth.login(username, password);
+      // Drop the used invite from the address bar
+      if (inviteToken) window.history.replaceState(null, '', window.location.pathname);
+      onSignedIn(session);
+    } catch (err) {
+      setError(err.message);
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div style={{
+      minHeight: '100vh',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      padding: '20px',
+      background: 'linear-gradient(135deg, #faf9f7 0%, #f5f3ef 50%, #ebe8e2 100%)',
+      fontFamily: '"Inter", system-ui, sans-serif'
+    }}>
+      <form
+        onSubmit={submit}
+        style={{
+          background: '#fff',
+          borderRadius: '12px',
+          maxWidth: '360px',
+          width: '100%',
+          padding: '28px 28px 24px',
+          boxShadow: '0 20px 60px rgba(0,0,0,0.12)'
+        }}
+      >
+        <h1 style={{
+          margin: 0,
+          fontSize: '20px',
+          fontWeight: '600',
+          letterSpacing: '-0.02em',
+          color: '#1e3a5f',
+          fontFamily: '"Source Serif 4", Georgia, serif'
+        }}>
+          Words of Plainness
+        </h1>
+        <p style={{ margin: '4px 0 20px', fontSize: '13px', color: '#7a6f5f' }}>
+          {inviteToken ? 'You\'ve been invited. Choose a username and password.' : 'Sign in to the editorial canvas.'}
+        </p>
+
+        <label style={labelStyle}>
+          Username
+          <input
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            autoFocus
+            required
+            style={inputStyle}
+          />
+        </label>
+        <label style={labelStyle}>
+          Password
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete={inviteToken ? 'new-password' : 'current-password'}
+            required
+            style={inputStyle}
+          />
+        </label>
+        {inviteToken && (
+          <label style={labelStyle}>
+            Confirm password
+            <input
+              type="password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              autoComplete="new-password"
+              required
+              style={inputStyle}
+            />
+          </label>
+        )}
+
+        {error && (
+          <p style={{ margin: '0 0 14px', fontSize: '12px', color: '#b91c1c' }}>{error}</p>
+        )}
+
+        <button
+          type="submit"
+          disabled={isSubmitting}
+          style={{
+            width: '100%',
+            padding: '10px 16px',
+            background: isSubmitting ? '#94a3b8' : 'linear-gradient(135deg, #1e3a5f 0%, #2d5a87 100%)',
+            border: 'none',
+            borderRadius: '6px',
+            fontSize: '14px',
+            fontFamily: '"Inter", system-ui, sans-serif',
+            fontWeight: '500',
+            cursor: isSubmitting ? 'wait' : 'pointer',
+            color: '#fff'
+          }}
+        >
+          {isSubmitting ? 'Please wait...' : inviteToken ? 'Create account' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+}
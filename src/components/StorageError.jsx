@@ -0,0 +1,63 @@
+import React from 'react';
+
+// Shown instead of the editor when neither IndexedDB nor localStorage can be
+// opened, so work isn't typed into an editor that can't save it
+export default function StorageError({ error }) {
+  return (
+    <div style={{
+      minHeight: '100vh',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      padding: '20px',
+      background: 'linear-gradient(135deg, #faf9f7 0%, #f5f3ef 50%, #ebe8e2 100%)',
+      fontFamily: '"Inter", system-ui, sans-serif'
+    }}>
+      <div style={{
+        background: '#fff',
+        borderRadius: '12px',
+        maxWidth: '420px',
+        width: '100%',
+        padding: '28px',
+        boxShadow: '0 20px 60px rgba(0,0,0,0.12)'
+      }}>
+        <h1 style={{
+          margin: 0,
+          fontSize: '20px',
+          fontWeight: '600',
+          letterSpacing: '-0.02em',
+          color: '#1e3a5f',
+          fontFamily: '"Source Serif 4", Georgia, serif'
+        }}>
+          Words of Plainness
+        </h1>
+        <p style={{ margin: '12px 0 0', fontSize: '14px', color: '#b91c1c', fontWeight: '500' }}>
+          This browser isn't letting the editor save anything.
+        </p>
+        <p style={{ margin: '8px 0 0', fontSize: '13px', color: '#5a5044', lineHeight: '1.6' }}>
+          Neither IndexedDB nor localStorage could be opened. This usually means site data is blocked,
+          or the browser is in a private mode that doesn't allow storage. Allow site data for this page,
+          or open it in a regular window, then reload.
+        </p>
+        <p style={{ margin: '12px 0 16px', fontSize: '11px', color: '#7a6f5f' }}>
+          {error?.message || String(error)}
+        </p>
+        <button
+          onClick={() => window.location.reload()}
+          style={{
+            padding: '8px 16px',
+            background: '#1e3a5f',
+            border: 'none',
+            borderRadius: '6px',
+            fontSize: '13px',
+            fontFamily: '"Inter", system-ui, sans-serif',
+            cursor: 'pointer',
+            color: '#fff'
+          }}
+        >
+          Reload
+        </button>
+      </div>
+    </div>
+  );
+}
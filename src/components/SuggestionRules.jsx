@@ -0,0 +1,217 @@
+import React, { useState } from 'react';
+import { createRule, RULE_KINDS } from '../lib/exclusions';
+
+const sectionTitleStyle = {
+  margin: '16px 0 6px',
+  fontSize: '11px',
+  fontWeight: '600',
+  color: '#7a6f5f',
+  letterSpacing: '0.08em',
+  textTransform: 'uppercase'
+};
+
+const rowStyle = {
+  display: 'flex',
+  alignItems: 'flex-start',
+  gap: '12px',
+  padding: '8px 0',
+  borderTop: '1px solid rgba(44,36,22,0.06)',
+  fontSize: '13px',
+  color: '#2c2416'
+};
+
+const smallButtonStyle = {
+  padding: '4px 10px',
+  background: 'transparent',
+  border: '1px solid rgba(44,36,22,0.2)',
+  borderRadius: '4px',
+  fontSize: '11px',
+  fontFamily: '"Inter", system-ui, sans-serif',
+  cursor: 'pointer',
+  color: '#5a5044'
+};
+
+const inputStyle = {
+  padding: '4px 8px',
+  border: '1px solid rgba(44,36,22,0.2)',
+  borderRadius: '4px',
+  fontSize: '13px',
+  fontFamily: '"Inter", system-ui, sans-serif',
+  background: '#fff',
+  color: '#2c2416'
+};
+
+const EMPTY_FORM = { kind: 'phrase', text: '', mode: '', reason: '' };
+
+// The author's "don't suggest this" rules: what's protected, for which focus
+// areas and why. Rules can be added, edited and removed here.
+export default function SuggestionRules({ rules, owner, modes, getModeName, onChange, onClose }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editingId, setEditingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const updateForm = (update) => {
+    setForm(prev => ({ ...prev, ...update }));
+    setError(null);
+  };
+
+  const submit = (e) => {
+    e.preventDefault();
+    let rule;
+    try {
+      rule = createRule({ ...form, mode: form.mode || null });
+    } catch (err) {
+      setError(err.message);
+      return;
+    }
+    if (editingId) {
+      // Editing keeps the rule's place and original date
+      onChange(rules.map(r => (r.id === editingId ? { ...rule, id: r.id, createdAt: r.createdAt } : r)));
+    } else {
+      onChange([...rules, rule]);
+    }
+    setForm(EMPTY_FORM);
+    setEditingId(null);
+  };
+
+  const startEditing = (rule) => {
+    setForm({ kind: rule.kind, text: rule.text, mode: rule.mode || '', reason: rule.reason });
+    setEditingId(rule.id);
+    setError(null);
+  };
+
+  const removeRule = (rule) => {
+    if (!confirm(`Stop protecting "${rule.text}"? Analyses may suggest changing it again.`)) return;
+    onChange(rules.filter(r => r.id !== rule.id));
+    if (editingId === rule.id) {
+      setForm(EMPTY_FORM);
+      setEditingId(null);
+    }
+  };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        background: 'rgba(0,0,0,0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000,
+        padding: '20px'
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: '#fff',
+          borderRadius: '12px',
+          maxWidth: '600px',
+          width: '100%',
+          maxHeight: '90vh',
+          display: 'flex',
+          flexDirection: 'column',
+          boxShadow: '0 20px 60px rgba(0,0,0,0.3)',
+          fontFamily: '"Inter", system-ui, sans-serif'
+        }}
+      >
+        <div style={{
+          padding: '16px 24px',
+          borderBottom: '1px solid rgba(44,36,22,0.1)',
+          display: 'flex',
+          alignItems: 'center'
+        }}>
+          <div style={{ flex: 1 }}>
+            <h3 style={{ margin: 0, fontSize: '16px', color: '#1e3a5f' }}>Don't-suggest rules</h3>
+            <p style={{ margin: '2px 0 0', fontSize: '12px', color: '#7a6f5f' }}>
+              {owner ? `${owner}'s phrasing` : 'Phrasing'} that analysis should leave alone
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', fontSize: '24px', cursor: 'pointer', color: '#7a6f5f', padding: '0 4px' }}
+          >
+            ×
+          </button>
+        </div>
+
+        <div style={{ flex: 1, overflowY: 'auto', padding: '4px 24px 16px' }}>
+          <p style={sectionTitleStyle}>Rules</p>
+          {rules.length === 0 && (
+            <p style={{ margin: '0 0 8px', fontSize: '13px', color: '#7a6f5f', lineHeight: '1.5' }}>
+              No rules yet. Use ⋯ on a suggestion card to dismiss it with a reason and never see it again, or add a rule below.
+            </p>
+          )}
+          {rules.map(rule => (
+            <div key={rule.id} style={{ ...rowStyle, background: editingId === rule.id ? 'rgba(30,58,95,0.04)' : 'transparent' }}>
+              <span style={{ minWidth: '60px', fontSize: '10px', fontWeight: '600', letterSpacing: '0.05em', textTransform: 'uppercase', color: '#1e3a5f', paddingTop: '2px' }}>
+                {RULE_KINDS[rule.kind]}
+              </span>
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ fontFamily: rule.kind === 'pattern' ? 'monospace' : '"Source Serif 4", Georgia, serif', wordBreak: 'break-word' }}>
+                  {rule.text}
+                </div>
+                <div style={{ fontSize: '11px', color: '#7a6f5f', marginTop: '2px' }}>
+                  {rule.mode ? `${getModeName(rule.mode)} only` : 'Every focus area'}
+                  {rule.reason && ` • ${rule.reason}`}
+                  {` • added ${new Date(rule.createdAt).toLocaleDateString()}`}
+                </div>
+              </div>
+              <button onClick={() => startEditing(rule)} style={smallButtonStyle}>Edit</button>
+              <button
+                onClick={() => removeRule(rule)}
+                title="Remove this rule"
+                style={{ ...smallButtonStyle, border: 'none', fontSize: '14px', color: '#94867a' }}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+
+          <p style={sectionTitleStyle}>{editingId ? 'Edit rule' : 'Add a rule'}</p>
+          <form onSubmit={submit} style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <select value={form.kind} onChange={(e) => updateForm({ kind: e.target.value })} style={inputStyle}>
+                {Object.entries(RULE_KINDS).map(([id, name]) => <option key={id} value={id}>{name}</option>)}
+              </select>
+              <input
+                value={form.text}
+                onChange={(e) => updateForm({ text: e.target.value })}
+                placeholder={form.kind === 'pattern' ? 'e.g. ^Brethren and sisters' : 'e.g. plain and precious'}
+                style={{ ...inputStyle, flex: 1, fontFamily: form.kind === 'pattern' ? 'monospace' : inputStyle.fontFamily }}
+              />
+            </div>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <select value={form.mode} onChange={(e) => updateForm({ mode: e.target.value })} style={inputStyle}>
+                <option value="">Every focus area</option>
+                {modes.map(m => <option key={m.id} value={m.id}>{m.name} only</option>)}
+              </select>
+              <input
+                value={form.reason}
+                onChange={(e) => updateForm({ reason: e.target.value })}
+                placeholder="Reason (optional)"
+                style={{ ...inputStyle, flex: 1 }}
+              />
+            </div>
+            {error && <p style={{ margin: 0, fontSize: '12px', color: '#b91c1c' }}>{error}</p>}
+            <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end' }}>
+              {editingId && (
+                <button type="button" onClick={() => { setForm(EMPTY_FORM); setEditingId(null); setError(null); }} style={smallButtonStyle}>
+                  Cancel
+                </button>
+              )}
+              <button type="submit" style={{ ...smallButtonStyle, background: '#1e3a5f', borderColor: '#1e3a5f', color: '#fff' }}>
+                {editingId ? 'Save rule' : 'Add rule'}
+              </button>
+            </div>
+          </form>
+          <p style={{ margin: '12px 0 0', fontSize: '11px', color: '#7a6f5f', lineHeight: '1.5' }}>
+            Rules are sent with every analysis, and suggestions that still rewrite protected text are left out. Patterns are regular expressions, matched ignoring case.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
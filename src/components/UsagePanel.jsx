@@ -0,0 +1,272 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { usage } from '../lib/usage';
+
+const OPERATION_NAMES = {
+  prepare: 'Document preparation',
+  analyze: 'Analysis',
+  chat: 'Chat',
+  other: 'Other'
+};
+
+const sectionTitleStyle = {
+  margin: '16px 0 6px',
+  fontSize: '11px',
+  fontWeight: '600',
+  color: '#7a6f5f',
+  letterSpacing: '0.08em',
+  textTransform: 'uppercase'
+};
+
+const rowStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '12px',
+  padding: '6px 0',
+  borderTop: '1px solid rgba(44,36,22,0.06)',
+  fontSize: '13px',
+  color: '#2c2416'
+};
+
+const smallButtonStyle = {
+  padding: '4px 10px',
+  background: 'transparent',
+  border: '1px solid rgba(44,36,22,0.2)',
+  borderRadius: '4px',
+  fontSize: '11px',
+  fontFamily: '"Inter", system-ui, sans-serif',
+  cursor: 'pointer',
+  color: '#5a5044'
+};
+
+const inputStyle = {
+  padding: '4px 8px',
+  border: '1px solid rgba(44,36,22,0.2)',
+  borderRadius: '4px',
+  fontSize: '13px',
+  fontFamily: '"Inter", system-ui, sans-serif',
+  background: '#fff',
+  color: '#2c2416'
+};
+
+const formatCost = (cost) => (cost > 0 && cost < 0.01 ? '<$0.01' : `$${cost.toFixed(2)}`);
+
+const cacheSummary = (group) => {
+  const cached = group.cacheHits + group.cacheMisses;
+  if (cached === 0) return null;
+  return `Prompt cache: ${Math.round(group.cacheHits)} of ${Math.round(cached)} cacheable requests hit, saving about ${formatCost(Math.max(0, group.cacheSavings))}`;
+};
+
+const formatTokens = (count) => (count >= 10000 ? `${Math.round(count / 1000)}k` : Math.round(count).toLocaleString());
+
+const shiftMonth = (month, offset) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthIndex - 1 + offset, 1)).toISOString().slice(0, 7);
+};
+
+const monthLabel = (month) =>
+  new Date(`${month}-01T00:00:00Z`).toLocaleDateString(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' });
+
+const dayLabel = (day) =>
+  new Date(`${day}T00:00:00Z`).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+// One line of a breakdown: label, tokens, cost, and a bar scaled to the largest row
+function UsageRow({ label, group, maxCost }) {
+  return (
+    <div style={rowStyle} title={cacheSummary(group) || undefined}>
+      <span style={{ flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{label}</span>
+      <span style={{ width: '80px', height: '6px', background: 'rgba(44,36,22,0.06)', borderRadius: '3px', overflow: 'hidden' }}>
+        <span style={{
+          display: 'block',
+          height: '100%',
+          width: `${maxCost > 0 ? Math.max(2, (group.cost / maxCost) * 100) : 0}%`,
+          background: '#1e3a5f'
+        }} />
+      </span>
+      <span style={{ width: '110px', textAlign: 'right', fontSize: '11px', color: '#7a6f5f' }}>
+        {formatTokens(group.inputTokens + group.cacheWriteTokens + group.cacheReadTokens)} in • {formatTokens(group.outputTokens)} out
+      </span>
+      <span style={{ width: '56px', textAlign: 'right', fontWeight: '600' }}>{formatCost(group.cost)}</span>
+    </div>
+  );
+}
+
+// Token usage and estimated cost by day, document and operation, plus the monthly budget
+export default function UsagePanel({ documents, getModeName, onClose }) {
+  const [month, setMonth] = useState(() => new Date().toISOString().slice(0, 7));
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [limitInput, setLimitInput] = useState('');
+  const [action, setAction] = useState('warn');
+
+  const refresh = useCallback(() => {
+    setError(null);
+    usage.load(month)
+      .then(data => {
+        setReport(data);
+        if (data.budget.state !== 'none') {
+          setLimitInput(String(data.budget.monthlyLimit));
+          setAction(data.budget.action);
+        }
+      })
+      .catch(err => setError(err.message));
+  }, [month]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const saveBudget = async (monthlyLimit) => {
+    setError(null);
+    try {
+      await usage.setBudget(monthlyLimit, action);
+      if (monthlyLimit === null) setLimitInput('');
+      refresh();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const submitBudget = (e) => {
+    e.preventDefault();
+    const limit = parseFloat(limitInput);
+    if (!(limit > 0)) {
+      setError('Enter a monthly budget in dollars, e.g. 20.');
+      return;
+    }
+    saveBudget(limit);
+  };
+
+  const isCurrentMonth = month === new Date().toISOString().slice(0, 7);
+  const budget = report?.budget;
+  const documentTitle = (id) =>
+    id === 'none' ? 'No document' : documents.find(doc => doc.id === id)?.title || 'Deleted document';
+  const operationName = (key) =>
+    key.startsWith('analyze:') ? `Analysis — ${getModeName(key.slice('analyze:'.length))}` : OPERATION_NAMES[key] || key;
+  const breakdown = (title, groups, labelFor) => {
+    if (groups.length === 0) return null;
+    const maxCost = Math.max(...groups.map(group => group.cost));
+    return (
+      <>
+        <p style={sectionTitleStyle}>{title}</p>
+        {groups.map(group => <UsageRow key={group.key} label={labelFor(group.key)} group={group} maxCost={maxCost} />)}
+      </>
+    );
+  };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        background: 'rgba(0,0,0,0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000,
+        padding: '20px'
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: '#fff',
+          borderRadius: '12px',
+          maxWidth: '600px',
+          width: '100%',
+          maxHeight: '90vh',
+          display: 'flex',
+          flexDirection: 'column',
+          boxShadow: '0 20px 60px rgba(0,0,0,0.3)',
+          fontFamily: '"Inter", system-ui, sans-serif'
+        }}
+      >
+        <div style={{
+          padding: '16px 24px',
+          borderBottom: '1px solid rgba(44,36,22,0.1)',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '12px'
+        }}>
+          <h3 style={{ margin: 0, fontSize: '16px', color: '#1e3a5f', flex: 1 }}>Usage & budget</h3>
+          <button onClick={() => setMonth(shiftMonth(month, -1))} style={smallButtonStyle}>‹</button>
+          <span style={{ fontSize: '13px', color: '#2c2416', minWidth: '110px', textAlign: 'center' }}>{monthLabel(month)}</span>
+          <button onClick={() => setMonth(shiftMonth(month, 1))} disabled={isCurrentMonth} style={{ ...smallButtonStyle, opacity: isCurrentMonth ? 0.4 : 1 }}>›</button>
+          <button
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', fontSize: '24px', cursor: 'pointer', color: '#7a6f5f', padding: '0 4px' }}
+          >
+            ×
+          </button>
+        </div>
+
+        <div style={{ flex: 1, overflowY: 'auto', padding: '4px 24px 16px' }}>
+          {error && <p style={{ margin: '12px 0 0', fontSize: '12px', color: '#b91c1c' }}>{error}</p>}
+          {!report && !error && <p style={{ margin: '16px 0', fontSize: '13px', color: '#7a6f5f' }}>Loading...</p>}
+
+          {report && (
+            <>
+              <div style={{ display: 'flex', alignItems: 'baseline', gap: '12px', margin: '16px 0 4px' }}>
+                <span style={{ fontSize: '28px', fontWeight: '600', color: '#1e3a5f' }}>{formatCost(report.totals.cost)}</span>
+                <span style={{ fontSize: '12px', color: '#7a6f5f' }}>
+                  estimated • {report.totals.requests} requests • {formatTokens(report.totals.inputTokens + report.totals.cacheWriteTokens + report.totals.cacheReadTokens)} tokens in • {formatTokens(report.totals.outputTokens)} out
+                </span>
+              </div>
+              {cacheSummary(report.totals) && (
+                <p style={{ margin: '0 0 2px', fontSize: '12px', color: '#059669' }}>{cacheSummary(report.totals)}</p>
+              )}
+              <p style={{ margin: 0, fontSize: '11px', color: '#7a6f5f' }}>
+                Costs use Anthropic's published per-token prices and may differ slightly from your invoice.
+              </p>
+
+              <p style={sectionTitleStyle}>Monthly budget</p>
+              {budget.state !== 'none' && isCurrentMonth && (
+                <div style={{ marginBottom: '8px' }}>
+                  <div style={{ height: '8px', background: 'rgba(44,36,22,0.06)', borderRadius: '4px', overflow: 'hidden' }}>
+                    <div style={{
+                      height: '100%',
+                      width: `${Math.min(100, (budget.spent / budget.monthlyLimit) * 100)}%`,
+                      background: budget.state === 'exceeded' ? '#b91c1c' : budget.state === 'warning' ? '#b45309' : '#059669'
+                    }} />
+                  </div>
+                  <p style={{ margin: '4px 0 0', fontSize: '12px', color: budget.state === 'ok' ? '#5a5044' : budget.state === 'warning' ? '#b45309' : '#b91c1c' }}>
+                    {formatCost(budget.spent)} of ${budget.monthlyLimit.toFixed(2)} spent this month
+                    {budget.state === 'exceeded' && (budget.action === 'block' ? ' — Claude requests are blocked until next month.' : ' — over budget.')}
+                  </p>
+                </div>
+              )}
+              <form onSubmit={submitBudget} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', color: '#2c2416' }}>
+                $
+                <input
+                  type="number"
+                  min="1"
+                  step="any"
+                  value={limitInput}
+                  onChange={(e) => setLimitInput(e.target.value)}
+                  placeholder="No budget"
+                  style={{ ...inputStyle, width: '90px' }}
+                />
+                per month, then
+                <select value={action} onChange={(e) => setAction(e.target.value)} style={inputStyle}>
+                  <option value="warn">warn me</option>
+                  <option value="block">block requests</option>
+                </select>
+                <button type="submit" style={smallButtonStyle}>Save</button>
+                {budget.state !== 'none' && (
+                  <button type="button" onClick={() => saveBudget(null)} style={smallButtonStyle}>Remove</button>
+                )}
+              </form>
+
+              {report.totals.requests === 0 && (
+                <p style={{ margin: '16px 0 0', fontSize: '13px', color: '#7a6f5f' }}>No Claude requests in {monthLabel(month)}.</p>
+              )}
+              {breakdown('By operation', report.byOperation, operationName)}
+              {breakdown('By document', report.byDocument, documentTitle)}
+              {breakdown('By day', [...report.byDay].reverse(), dayLabel)}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,244 @@
+import React, { useState, useMemo } from 'react';
+import { diffParagraphs, countChanges } from '../lib/diff';
+
+const CURRENT = 'current';
+
+const partStyles = {
+  insert: { background: 'rgba(5,150,105,0.15)', color: '#065f46', textDecoration: 'none', borderRadius: '2px' },
+  delete: { background: 'rgba(220,38,38,0.12)', color: '#991b1b', textDecoration: 'line-through', borderRadius: '2px' }
+};
+
+const selectStyle = {
+  padding: '6px 8px',
+  border: '1px solid rgba(44,36,22,0.15)',
+  borderRadius: '6px',
+  fontSize: '12px',
+  fontFamily: '"Inter", system-ui, sans-serif',
+  background: '#fff',
+  color: '#2c2416',
+  maxWidth: '220px'
+};
+
+const textStyle = {
+  fontSize: '14px',
+  lineHeight: '1.7',
+  whiteSpace: 'pre-wrap',
+  fontFamily: '"Source Serif 4", Georgia, serif',
+  color: '#2c2416'
+};
+
+// Render word parts, leaving out the type that belongs to the other side
+function Parts({ parts, hide }) {
+  return parts
+    .filter(part => part.type !== hide)
+    .map((part, idx) => (
+      <span key={idx} style={partStyles[part.type]}>{part.text}</span>
+    ));
+}
+
+export default function VersionDiff({ versions, currentContent, getVersionContent, initialVersionId, onRestoreVersion, onRestoreParagraph, onClose }) {
+  const [fromId, setFromId] = useState(initialVersionId);
+  const [toId, setToId] = useState(CURRENT);
+  const [layout, setLayout] = useState('inline');
+
+  // Option values are strings; older versions have numeric ids
+  const idFromOption = (value) => versions.find(v => String(v.id) === value)?.id;
+  const labelFor = (id) => id === CURRENT ? 'Current text' : versions.find(v => v.id === id)?.label;
+  const fromText = getVersionContent(fromId) || '';
+  const toText = toId === CURRENT ? currentContent : (getVersionContent(toId) || '');
+
+  const blocks = useMemo(() => diffParagraphs(fromText, toText), [fromText, toText]);
+  const changes = blocks.filter(b => b.type === 'change');
+  const totals = countChanges(changes.flatMap(b => b.parts));
+
+  // Paragraph restores only make sense against the live document
+  const canRestoreParagraphs = toId === CURRENT;
+
+  const restoreParagraph = (block) => {
+    onRestoreParagraph(
+      currentContent.substring(0, block.start) + block.oldText + currentContent.substring(block.end),
+      labelFor(fromId),
+      { start: block.start, end: block.start + block.oldText.length }
+    );
+  };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        background: 'rgba(0,0,0,0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000,
+        padding: '20px'
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: '#fff',
+          borderRadius: '12px',
+          maxWidth: layout === 'side' ? '1200px' : '800px',
+          width: '100%',
+          maxHeight: '90vh',
+          display: 'flex',
+          flexDirection: 'column',
+          boxShadow: '0 20px 60px rgba(0,0,0,0.3)'
+        }}
+      >
+        <div style={{
+          padding: '16px 24px',
+          borderBottom: '1px solid rgba(44,36,22,0.1)',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '12px',
+          flexWrap: 'wrap',
+          fontFamily: '"Inter", system-ui, sans-serif'
+        }}>
+          <span style={{ fontSize: '14px', fontWeight: '600', color: '#1e3a5f' }}>Compare</span>
+          <select value={fromId} onChange={(e) => setFromId(idFromOption(e.target.value))} style={selectStyle}>
+            {versions.map(v => (
+              <option key={v.id} value={v.id}>{v.label} — {new Date(v.timestamp).toLocaleString()}</option>
+            ))}
+          </select>
+          <span style={{ color: '#7a6f5f', fontSize: '12px' }}>→</span>
+          <select
+            value={toId}
+            onChange={(e) => setToId(e.target.value === CURRENT ? CURRENT : idFromOption(e.target.value))}
+            style={selectStyle}
+          >
+            <option value={CURRENT}>Current text</option>
+            {versions.map(v => (
+              <option key={v.id} value={v.id}>{v.label} — {new Date(v.timestamp).toLocaleString()}</option>
+            ))}
+          </select>
+
+          <div style={{ marginLeft: 'auto', display: 'flex', border: '1px solid rgba(44,36,22,0.15)', borderRadius: '6px', overflow: 'hidden' }}>
+            {[['inline', 'Inline'], ['side', 'Side by side']].map(([id, name]) => (
+              <button
+                key={id}
+                onClick={() => setLayout(id)}
+                style={{
+                  padding: '6px 10px',
+                  background: layout === id ? 'rgba(30,58,95,0.1)' : 'transparent',
+                  border: 'none',
+                  fontSize: '12px',
+                  fontFamily: '"Inter", system-ui, sans-serif',
+                  cursor: 'pointer',
+                  color: layout === id ? '#1e3a5f' : '#5a5044',
+                  fontWeight: layout === id ? '600' : '400'
+                }}
+              >
+                {name}
+              </button>
+            ))}
+          </div>
+          <button
+            onClick={onClose}
+            style={{ background: 'none', border: 'none', fontSize: '24px', cursor: 'pointer', color: '#7a6f5f', padding: '0 4px' }}
+          >
+            ×
+          </button>
+        </div>
+
+        <div style={{
+          padding: '10px 24px',
+          background: 'rgba(250,249,247,0.8)',
+          borderBottom: '1px solid rgba(44,36,22,0.06)',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '16px',
+          fontSize: '12px',
+          fontFamily: '"Inter", system-ui, sans-serif',
+          color: '#5a5044'
+        }}>
+          <span>{changes.length} changed paragraph{changes.length !== 1 ? 's' : ''}</span>
+          <span style={{ color: '#059669' }}>+{totals.inserted} words</span>
+          <span style={{ color: '#b91c1c' }}>−{totals.deleted} words</span>
+          <button
+            onClick={() => onRestoreVersion(fromId)}
+            style={{
+              marginLeft: 'auto',
+              padding: '6px 12px',
+              background: 'linear-gradient(135deg, #1e3a5f 0%, #2d5a87 100%)',
+              border: 'none',
+              borderRadius: '5px',
+              fontSize: '12px',
+              fontFamily: '"Inter", system-ui, sans-serif',
+              fontWeight: '500',
+              cursor: 'pointer',
+              color: '#fff'
+            }}
+          >
+            Restore "{labelFor(fromId)}"
+          </button>
+        </div>
+
+        <div style={{ flex: 1, overflowY: 'auto', padding: '20px 24px' }}>
+          {changes.length === 0 && (
+            <p style={{ fontSize: '13px', color: '#7a6f5f', fontFamily: '"Inter", system-ui, sans-serif', textAlign: 'center', margin: '0 0 16px' }}>
+              No differences between these versions.
+            </p>
+          )}
+          {blocks.map((block, idx) => {
+            if (block.type === 'equal') {
+              return layout === 'side' ? (
+                <div key={idx} style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '24px', opacity: 0.6 }}>
+                  <div style={textStyle}>{block.text}</div>
+                  <div style={textStyle}>{block.text}</div>
+                </div>
+              ) : (
+                <div key={idx} style={{ ...textStyle, opacity: 0.6 }}>{block.text}</div>
+              );
+            }
+
+            return (
+              <div
+                key={idx}
+                style={{
+                  position: 'relative',
+                  margin: '4px -12px',
+                  padding: '8px 12px',
+                  borderLeft: '3px solid #b45309',
+                  background: 'rgba(180,83,9,0.04)',
+                  borderRadius: '4px'
+                }}
+              >
+                {layout === 'side' ? (
+                  <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '24px' }}>
+                    <div style={textStyle}><Parts parts={block.parts} hide="insert" /></div>
+                    <div style={textStyle}><Parts parts={block.parts} hide="delete" /></div>
+                  </div>
+                ) : (
+                  <div style={textStyle}><Parts parts={block.parts} /></div>
+                )}
+                {canRestoreParagraphs && (
+                  <button
+                    onClick={() => restoreParagraph(block)}
+                    title={`Replace this passage in the current text with the one from "${labelFor(fromId)}"`}
+                    style={{
+                      marginTop: '6px',
+                      padding: '3px 10px',
+                      background: 'transparent',
+                      border: '1px solid rgba(180,83,9,0.4)',
+                      borderRadius: '4px',
+                      fontSize: '11px',
+                      fontFamily: '"Inter", system-ui, sans-serif',
+                      cursor: 'pointer',
+                      color: '#92400e'
+                    }}
+                  >
+                    ↺ Restore this paragraph
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+import React from 'react';
+
+const iconButtonStyle = {
+  background: 'none',
+  border: 'none',
+  padding: '2px 4px',
+  fontSize: '13px',
+  cursor: 'pointer',
+  lineHeight: 1
+};
+
+// Versions grouped by day along a vertical timeline, newest first
+export default function VersionTimeline({ versions, onCompare, onTogglePin, onDelete }) {
+  if (versions.length === 0) {
+    return (
+      <div style={{ padding: '16px', color: '#7a6f5f', fontSize: '12px', textAlign: 'center' }}>
+        No saved versions yet
+      </div>
+    );
+  }
+
+  const days = [];
+  versions.forEach(v => {
+    const day = new Date(v.timestamp).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+    const last = days[days.length - 1];
+    if (last && last.day === day) {
+      last.versions.push(v);
+    } else {
+      days.push({ day, versions: [v] });
+    }
+  });
+
+  return (
+    <div style={{ maxHeight: '360px', overflowY: 'auto', padding: '4px 0 8px' }}>
+      {days.map(({ day, versions: dayVersions }) => (
+        <div key={day}>
+          <div style={{
+            padding: '10px 16px 4px',
+            fontSize: '10px',
+            fontWeight: '600',
+            color: '#7a6f5f',
+            letterSpacing: '0.08em',
+            textTransform: 'uppercase'
+          }}>
+            {day}
+          </div>
+          {dayVersions.map(v => (
+            <div
+              key={v.id}
+              style={{
+                display: 'flex',
+                alignItems: 'flex-start',
+                gap: '10px',
+                padding: '0 12px 0 16px'
+              }}
+            >
+              {/* Timeline rail */}
+              <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', alignSelf: 'stretch', paddingTop: '12px' }}>
+                <span style={{
+                  width: v.auto ? '6px' : '8px',
+                  height: v.auto ? '6px' : '8px',
+                  borderRadius: '50%',
+                  background: v.pinned ? '#b45309' : v.auto ? '#c7bfb3' : '#1e3a5f',
+                  flexShrink: 0
+                }} />
+                <span style={{ flex: 1, width: '1px', background: 'rgba(44,36,22,0.12)', marginTop: '2px' }} />
+              </div>
+
+              <button
+                onClick={() => onCompare(v.id)}
+                title="Compare with the current text before restoring"
+                style={{
+                  flex: 1,
+                  padding: '6px 0',
+                  background: 'transparent',
+                  border: 'none',
+                  textAlign: 'left',
+                  fontSize: '12px',
+                  fontFamily: '"Inter", system-ui, sans-serif',
+                  cursor: 'pointer',
+                  color: v.auto ? '#7a6f5f' : '#2c2416'
+                }}
+              >
+                <div style={{ fontWeight: v.auto ? '400' : '500' }}>{v.label}</div>
+                <div style={{ color: '#7a6f5f', fontSize: '11px' }}>
+                  {new Date(v.timestamp).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })} • {v.wordCount} words{v.auto ? ' • automatic' : ''}
+                </div>
+              </button>
+
+              <div style={{ display: 'flex', alignItems: 'center', paddingTop: '6px' }}>
+                <button
+                  onClick={() => onTogglePin(v)}
+                  title={v.pinned ? 'Unpin (may be pruned)' : 'Pin (never pruned)'}
+                  style={{ ...iconButtonStyle, color: v.pinned ? '#b45309' : '#c7bfb3' }}
+                >
+                  {v.pinned ? '★' : '☆'}
+                </button>
+                <button
+                  onClick={() => onDelete(v)}
+                  title="Delete version"
+                  style={{ ...iconButtonStyle, color: '#94867a' }}
+                >
+                  ×
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
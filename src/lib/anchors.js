@@ -0,0 +1,231 @@
+/**
+ * Text Anchors
+ * A suggestion remembers where it belongs by its quoted text, a little of the
+ * text on either side and the paragraph it sits in. That tells repeated
+ * phrases apart ("the Church" in paragraph 3, not paragraph 1) and lets a
+ * suggestion be found again after the text around it changes.
+ *
+ * Matching tolerates curly vs. straight quotes and differences in whitespace,
+ * which the model often introduces when it copies text.
+ */
+
+// Characters of context kept on each side of the quote
+export const ANCHOR_CONTEXT_CHARS = 32;
+
+// A matching paragraph counts for as much as this many matching context characters
+const PARAGRAPH_WEIGHT = 8;
+
+const QUOTE_EQUIVALENTS = {
+  '‘': "'", '’': "'", '‚': "'", '‛': "'", '′': "'",
+  '“': '"', '”': '"', '„': '"', '‟': '"', '″': '"',
+};
+
+// Straight quotes and single spaces, with the source index of each character
+// (offsets[text.length] is the source length)
+const normalize = (source) => {
+  let text = '';
+  const offsets = [];
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (/\s/.test(ch)) {
+      if (text.endsWith(' ')) continue;
+      text += ' ';
+    } else {
+      text += QUOTE_EQUIVALENTS[ch] || ch;
+    }
+    offsets.push(i);
+  }
+  offsets.push(source.length);
+  return { text, offsets };
+};
+
+const paragraphIndex = (content, position) => content.slice(0, position).split(/\n\s*\n/).length - 1;
+
+const commonPrefixLength = (a, b) => {
+  let n = 0;
+  while (n < a.length && n < b.length && a[n] === b[n]) n++;
+  return n;
+};
+
+const commonSuffixLength = (a, b) => {
+  let n = 0;
+  while (n < a.length && n < b.length && a[a.length - 1 - n] === b[b.length - 1 - n]) n++;
+  return n;
+};
+
+// Every place the quote appears, exactly if it can be found that way,
+// otherwise after normalizing both sides
+const findCandidates = (content, quote) => {
+  const exact = [];
+  for (let at = content.indexOf(quote); at !== -1; at = content.indexOf(quote, at + 1)) {
+    exact.push({ start: at, end: at + quote.length, exact: true });
+  }
+  if (exact.length > 0) return exact;
+
+  const needle = normalize(quote).text.trim();
+  if (!needle) return [];
+  const { text, offsets } = normalize(content);
+  const loose = [];
+  for (let at = text.indexOf(needle); at !== -1; at = text.indexOf(needle, at + 1)) {
+    loose.push({ start: offsets[at], end: offsets[at + needle.length - 1] + 1, exact: false });
+  }
+  return loose;
+};
+
+// How well the text around a candidate agrees with the anchor's context
+const contextScore = (content, candidate, anchor) => {
+  const span = ANCHOR_CONTEXT_CHARS * 2;
+  let score = 0;
+  if (anchor.prefix) {
+    const before = normalize(content.slice(Math.max(0, candidate.start - span), candidate.start)).text;
+    score += commonSuffixLength(normalize(anchor.prefix).text, before);
+  }
+  if (anchor.suffix) {
+    const after = normalize(content.slice(candidate.end, candidate.end + span)).text;
+    score += commonPrefixLength(normalize(anchor.suffix).text, after);
+  }
+  if (Number.isInteger(anchor.paragraph) && paragraphIndex(content, candidate.start) === anchor.paragraph) {
+    score += PARAGRAPH_WEIGHT;
+  }
+  return score;
+};
+
+// Anchor for content.slice(start, end)
+export function createAnchor(content, start, end) {
+  return {
+    quote: content.slice(start, end),
+    prefix: content.slice(Math.max(0, start - ANCHOR_CONTEXT_CHARS), start),
+    suffix: content.slice(end, end + ANCHOR_CONTEXT_CHARS),
+    paragraph: paragraphIndex(content, start),
+  };
+}
+
+/**
+ * Find an anchor in `content`. `near` is where it is expected to be, e.g. its
+ * last known start; a quote still found there is taken as is. Otherwise the
+ * occurrence whose surroundings best match the anchor wins, with ties going to
+ * the one closest to `near` (or the first). Returns { start, end, exact } or
+ * null; exact is false when quotes or whitespace had to be overlooked.
+ */
+export function resolveAnchor(content, anchor, { near } = {}) {
+  const { quote } = anchor;
+  if (!quote) return null;
+  if (Number.isInteger(near) && content.startsWith(quote, near)) {
+    return { start: near, end: near + quote.length, exact: true };
+  }
+
+  const candidates = findCandidates(content, quote);
+  if (candidates.length <= 1) return candidates[0] || null;
+
+  const distance = (candidate) => (Number.isInteger(near) ? Math.abs(candidate.start - near) : candidate.start);
+  return candidates
+    .map(candidate => ({ candidate, score: contextScore(content, candidate, anchor) }))
+    .reduce((best, next) => (
+      next.score > best.score || (next.score === best.score && distance(next.candidate) < distance(best.candidate))
+        ? next
+        : best
+    )).candidate;
+}
+
+// Suggestions saved before anchors existed only have their original text
+export const anchorOf = (suggestion) => suggestion.anchor || { quote: suggestion.original };
+
+/**
+ * Find each suggestion in `content`, starting from its current start if it has
+ * one. Returns { placed, unplaced }: placed suggestions carry fresh positions
+ * and anchors, and `original` as it reads in the text; unplaced ones are
+ * returned unchanged so they can be counted or reported.
+ */
+export function placeSuggestions(content, suggestions) {
+  const placed = [];
+  const unplaced = [];
+  suggestions.forEach(s => {
+    const match = resolveAnchor(content, anchorOf(s), { near: s.start });
+    if (!match) {
+      unplaced.push(s);
+      return;
+    }
+    placed.push({
+      ...s,
+      original: content.slice(match.start, match.end),
+      start: match.start,
+      end: match.end,
+      anchor: createAnchor(content, match.start, match.end),
+    });
+  });
+  return { placed, unplaced };
+}
+
+/**
+ * Replace several non-overlapping spans ({ start, end, text }) at once,
+ * working from the end of the text back so earlier offsets stay valid, then
+ * find `suggestions` again in the result. Returns { content, placed, unplaced }
+ * as placeSuggestions does.
+ */
+export function applyEdits(content, edits, suggestions = []) {
+  // An insertion at the start of another edit goes in last, so it lands in
+  // front of that edit's text
+  const edited = [...edits]
+    .sort((a, b) => b.start - a.start || b.end - a.end)
+    .reduce((text, edit) => text.slice(0, edit.start) + edit.text + text.slice(edit.end), content);
+  // Text after an edit moved by the difference in length
+  const shiftAt = (position) => edits
+    .filter(edit => edit.end <= position)
+    .reduce((sum, edit) => sum + edit.text.length - (edit.end - edit.start), 0);
+  const { placed, unplaced } = placeSuggestions(edited, suggestions.map(s => (
+    Number.isInteger(s.start) ? { ...s, start: s.start + shiftAt(s.start), end: s.end + shiftAt(s.start) } : s
+  )));
+  return { content: edited, placed, unplaced };
+}
+
+// The one stretch that differs between two texts: before.slice(start, oldEnd)
+// became after.slice(start, newEnd)
+export const changedRange = (before, after) => {
+  let start = 0;
+  const shorter = Math.min(before.length, after.length);
+  while (start < shorter && before[start] === after[start]) start++;
+  let common = 0;
+  while (common < shorter - start && before[before.length - 1 - common] === after[after.length - 1 - common]) common++;
+  return { start, oldEnd: before.length - common, newEnd: after.length - common };
+};
+
+/**
+ * Move { start, end } spans through one edit that replaced oldEnd - start
+ * characters at `start` with newEnd - start new ones. Spans after the edit
+ * shift; a span the edit touches keeps what is left of it, including any
+ * text typed inside it. Spans whose text was deleted outright are dropped;
+ * empty spans (a deletion marker) stay empty.
+ */
+export function moveSpans(spans, { start, oldEnd, newEnd }) {
+  const delta = newEnd - oldEnd;
+  return spans.flatMap(s => {
+    if (s.end <= start) return [s];
+    if (s.start >= oldEnd) return [{ ...s, start: s.start + delta, end: s.end + delta }];
+    if (s.start === s.end) return [{ ...s, start, end: start }];
+    const from = s.start <= start ? s.start : newEnd;
+    const to = s.end >= oldEnd ? s.end + delta : start;
+    if (to <= from) return [];
+    return [{ ...s, start: from, end: to }];
+  });
+}
+
+/**
+ * Follow an edit from `before` to `after` (a keystroke, a paste) with each
+ * suggestion's position. Suggestions after the edit shift; an edit inside a
+ * suggestion's text stretches or shrinks it, and its `original` becomes the
+ * edited text. Suggestions whose text was deleted outright are dropped.
+ */
+export function remapSuggestions(before, after, suggestions) {
+  const range = changedRange(before, after);
+  return moveSpans(suggestions, range).map(s => {
+    const touched = s.original.length !== s.end - s.start || after.slice(s.start, s.end) !== s.original;
+    // Context close to the edit has changed with it
+    const nearEdit = s.start - ANCHOR_CONTEXT_CHARS <= range.newEnd && s.end + ANCHOR_CONTEXT_CHARS >= range.start;
+    if (!touched && !nearEdit) return s;
+    return {
+      ...s,
+      original: touched ? after.slice(s.start, s.end) : s.original,
+      anchor: createAnchor(after, s.start, s.end),
+    };
+  });
+}
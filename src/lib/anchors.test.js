@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { createAnchor, resolveAnchor, placeSuggestions, applyEdits, changedRange, moveSpans, remapSuggestions } from './anchors';
+
+const text = 'We met the Church leaders.\n\nLater, the Church grew and the Church prospered.';
+
+describe('resolveAnchor', () => {
+  it('tells repeated quotes apart by their context', () => {
+    const at = text.lastIndexOf('the Church');
+    const anchor = createAnchor(text, at, at + 'the Church'.length);
+    expect(resolveAnchor(text, anchor)).toEqual({ start: at, end: at + 10, exact: true });
+  });
+
+  it('takes the quote where it is expected when it is still there', () => {
+    const at = text.indexOf('the Church', 30);
+    expect(resolveAnchor(text, { quote: 'the Church' }, { near: at }).start).toBe(at);
+  });
+
+  it('overlooks curly quotes and extra whitespace', () => {
+    const content = 'He said “come  in” and left.';
+    expect(resolveAnchor(content, { quote: '"come in"' })).toEqual({ start: 8, end: 18, exact: false });
+  });
+
+  it('finds the anchor again after the text before it changes', () => {
+    const at = text.lastIndexOf('the Church');
+    const anchor = createAnchor(text, at, at + 10);
+    const edited = `A new opening line.\n\n${text}`;
+    expect(resolveAnchor(edited, anchor).start).toBe(edited.lastIndexOf('the Church'));
+  });
+
+  it('returns null for text that is gone', () => {
+    expect(resolveAnchor(text, { quote: 'the Temple' })).toBeNull();
+  });
+});
+
+describe('placeSuggestions', () => {
+  it('splits suggestions it can and can\'t find', () => {
+    const { placed, unplaced } = placeSuggestions(text, [
+      { original: 'met', suggestion: 'greeted' },
+      { original: 'visited', suggestion: 'saw' },
+    ]);
+    expect(placed).toHaveLength(1);
+    expect(placed[0]).toMatchObject({ start: 3, end: 6, original: 'met' });
+    expect(unplaced).toEqual([{ original: 'visited', suggestion: 'saw' }]);
+  });
+});
+
+describe('applyEdits', () => {
+  it('puts an insertion in front of an edit that starts at the same place', () => {
+    const edits = [{ start: 2, end: 2, text: 'very ' }, { start: 2, end: 7, text: 'big' }];
+    expect(applyEdits('A large dog.', edits).content).toBe('A very big dog.');
+  });
+
+  it('moves suggestions after the edits along with their text', () => {
+    const content = 'A large dog barked loudly.';
+    const suggestion = { original: 'loudly', suggestion: 'noisily', start: 19, end: 25 };
+    const { content: edited, placed } = applyEdits(content, [{ start: 2, end: 7, text: 'big' }], [suggestion]);
+    expect(edited).toBe('A big dog barked loudly.');
+    expect(placed[0]).toMatchObject({ start: 17, end: 23, original: 'loudly' });
+  });
+});
+
+describe('moveSpans', () => {
+  it('shifts spans after an edit and drops ones deleted outright', () => {
+    const before = 'one two three four';
+    const after = 'one four';
+    const spans = [{ start: 0, end: 3 }, { start: 4, end: 7 }, { start: 14, end: 18 }];
+    expect(moveSpans(spans, changedRange(before, after))).toEqual([{ start: 0, end: 3 }, { start: 4, end: 8 }]);
+  });
+});
+
+describe('remapSuggestions', () => {
+  it('stretches a suggestion around text typed inside it', () => {
+    const before = 'The big dog.';
+    const after = 'The big brown dog.';
+    const [moved] = remapSuggestions(before, after, [{ original: 'big dog', start: 4, end: 11 }]);
+    expect(moved).toMatchObject({ start: 4, end: 17, original: 'big brown dog' });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Sign-in Client
+ * Talks to /api/auth. When the deployment has sign-in turned off, the session
+ * reports enabled: false and everything is allowed.
+ */
+
+let session = { enabled: false, user: null };
+
+const request = async (action, { method = 'GET', body } = {}) => {
+  const response = await fetch(`/api/auth?action=${action}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined,
+    credentials: 'same-origin',
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Sign-in error: ${response.status}`);
+  return data;
+};
+
+export const auth = {
+  // Fetch the current session; a missing /api/auth (plain `vite`) means no sign-in
+  async loadSession() {
+    try {
+      session = await request('session');
+    } catch (e) {
+      console.warn('Could not check sign-in, continuing without it:', e);
+      session = { enabled: false, user: null };
+    }
+    return session;
+  },
+
+  getSession() {
+    return session;
+  },
+
+  getUser() {
+    return session.user;
+  },
+
+  // With sign-in off, every permission is granted
+  can(permission) {
+    return !session.enabled || !!session.user?.can?.includes(permission);
+  },
+
+  async login(username, password) {
+    session = await request('login', { method: 'POST', body: { username, password } });
+    return session;
+  },
+
+  async redeemInvite(token, username, password) {
+    session = await request('redeem', { method: 'POST', body: { token, username, password } });
+    return session;
+  },
+
+  async logout() {
+    await request('logout', { method: 'POST' });
+    session = { enabled: session.enabled, user: null };
+  },
+
+  listPeople() {
+    return request('people');
+  },
+
+  createInvite(role) {
+    return request('invite', { method: 'POST', body: { role } });
+  },
+
+  removeUser(username) {
+    return request('people', { method: 'DELETE', body: { username } });
+  },
+
+  revokeInvite(inviteId) {
+    return request('people', { method: 'DELETE', body: { inviteId } });
+  },
+
+  inviteLink(token) {
+    return `${window.location.origin}/?invite=${encodeURIComponent(token)}`;
+  },
+};
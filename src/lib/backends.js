@@ -0,0 +1,115 @@
+/**
+ * Storage Backends
+ * Async key-value stores used by storage.js. IndexedDB is preferred;
+ * localStorage is the fallback when IndexedDB is unavailable.
+ */
+
+const DB_NAME = 'words-of-plainness';
+const DB_VERSION = 1;
+const STORE_NAME = 'keyval';
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+});
+
+export async function createIndexedDBBackend() {
+  if (typeof indexedDB === 'undefined') {
+    throw new Error('IndexedDB is not available');
+  }
+
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(STORE_NAME);
+  };
+  const db = await promisify(request);
+
+  const run = async (mode, operation) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const result = operation(tx.objectStore(STORE_NAME));
+    await transactionDone(tx);
+    return result ? result.result : undefined;
+  };
+
+  return {
+    name: 'indexeddb',
+
+    async getAll() {
+      const tx = db.transaction(STORE_NAME, 'readonly');
+      const store = tx.objectStore(STORE_NAME);
+      const [keys, values] = await Promise.all([
+        promisify(store.getAllKeys()),
+        promisify(store.getAll()),
+      ]);
+      return new Map(keys.map((key, i) => [key, values[i]]));
+    },
+
+    set(key, value) {
+      return run('readwrite', store => store.put(value, key));
+    },
+
+    setMany(entries) {
+      return run('readwrite', store => {
+        entries.forEach(([key, value]) => store.put(value, key));
+      });
+    },
+
+    remove(key) {
+      return run('readwrite', store => store.delete(key));
+    },
+
+    clear() {
+      return run('readwrite', store => store.clear());
+    },
+  };
+}
+
+// Keys written as plain strings by the original localStorage layer
+export function createLocalStorageBackend({ rawKeys = [] } = {}) {
+  const raw = new Set(rawKeys);
+
+  return {
+    name: 'localstorage',
+
+    async getAll() {
+      const entries = new Map();
+      Object.keys(localStorage)
+        .filter(key => key.startsWith('wop_'))
+        .forEach(key => {
+          const value = localStorage.getItem(key);
+          try {
+            entries.set(key, raw.has(key) ? value : JSON.parse(value));
+          } catch (e) {
+            console.error(`Failed to read ${key}:`, e);
+          }
+        });
+      return entries;
+    },
+
+    async set(key, value) {
+      localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+    },
+
+    async setMany(entries) {
+      entries.forEach(([key, value]) => {
+        localStorage.setItem(key, typeof value === 'string' ? value : JSON.stringify(value));
+      });
+    },
+
+    async remove(key) {
+      localStorage.removeItem(key);
+    },
+
+    async clear() {
+      Object.keys(localStorage)
+        .filter(key => key.startsWith('wop_'))
+        .forEach(key => localStorage.removeItem(key));
+    },
+  };
+}
@@ -0,0 +1,149 @@
+/**
+ * Backup Archives
+ * Format, migration, validation and import preview for "Back up everything".
+ * storage.exportAll() builds archives and storage.importAll() applies them.
+ *
+ * Schema history:
+ *   1 — { content, chatHistory, preferences, exportedAt } (single document, no versions)
+ *   2 — { app, schemaVersion, exportedAt, documents[], books[], preferences, settings }
+ *       each document carries its versions[] and (optionally) analysisSessions[]
+ */
+
+export const BACKUP_APP_ID = 'words-of-plainness-editor';
+export const BACKUP_SCHEMA_VERSION = 2;
+
+// Document fields kept in the library index; the rest belong to the document body
+export const DOCUMENT_META_FIELDS = ['id', 'title', 'createdAt', 'updatedAt', 'wordCount'];
+
+const MIGRATIONS = {
+  1: (archive) => {
+    const exportedAt = archive.exportedAt || new Date().toISOString();
+    return {
+      app: BACKUP_APP_ID,
+      schemaVersion: 2,
+      exportedAt,
+      // A stable id means restoring the same old backup twice overwrites, not duplicates
+      documents: archive.content ? [{
+        id: `restored-${Date.parse(exportedAt) || 0}`,
+        title: 'Restored document',
+        createdAt: exportedAt,
+        updatedAt: exportedAt,
+        content: archive.content,
+        chatHistory: archive.chatHistory || null,
+        suggestions: [],
+        versions: [],
+      }] : [],
+      books: [],
+      preferences: archive.preferences || null,
+      settings: {},
+    };
+  },
+};
+
+export function migrateArchive(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('This file is not a Words of Plainness backup.');
+  }
+
+  let version = data.schemaVersion || 1;
+  if (version > BACKUP_SCHEMA_VERSION) {
+    throw new Error(`This backup uses format ${version}, which is newer than this editor supports (${BACKUP_SCHEMA_VERSION}). Update the editor and try again.`);
+  }
+  if (version === 1 && !('content' in data || 'chatHistory' in data || 'preferences' in data)) {
+    throw new Error('This file is not a Words of Plainness backup.');
+  }
+
+  let archive = data;
+  while (version < BACKUP_SCHEMA_VERSION) {
+    archive = MIGRATIONS[version](archive);
+    version += 1;
+  }
+  return archive;
+}
+
+const validateVersions = (doc, label) => {
+  if (!Array.isArray(doc.versions)) return [`${label}: versions must be a list`];
+  const ids = new Set(doc.versions.map(v => v.id));
+  const errors = [];
+  doc.versions.forEach(v => {
+    if (v.content === undefined && !(Array.isArray(v.delta) && ids.has(v.baseId))) {
+      errors.push(`${label}: version "${v.label || v.id}" has no content and no usable base`);
+    }
+  });
+  return errors;
+};
+
+// Returns a list of problems; an empty list means the archive can be imported
+export function validateArchive(archive) {
+  const errors = [];
+  if (archive.app !== BACKUP_APP_ID) errors.push('Backup was not created by this editor');
+  if (!Array.isArray(archive.documents)) {
+    return [...errors, 'Backup has no document list'];
+  }
+
+  const seen = new Set();
+  archive.documents.forEach((doc, i) => {
+    const label = doc && doc.title ? `"${doc.title}"` : `Document ${i + 1}`;
+    if (!doc || typeof doc.id !== 'string' || !doc.id) {
+      errors.push(`${label}: missing id`);
+      return;
+    }
+    if (seen.has(doc.id)) errors.push(`${label}: duplicate id ${doc.id}`);
+    seen.add(doc.id);
+    if (typeof doc.title !== 'string') errors.push(`${label}: missing title`);
+    if (typeof doc.content !== 'string') errors.push(`${label}: content must be text`);
+    if (doc.chatHistory !== null && doc.chatHistory !== undefined && !Array.isArray(doc.chatHistory)) {
+      errors.push(`${label}: chat history must be a list`);
+    }
+    errors.push(...validateVersions(doc, label));
+    if (doc.analysisSessions !== undefined && !Array.isArray(doc.analysisSessions)) {
+      errors.push(`${label}: analysis history must be a list`);
+    }
+  });
+
+  if (!Array.isArray(archive.books)) errors.push('Backup book list is malformed');
+  else if (archive.books.some(b => !b || typeof b.id !== 'string' || !Array.isArray(b.chapters))) {
+    errors.push('Backup contains a malformed book');
+  }
+  if (archive.settings && typeof archive.settings !== 'object') errors.push('Backup settings are malformed');
+  return errors;
+}
+
+// What an import would do to the local library in 'merge' or 'replace' mode
+export function previewImport(archive, localDocuments, mode) {
+  const local = new Map(localDocuments.map(d => [d.id, d]));
+  const incoming = new Set(archive.documents.map(d => d.id));
+
+  return {
+    added: archive.documents.filter(d => !local.has(d.id)),
+    overwritten: archive.documents
+      .filter(d => local.has(d.id))
+      .map(d => ({
+        ...d,
+        localUpdatedAt: local.get(d.id).updatedAt,
+        localIsNewer: local.get(d.id).updatedAt > (d.updatedAt || ''),
+      })),
+    removed: mode === 'replace' ? localDocuments.filter(d => !incoming.has(d.id)) : [],
+    kept: mode === 'merge' ? localDocuments.filter(d => !incoming.has(d.id)) : [],
+    versionCount: archive.documents.reduce((total, d) => total + d.versions.length, 0),
+    sessionCount: archive.documents.reduce((total, d) => total + (d.analysisSessions || []).length, 0),
+    bookCount: archive.books.length,
+    hasPreferences: !!archive.preferences,
+    settingsCount: Object.keys(archive.settings || {}).length,
+  };
+}
+
+export function parseBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('This file is not valid JSON.');
+  }
+  const archive = migrateArchive(data);
+  return {
+    archive,
+    migratedFrom: (data.schemaVersion || 1) < BACKUP_SCHEMA_VERSION ? (data.schemaVersion || 1) : null,
+    errors: validateArchive(archive),
+  };
+}
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { BACKUP_APP_ID, BACKUP_SCHEMA_VERSION, parseBackup, validateArchive, previewImport } from './backup';
+
+const archive = (documents, extra = {}) => ({
+  app: BACKUP_APP_ID,
+  schemaVersion: BACKUP_SCHEMA_VERSION,
+  documents,
+  books: [],
+  preferences: null,
+  settings: {},
+  ...extra,
+});
+
+const doc = (id, fields = {}) => ({ id, title: `Doc ${id}`, content: 'Text', versions: [], updatedAt: '2025-01-01', ...fields });
+
+describe('parseBackup', () => {
+  it('migrates a version 1 backup to a single document', () => {
+    const old = { content: 'Old text', chatHistory: [], exportedAt: '2024-05-01T00:00:00.000Z' };
+    const { archive: migrated, migratedFrom, errors } = parseBackup(JSON.stringify(old));
+    expect(migratedFrom).toBe(1);
+    expect(errors).toEqual([]);
+    expect(migrated.documents).toHaveLength(1);
+    expect(migrated.documents[0]).toMatchObject({ id: `restored-${Date.parse(old.exportedAt)}`, content: 'Old text' });
+  });
+
+  it('refuses files that are not backups or are too new', () => {
+    expect(() => parseBackup('not json')).toThrow('This file is not valid JSON.');
+    expect(() => parseBackup('{"hello": 1}')).toThrow('This file is not a Words of Plainness backup.');
+    expect(() => parseBackup(JSON.stringify({ schemaVersion: BACKUP_SCHEMA_VERSION + 1 }))).toThrow(/newer than this editor supports/);
+  });
+});
+
+describe('validateArchive', () => {
+  it('accepts a well-formed archive', () => {
+    expect(validateArchive(archive([doc('a')]))).toEqual([]);
+  });
+
+  it('reports duplicate ids and versions with nothing to rebuild from', () => {
+    const broken = archive([
+      doc('a'),
+      doc('a', { title: 'Copy', versions: [{ id: 'v2', label: 'Draft', delta: [1], baseId: 'v1' }] }),
+    ]);
+    expect(validateArchive(broken)).toEqual([
+      '"Copy": duplicate id a',
+      '"Copy": version "Draft" has no content and no usable base',
+    ]);
+  });
+});
+
+describe('previewImport', () => {
+  it('sorts documents into added, overwritten and removed or kept', () => {
+    const incoming = archive([doc('a', { updatedAt: '2025-01-01' }), doc('b')]);
+    const local = [{ id: 'a', updatedAt: '2025-02-01' }, { id: 'c', updatedAt: '2025-01-01' }];
+
+    const merge = previewImport(incoming, local, 'merge');
+    expect(merge.added.map(d => d.id)).toEqual(['b']);
+    expect(merge.overwritten).toMatchObject([{ id: 'a', localIsNewer: true }]);
+    expect(merge.kept.map(d => d.id)).toEqual(['c']);
+    expect(merge.removed).toEqual([]);
+
+    const replace = previewImport(incoming, local, 'replace');
+    expect(replace.removed.map(d => d.id)).toEqual(['c']);
+    expect(replace.kept).toEqual([]);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Analysis Cache
+ * Content-addressed store for analysis results. The key is a SHA-256 hash of
+ * everything that shapes a result (document text, modes, suggestion limit,
+ * prompt version, model), so unchanged input never pays for a second run.
+ * Results are kept on this device and, while cloud sync is on, shared through
+ * /api/cache with the other devices on this deployment.
+ */
+
+import { storage } from './storage';
+import { sync } from './sync';
+import { auth } from './auth';
+
+const CACHE_KEY = 'wop_response_cache';
+// Least recently used entries are dropped beyond this
+const MAX_LOCAL_ENTRIES = 50;
+
+const readEntries = () => storage.readKey(CACHE_KEY) || {};
+
+const rememberLocally = (key, entry) => {
+  const entries = { ...readEntries(), [key]: { ...entry, usedAt: Date.now() } };
+  const keep = Object.entries(entries)
+    .sort(([, a], [, b]) => b.usedAt - a.usedAt)
+    .slice(0, MAX_LOCAL_ENTRIES);
+  return storage.writeKey(CACHE_KEY, Object.fromEntries(keep));
+};
+
+const isShared = () => sync.getStatus() !== 'disabled';
+
+const toHex = (buffer) => [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, '0')).join('');
+
+export const analysisCache = {
+  async keyFor({ content, modes, suggestionLimit, promptVersion, model, exclusions = '' }) {
+    const input = JSON.stringify({ promptVersion, model, modes: [...modes].sort(), suggestionLimit, exclusions, content });
+    return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(input)));
+  },
+
+  // Resolves to { result, cachedAt, source: 'device' | 'server' }, or null.
+  // The server is only asked when this device has nothing.
+  async get(key) {
+    const local = readEntries()[key];
+    if (local) {
+      rememberLocally(key, local);
+      return { result: local.result, cachedAt: local.cachedAt, source: 'device' };
+    }
+    if (!isShared()) return null;
+
+    try {
+      const response = await fetch(`/api/cache?key=${key}`, { credentials: 'same-origin' });
+      if (!response.ok) return null;
+      const entry = await response.json();
+      rememberLocally(key, entry);
+      return { result: entry.result, cachedAt: entry.cachedAt, source: 'server' };
+    } catch (e) {
+      console.warn('Could not reach the shared analysis cache:', e);
+      return null;
+    }
+  },
+
+  async put(key, result) {
+    const cachedAt = new Date().toISOString();
+    rememberLocally(key, { result, cachedAt });
+    // Only authors add to the shared cache
+    if (!isShared() || !auth.can('documents:write')) return;
+
+    try {
+      await fetch('/api/cache', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ key, result }),
+        credentials: 'same-origin',
+      });
+    } catch (e) {
+      console.warn('Could not share the analysis with the server cache:', e);
+    }
+  },
+};
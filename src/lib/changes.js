@@ -0,0 +1,171 @@
+/**
+ * Tracked Changes
+ * With track changes on, accepted suggestions, custom edits and document
+ * preparation still change the text, but each change is also kept for review:
+ * where its new text sits (start/end, empty for a pure deletion), the text it
+ * replaced, and the focus area and reason it came with. A change is later
+ * finalized (the text stays, the record goes) or rejected (the replaced text
+ * comes back).
+ */
+
+import { moveSpans } from './anchors';
+import { diffParagraphs } from './diff';
+import { createId } from './ids';
+
+export const CHANGE_SOURCES = {
+  suggestion: 'Accepted suggestion',
+  custom: 'Custom edit',
+  preparation: 'Document preparation',
+};
+
+const byStart = (a, b) => a.start - b.start || a.end - b.end;
+const fromTheEnd = (a, b) => b.start - a.start || b.end - a.end;
+
+const replaceSpan = (text, { start, end }, insert) => text.slice(0, start) + insert + text.slice(end);
+
+// Changes an edit lands on: overlapping ones, and deletion markers inside it
+const touchedBy = (edit, changes) => changes.filter(c => (c.start === c.end
+  ? c.start >= edit.start && c.start <= edit.end
+  : c.start < edit.end && c.end > edit.start));
+
+/**
+ * Record edits ({ start, end, text, source, mode, reason }, positions in
+ * `content`, not overlapping) as tracked changes. Existing changes move with
+ * the text; one an edit lands on is folded into the new change, so the
+ * change still knows the text as it read before either of them.
+ */
+export function trackEdits(content, changes, edits) {
+  let text = content;
+  let tracked = changes;
+  // From the end back, so positions before each edit are still valid
+  [...edits].sort(fromTheEnd).forEach(edit => {
+    const touched = touchedBy(edit, tracked).sort(byStart);
+    const start = Math.min(edit.start, ...touched.map(c => c.start));
+    const end = Math.max(edit.end, ...touched.map(c => c.end));
+
+    let deleted = '';
+    let position = start;
+    touched.forEach(c => {
+      deleted += text.slice(position, c.start) + c.deleted;
+      position = c.end;
+    });
+    deleted += text.slice(position, end);
+
+    const newEnd = edit.start + edit.text.length;
+    text = replaceSpan(text, edit, edit.text);
+    const inserted = text.slice(start, end + newEnd - edit.end);
+    const rest = moveSpans(tracked.filter(c => !touched.includes(c)), { start: edit.start, oldEnd: edit.end, newEnd });
+    tracked = inserted === deleted ? rest : [...rest, {
+      id: createId(),
+      start,
+      end: start + inserted.length,
+      deleted,
+      source: edit.source,
+      mode: edit.mode || null,
+      reason: edit.reason || '',
+      at: new Date().toISOString(),
+    }];
+  });
+  return tracked.sort(byStart);
+}
+
+// Move changes through edits that aren't tracked themselves
+export function followEdits(changes, edits) {
+  return [...edits]
+    .sort(fromTheEnd)
+    .reduce((moved, edit) => moveSpans(moved, { start: edit.start, oldEnd: edit.end, newEnd: edit.start + edit.text.length }), changes);
+}
+
+/**
+ * Undo the changes with the given ids: each one's replaced text comes back.
+ * Returns { content, changes, edits } with the remaining changes moved and
+ * the edits made, so other positions (suggestions) can follow them.
+ */
+export function rejectChanges(content, changes, ids) {
+  const rejected = changes.filter(c => ids.includes(c.id));
+  const edits = rejected.map(c => ({ start: c.start, end: c.end, text: c.deleted }));
+  // A deletion marker sorts after a change starting at the same place, so
+  // its text goes back in front of that change's
+  const text = [...edits].sort(fromTheEnd).reduce((result, edit) => replaceSpan(result, edit, edit.text), content);
+  return { content: text, changes: followEdits(changes.filter(c => !ids.includes(c.id)), edits), edits };
+}
+
+/**
+ * The smallest edits that turn `before` into `after`, as
+ * [{ start, end, text }] in `before`. Paragraphs are aligned first and only
+ * changed ones are compared word by word, so long documents stay quick.
+ */
+export function diffEdits(before, after) {
+  const edits = [];
+  let position = 0;
+  let pending = null;
+  const flush = () => {
+    if (pending) edits.push(pending);
+    pending = null;
+  };
+
+  diffParagraphs(before, after).forEach(block => {
+    if (block.type === 'equal') {
+      flush();
+      position += block.text.length;
+      return;
+    }
+    block.parts.forEach(part => {
+      if (part.type === 'equal') {
+        flush();
+        position += part.text.length;
+        return;
+      }
+      if (!pending) pending = { start: position, end: position, text: '' };
+      if (part.type === 'delete') {
+        position += part.text.length;
+        pending.end = position;
+      } else {
+        pending.text += part.text;
+      }
+    });
+  });
+  flush();
+  return edits;
+}
+
+/**
+ * The text with every change marked, as lines for export. Each line is
+ * { text, parts } where `text` reads as the document does now and `parts`
+ * are { type: 'equal' | 'insert' | 'delete', text, change } in order.
+ * Deleted line breaks become spaces, so lines follow the current text.
+ */
+export function redlineLines(content, changes) {
+  const parts = [];
+  let position = 0;
+  [...changes].sort(byStart).forEach(change => {
+    if (change.start > position) parts.push({ type: 'equal', text: content.slice(position, change.start) });
+    if (change.deleted) parts.push({ type: 'delete', text: change.deleted.replace(/\n+/g, ' '), change });
+    if (change.end > change.start) parts.push({ type: 'insert', text: content.slice(change.start, change.end), change });
+    position = Math.max(position, change.end);
+  });
+  if (position < content.length) parts.push({ type: 'equal', text: content.slice(position) });
+
+  const lines = [{ text: '', parts: [] }];
+  parts.forEach(part => {
+    part.text.split('\n').forEach((piece, idx) => {
+      if (idx > 0) lines.push({ text: '', parts: [] });
+      const line = lines[lines.length - 1];
+      if (piece) line.parts.push({ ...part, text: piece });
+      if (part.type !== 'delete') line.text += piece;
+    });
+  });
+  return lines;
+}
+
+// A line's parts without its first `count` characters of current text, for
+// dropping heading and bullet markers on export. Deleted text is kept.
+export function withoutLeadingText(parts, count) {
+  let left = count;
+  return parts.flatMap(part => {
+    if (left === 0 || part.type === 'delete') return [part];
+    const cut = Math.min(left, part.text.length);
+    left -= cut;
+    return cut < part.text.length ? [{ ...part, text: part.text.slice(cut) }] : [];
+  });
+}
@@ -0,0 +1,126 @@
+import { describe, it, expect } from 'vitest';
+import { trackEdits, followEdits, rejectChanges, diffEdits, redlineLines, withoutLeadingText } from './changes';
+
+const apply = (content, edits) => [...edits]
+  .sort((a, b) => b.start - a.start || b.end - a.end)
+  .reduce((text, e) => text.slice(0, e.start) + e.text + text.slice(e.end), content);
+
+// Small seeded generator so failures can be reproduced
+const random = (seed) => () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+
+describe('trackEdits', () => {
+  it('records the replaced text and where the new text sits', () => {
+    const [change] = trackEdits('A big dog.', [], [{ start: 2, end: 5, text: 'large', source: 'suggestion', mode: 'grammar', reason: 'Tighter' }]);
+    expect(change).toMatchObject({ start: 2, end: 7, deleted: 'big', source: 'suggestion', mode: 'grammar', reason: 'Tighter' });
+  });
+
+  it('keeps a pure deletion as an empty span', () => {
+    const [change] = trackEdits('A very big dog.', [], [{ start: 2, end: 7, text: '', source: 'custom' }]);
+    expect(change).toMatchObject({ start: 2, end: 2, deleted: 'very ' });
+  });
+
+  it('folds an edit inside a tracked change into it', () => {
+    const first = trackEdits('A big dog.', [], [{ start: 2, end: 5, text: 'large', source: 'suggestion' }]);
+    const second = trackEdits('A large dog.', first, [{ start: 2, end: 7, text: 'huge', source: 'custom' }]);
+    expect(second).toHaveLength(1);
+    expect(second[0]).toMatchObject({ start: 2, end: 6, deleted: 'big', source: 'custom' });
+  });
+
+  it('drops an edit that changes nothing', () => {
+    expect(trackEdits('A big dog.', [], [{ start: 2, end: 5, text: 'big', source: 'custom' }])).toEqual([]);
+  });
+});
+
+describe('followEdits', () => {
+  it('moves changes after an untracked edit', () => {
+    const changes = [{ id: 'a', start: 10, end: 15, deleted: 'x' }];
+    expect(followEdits(changes, [{ start: 0, end: 0, text: 'abc' }])[0]).toMatchObject({ start: 13, end: 18 });
+  });
+});
+
+describe('rejectChanges', () => {
+  it('restores a deletion and a replacement that start at the same place', () => {
+    const before = 'A very big dog.';
+    const edits = [
+      { start: 2, end: 7, text: '', source: 'suggestion' },
+      { start: 7, end: 10, text: 'large', source: 'suggestion' },
+    ];
+    const after = apply(before, edits);
+    expect(after).toBe('A large dog.');
+    const changes = trackEdits(before, [], edits);
+    expect(changes.map(c => c.start)).toEqual([2, 2]);
+
+    const result = rejectChanges(after, changes, changes.map(c => c.id));
+    expect(result.content).toBe(before);
+    expect(result.changes).toEqual([]);
+  });
+
+  it('puts back the original text after any series of tracked edits', () => {
+    const next = random(7);
+    const words = ['the', 'very', 'big', 'dog', 'ran', '\n\n', 'fast', 'home'];
+    for (let run = 0; run < 500; run++) {
+      const original = Array.from({ length: 12 }, () => words[Math.floor(next() * words.length)]).join(' ');
+      let content = original;
+      let changes = [];
+      for (let round = 0; round < 3; round++) {
+        // Non-overlapping edits in one batch, as bulk accept makes them
+        const edits = [];
+        let position = 0;
+        while (position < content.length) {
+          const start = position + Math.floor(next() * 8);
+          const end = Math.min(content.length, start + Math.floor(next() * 6));
+          if (start > content.length) break;
+          if (next() < 0.6) edits.push({ start, end, text: next() < 0.3 ? '' : words[Math.floor(next() * words.length)], source: 'suggestion' });
+          position = end + 1;
+        }
+        changes = trackEdits(content, changes, edits);
+        content = apply(content, edits);
+      }
+      const result = rejectChanges(content, changes, changes.map(c => c.id));
+      expect(result.content).toBe(original);
+    }
+  });
+
+  it('moves the changes that stay', () => {
+    const changes = trackEdits('one two three', [], [
+      { start: 0, end: 3, text: 'uno', source: 'custom' },
+      { start: 8, end: 13, text: 'tres!', source: 'custom' },
+    ]);
+    const result = rejectChanges('uno two tres!', changes, [changes[0].id]);
+    expect(result.content).toBe('one two tres!');
+    expect(result.changes).toHaveLength(1);
+    expect(result.content.slice(result.changes[0].start, result.changes[0].end)).toBe('tres!');
+  });
+});
+
+describe('diffEdits', () => {
+  it('finds the edits that turn one text into another', () => {
+    const before = 'The Mormon Church grew.\n\nNothing else changed.';
+    const after = 'The Church of Jesus Christ grew.\n\nNothing else changed.';
+    expect(apply(before, diffEdits(before, after))).toBe(after);
+  });
+
+  it('returns nothing for equal texts', () => {
+    expect(diffEdits('same text', 'same text')).toEqual([]);
+  });
+});
+
+describe('redlineLines', () => {
+  it('splits marked parts into lines that read as the current text', () => {
+    const changes = trackEdits('# Old Title\nBody', [], [{ start: 2, end: 5, text: 'New', source: 'custom' }]);
+    const lines = redlineLines('# New Title\nBody', changes);
+    expect(lines.map(l => l.text)).toEqual(['# New Title', 'Body']);
+    expect(lines[0].parts.map(p => [p.type, p.text])).toEqual([['equal', '# '], ['delete', 'Old'], ['insert', 'New'], ['equal', ' Title']]);
+  });
+});
+
+describe('withoutLeadingText', () => {
+  it('drops markers from the current text and keeps deletions', () => {
+    const parts = [{ type: 'equal', text: '# ' }, { type: 'delete', text: 'Old' }, { type: 'insert', text: 'New' }];
+    expect(withoutLeadingText(parts, 2)).toEqual([{ type: 'delete', text: 'Old' }, { type: 'insert', text: 'New' }]);
+    expect(withoutLeadingText(parts, 3).map(p => p.text)).toEqual(['Old', 'ew']);
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Chunking Utilities
+ * Long chapters are sent to Claude a section at a time. Sections break on
+ * paragraph boundaries and remember where they sit in the original text.
+ */
+
+export const MAX_WORDS_PER_CHUNK = 1500;
+
+export const countWords = (text) =>
+  (text || '').trim().split(/\s+/).filter(w => w.length > 0).length;
+
+// Returns [{ text, start, end, wordCount }]; text === source.slice(start, end)
+export function splitIntoChunks(source, maxWords = MAX_WORDS_PER_CHUNK) {
+  const paragraphs = [];
+  const separator = /\n\n+/g;
+  let paraStart = 0;
+  let match;
+  while ((match = separator.exec(source)) !== null) {
+    paragraphs.push({ start: paraStart, end: match.index });
+    paraStart = match.index + match[0].length;
+  }
+  paragraphs.push({ start: paraStart, end: source.length });
+
+  const chunks = [];
+  let current = null;
+  for (const para of paragraphs) {
+    const paraWords = countWords(source.slice(para.start, para.end));
+    if (current && current.wordCount + paraWords > maxWords) {
+      chunks.push(current);
+      current = null;
+    }
+    if (!current) {
+      current = { start: para.start, end: para.end, wordCount: paraWords };
+    } else {
+      current.end = para.end;
+      current.wordCount += paraWords;
+    }
+  }
+  chunks.push(current);
+
+  return chunks.map(chunk => ({ ...chunk, text: source.slice(chunk.start, chunk.end) }));
+}
+
+// Like Promise.allSettled over items.map(fn), with at most `limit` in flight
+export async function settleWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const idx = next++;
+      try {
+        results[idx] = { status: 'fulfilled', value: await fn(items[idx], idx) };
+      } catch (reason) {
+        results[idx] = { status: 'rejected', reason };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import { countWords, splitIntoChunks, settleWithConcurrency } from './chunks';
+
+describe('countWords', () => {
+  it('ignores surrounding and repeated whitespace', () => {
+    expect(countWords('  one\ttwo\n\nthree  ')).toBe(3);
+    expect(countWords('')).toBe(0);
+    expect(countWords(null)).toBe(0);
+  });
+});
+
+describe('splitIntoChunks', () => {
+  it('breaks on paragraphs and remembers where each section sits', () => {
+    const source = 'one two three\n\nfour five\n\n\nsix seven eight nine\n\nten';
+    const chunks = splitIntoChunks(source, 5);
+    expect(chunks.map(c => c.wordCount)).toEqual([5, 5]);
+    chunks.forEach(chunk => expect(source.slice(chunk.start, chunk.end)).toBe(chunk.text));
+    expect(chunks[1].text).toBe('six seven eight nine\n\nten');
+  });
+
+  it('keeps a paragraph longer than the limit whole', () => {
+    const chunks = splitIntoChunks('a b c d e f\n\ng', 3);
+    expect(chunks.map(c => c.text)).toEqual(['a b c d e f', 'g']);
+  });
+
+  it('returns one section for short text', () => {
+    expect(splitIntoChunks('Just a line.')).toEqual([{ start: 0, end: 12, wordCount: 3, text: 'Just a line.' }]);
+  });
+});
+
+describe('settleWithConcurrency', () => {
+  it('settles every item in order without exceeding the limit', async () => {
+    let running = 0;
+    let most = 0;
+    const results = await settleWithConcurrency([1, 2, 3, 4, 5], 2, async (n) => {
+      running++;
+      most = Math.max(most, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      running--;
+      if (n === 3) throw new Error('three');
+      return n * 10;
+    });
+    expect(most).toBe(2);
+    expect(results.map(r => r.status)).toEqual(['fulfilled', 'fulfilled', 'rejected', 'fulfilled', 'fulfilled']);
+    expect(results[4].value).toBe(50);
+    expect(results[2].reason.message).toBe('three');
+  });
+});
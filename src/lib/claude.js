@@ -0,0 +1,135 @@
+/**
+ * Claude API Client
+ * Calls /api/claude. Replies can be streamed as server-sent events, so callers
+ * can show text as it is generated and cancel the request part-way.
+ *
+ * Payloads may carry `meta: { operation, documentId, modes }`; the proxy
+ * strips it before calling Claude and uses it to tag the usage log.
+ */
+
+import { usage } from './usage';
+
+export const isAbortError = (err) => err?.name === 'AbortError';
+
+// A text block that ends a prompt prefix worth caching: everything up to and
+// including it is reused for five minutes by requests that start the same way.
+// Prefixes under 1,024 tokens are sent normally.
+export const cachedText = (text) => ({ type: 'text', text, cache_control: { type: 'ephemeral' } });
+
+// Error types sent inside a stream, mapped to the proxy's error categories
+const STREAM_ERROR_CATEGORIES = {
+  overloaded_error: 'overloaded',
+  rate_limit_error: 'rate_limit',
+  authentication_error: 'auth',
+  permission_error: 'auth',
+  invalid_request_error: 'bad_request',
+};
+
+// Errors carry `category` (auth, rate_limit, overloaded, timeout,
+// bad_request, server, budget, truncated) and `retryable` so callers can decide what to offer
+const apiError = async (response) => {
+  const errorData = await response.json().catch(() => ({}));
+  const error = new Error(errorData.error || `API error: ${response.status}`);
+  error.category = errorData.category || 'server';
+  error.retryable = errorData.retryable ?? response.status >= 500;
+  error.retryAfter = errorData.retryAfter;
+  return error;
+};
+
+// The `data:` payload of one SSE event, or '' for none
+const eventData = (event) => event
+  .split(/\r?\n/)
+  .filter(line => line.startsWith('data:'))
+  .map(line => line.slice(5).trim())
+  .join('\n');
+
+// Yield each parsed `data:` payload from an SSE response body. An event the
+// stream ends on without a trailing blank line still counts.
+export async function* readEvents(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+    for (const event of events) {
+      const data = eventData(event);
+      if (data) yield JSON.parse(data);
+    }
+  }
+
+  const last = eventData(buffer + decoder.decode());
+  if (last) yield JSON.parse(last);
+}
+
+// POST a Messages request and resolve to the full response body
+export async function createMessage(payload, { signal } = {}) {
+  const response = await fetch('/api/claude', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal,
+  });
+  usage.noteResponse(response);
+
+  if (!response.ok) {
+    throw await apiError(response);
+  }
+  return response.json();
+}
+
+// POST a Messages request with streaming on. onText(delta, textSoFar) runs for
+// each piece of text; resolves to the full reply. Rejects with an AbortError
+// when `signal` is aborted, with a `truncated` error (the text so far in
+// `partialText`) when the reply hit max_tokens before it finished, and with a
+// retryable one when the stream ends before message_stop, e.g. a dropped
+// connection or the proxy running out of time.
+export async function streamMessage(payload, { signal, onText } = {}) {
+  const response = await fetch('/api/claude', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ...payload, stream: true }),
+    signal,
+  });
+  usage.noteResponse(response);
+
+  if (!response.ok) {
+    throw await apiError(response);
+  }
+
+  let text = '';
+  let finished = false;
+  for await (const event of readEvents(response.body)) {
+    if (event.type === 'error') {
+      const error = new Error(event.error?.message || 'The response stream failed');
+      error.category = STREAM_ERROR_CATEGORIES[event.error?.type] || 'server';
+      error.retryable = error.category !== 'auth' && error.category !== 'bad_request';
+      throw error;
+    }
+    if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+      text += event.delta.text;
+      onText?.(event.delta.text, text);
+    }
+    if (event.type === 'message_delta' && event.delta?.stop_reason === 'max_tokens') {
+      const error = new Error('The reply reached its length limit and was cut off');
+      error.category = 'truncated';
+      error.retryable = false;
+      error.partialText = text;
+      throw error;
+    }
+    if (event.type === 'message_stop') finished = true;
+  }
+  if (!finished) {
+    const error = new Error('The connection closed before the reply finished');
+    error.category = 'server';
+    error.retryable = true;
+    error.partialText = text;
+    throw error;
+  }
+  return text;
+}
@@ -0,0 +1,52 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { readEvents, streamMessage } from './claude';
+
+const streamOf = (...chunks) => new ReadableStream({
+  start(controller) {
+    chunks.forEach(chunk => controller.enqueue(new TextEncoder().encode(chunk)));
+    controller.close();
+  },
+});
+
+const collect = async (iterator) => {
+  const items = [];
+  for await (const item of iterator) items.push(item);
+  return items;
+};
+
+const sse = (events) => events.map(event => `data: ${JSON.stringify(event)}\n\n`).join('');
+
+const respondWith = (body) => vi.stubGlobal('fetch', vi.fn(async () => new Response(streamOf(body), { status: 200 })));
+
+afterEach(() => vi.unstubAllGlobals());
+
+describe('readEvents', () => {
+  it('parses events split across chunks', async () => {
+    expect(await collect(readEvents(streamOf('data: {"a":', '1}\n\ndata: {"b":2}\n\n')))).toEqual([{ a: 1 }, { b: 2 }]);
+  });
+
+  it('keeps a last event with no trailing blank line', async () => {
+    expect(await collect(readEvents(streamOf('data: {"a":1}\n\ndata: {"b":2}')))).toEqual([{ a: 1 }, { b: 2 }]);
+  });
+});
+
+describe('streamMessage', () => {
+  const delta = (text) => ({ type: 'content_block_delta', delta: { type: 'text_delta', text } });
+
+  it('resolves to the full text of a finished reply', async () => {
+    respondWith(sse([delta('Hello, '), delta('world'), { type: 'message_delta', delta: { stop_reason: 'end_turn' } }, { type: 'message_stop' }]));
+    const onText = vi.fn();
+    expect(await streamMessage({}, { onText })).toBe('Hello, world');
+    expect(onText).toHaveBeenLastCalledWith('world', 'Hello, world');
+  });
+
+  it('rejects a reply cut off at max_tokens, keeping the partial text', async () => {
+    respondWith(sse([delta('Half a'), { type: 'message_delta', delta: { stop_reason: 'max_tokens' } }]));
+    await expect(streamMessage({})).rejects.toMatchObject({ category: 'truncated', partialText: 'Half a' });
+  });
+
+  it('rejects a stream that ends before message_stop as retryable', async () => {
+    respondWith(sse([delta('Half a')]));
+    await expect(streamMessage({})).rejects.toMatchObject({ category: 'server', retryable: true, partialText: 'Half a' });
+  });
+});
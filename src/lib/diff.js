@@ -0,0 +1,204 @@
+/**
+ * Text Diff Utilities
+ * Word- and paragraph-level diffs (Myers' algorithm) used for compact version
+ * deltas and for comparing versions in the diff viewer.
+ */
+
+// Past this many edits the texts are treated as a wholesale replacement,
+// which keeps memory bounded on very different documents.
+const MAX_EDIT_DISTANCE = 4000;
+
+// Words and the whitespace between them, so joining tokens restores the text
+export const tokenize = (text) => text.match(/\s+|[^\s]+/g) || [];
+
+const backtrack = (trace, a, b) => {
+  const ops = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d > 0; d--) {
+    const prev = trace[d - 1];
+    const at = (k) => prev[k + d - 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push(['equal', a[x - 1]]);
+      x--;
+      y--;
+    }
+    if (prevK === k + 1) {
+      ops.push(['insert', b[y - 1]]);
+    } else {
+      ops.push(['delete', a[x - 1]]);
+    }
+    x = prevX;
+    y = prevY;
+  }
+  while (x > 0 && y > 0) {
+    ops.push(['equal', a[x - 1]]);
+    x--;
+    y--;
+  }
+  return ops.reverse();
+};
+
+const myers = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0) return b.map(token => ['insert', token]);
+  if (m === 0) return a.map(token => ['delete', token]);
+
+  const offset = n + m;
+  const v = new Int32Array(2 * (n + m) + 2);
+  const trace = [];
+  const maxD = Math.min(n + m, MAX_EDIT_DISTANCE);
+
+  for (let d = 0; d <= maxD; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        trace.push(v.slice(offset - d, offset + d + 1));
+        return backtrack(trace, a, b);
+      }
+    }
+    trace.push(v.slice(offset - d, offset + d + 1));
+  }
+
+  return [
+    ...a.map(token => ['delete', token]),
+    ...b.map(token => ['insert', token]),
+  ];
+};
+
+// Paragraphs with their trailing blank-line separator, so joining restores the text
+export const splitParagraphs = (text) => {
+  const pieces = text.split(/(\n\s*\n)/);
+  const paragraphs = [];
+  for (let i = 0; i < pieces.length; i += 2) {
+    const paragraph = pieces[i] + (pieces[i + 1] || '');
+    if (paragraph) paragraphs.push(paragraph);
+  }
+  return paragraphs;
+};
+
+// Diff two token arrays → [[type, token], ...] with type 'equal' | 'insert' | 'delete'
+export function diffSequences(a, b) {
+  // Common prefix and suffix need no search
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  return [
+    ...a.slice(0, start).map(token => ['equal', token]),
+    ...myers(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map(token => ['equal', token]),
+  ];
+}
+
+// Diff two texts word by word → [{ type: 'equal' | 'insert' | 'delete', text }]
+export function diffWords(oldText, newText) {
+  // Merge runs of the same type into single parts
+  const parts = [];
+  diffSequences(tokenize(oldText), tokenize(newText)).forEach(([type, text]) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  });
+  return parts;
+}
+
+// Align paragraphs, then diff changed ones word by word. Returns blocks:
+//   { type: 'equal', text }
+//   { type: 'change', oldText, newText, parts, start, end }
+// where start/end locate newText in the new document, for paragraph restores.
+export function diffParagraphs(oldText, newText) {
+  const blocks = [];
+  let position = 0;
+  let pending = null;
+
+  const flush = () => {
+    if (!pending) return;
+    blocks.push({ ...pending, parts: diffWords(pending.oldText, pending.newText), end: position });
+    pending = null;
+  };
+
+  diffSequences(splitParagraphs(oldText), splitParagraphs(newText)).forEach(([type, paragraph]) => {
+    if (type === 'equal') {
+      flush();
+      const last = blocks[blocks.length - 1];
+      if (last && last.type === 'equal') {
+        last.text += paragraph;
+      } else {
+        blocks.push({ type: 'equal', text: paragraph });
+      }
+      position += paragraph.length;
+      return;
+    }
+    if (!pending) pending = { type: 'change', oldText: '', newText: '', start: position };
+    if (type === 'delete') {
+      pending.oldText += paragraph;
+    } else {
+      pending.newText += paragraph;
+      position += paragraph.length;
+    }
+  });
+  flush();
+  return blocks;
+}
+
+// Words added and removed across a word diff
+export function countChanges(parts) {
+  const words = (text) => tokenize(text).filter(token => token.trim()).length;
+  return parts.reduce((totals, part) => {
+    if (part.type === 'insert') totals.inserted += words(part.text);
+    if (part.type === 'delete') totals.deleted += words(part.text);
+    return totals;
+  }, { inserted: 0, deleted: 0 });
+}
+
+// Compact delta: a number keeps (positive) or drops (negative) that many
+// characters of the base; a string is inserted.
+export function createDelta(base, target) {
+  const delta = [];
+  diffWords(base, target).forEach(({ type, text }) => {
+    if (type === 'equal') delta.push(text.length);
+    else if (type === 'delete') delta.push(-text.length);
+    else delta.push(text);
+  });
+  return delta;
+}
+
+export function applyDelta(base, delta) {
+  let result = '';
+  let position = 0;
+  delta.forEach(op => {
+    if (typeof op === 'string') {
+      result += op;
+    } else if (op > 0) {
+      result += base.slice(position, position + op);
+      position += op;
+    } else {
+      position -= op;
+    }
+  });
+  return result;
+}
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { tokenize, splitParagraphs, diffWords, diffParagraphs, countChanges, createDelta, applyDelta } from './diff';
+
+describe('tokenize and splitParagraphs', () => {
+  it('keep every character so joining restores the text', () => {
+    const text = '  Two words\n\nand  a second\n \n paragraph ';
+    expect(tokenize(text).join('')).toBe(text);
+    expect(splitParagraphs(text).join('')).toBe(text);
+    expect(splitParagraphs(text)).toHaveLength(3);
+  });
+});
+
+describe('diffWords', () => {
+  it('marks only the changed words', () => {
+    expect(diffWords('The quick brown fox', 'The slow brown fox')).toEqual([
+      { type: 'equal', text: 'The ' },
+      { type: 'delete', text: 'quick' },
+      { type: 'insert', text: 'slow' },
+      { type: 'equal', text: ' brown fox' },
+    ]);
+  });
+
+  it('handles an empty side', () => {
+    expect(diffWords('', 'New text')).toEqual([{ type: 'insert', text: 'New text' }]);
+    expect(diffWords('Old text', '')).toEqual([{ type: 'delete', text: 'Old text' }]);
+  });
+});
+
+describe('diffParagraphs', () => {
+  it('locates a changed paragraph in the new text', () => {
+    const oldText = 'First paragraph.\n\nSecond one here.\n\nThird.';
+    const newText = 'First paragraph.\n\nSecond one, changed.\n\nThird.';
+    const blocks = diffParagraphs(oldText, newText);
+    const change = blocks.find(block => block.type === 'change');
+    expect(blocks.map(block => block.type)).toEqual(['equal', 'change', 'equal']);
+    expect(change.oldText).toBe('Second one here.\n\n');
+    expect(newText.slice(change.start, change.end)).toBe(change.newText);
+  });
+});
+
+describe('countChanges', () => {
+  it('counts words, not whitespace', () => {
+    expect(countChanges(diffWords('one two three', 'one four five six three'))).toEqual({ inserted: 3, deleted: 1 });
+  });
+});
+
+describe('createDelta and applyDelta', () => {
+  it('round-trip between versions', () => {
+    const base = 'In the beginning was the draft.\n\nIt was long and winding.';
+    const target = 'In the beginning was a draft.\n\nIt was short.\n\nThe end.';
+    expect(applyDelta(base, createDelta(base, target))).toBe(target);
+    expect(applyDelta(target, createDelta(target, base))).toBe(base);
+  });
+
+  it('stays correct past the edit-distance limit', () => {
+    const words = (n, word) => Array.from({ length: n }, (_, i) => `${word}${i}`).join(' ');
+    const base = words(3000, 'a');
+    const target = words(3000, 'b');
+    expect(applyDelta(base, createDelta(base, target))).toBe(target);
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Don't-Suggest Rules
+ * Phrasing the author keeps on purpose. A rule names a phrase, or a regular
+ * expression, that suggestions should leave alone, optionally only for one
+ * focus area. Rules are listed in the analysis prompt as exclusions, and any
+ * suggestion that still rewrites a protected phrase is dropped on arrival.
+ */
+
+import { createId } from './ids';
+
+export const RULE_KINDS = {
+  phrase: 'Phrase',
+  pattern: 'Pattern',
+};
+
+// Case, curly quotes and runs of whitespace don't matter when matching
+const fold = (text) => text
+  .toLowerCase()
+  .replace(/[‘’‚‛′]/g, "'")
+  .replace(/[“”„‟″]/g, '"')
+  .replace(/\s+/g, ' ');
+
+/**
+ * A new rule from { kind, text, mode, reason }. `mode` limits it to one focus
+ * area (null for all). Throws when the text is empty or the pattern isn't a
+ * valid regular expression.
+ */
+export function createRule({ kind = 'phrase', text, mode = null, reason = '' }) {
+  const trimmed = (text || '').trim();
+  if (!RULE_KINDS[kind]) throw new Error(`Unknown rule type "${kind}"`);
+  if (!trimmed) throw new Error(kind === 'pattern' ? 'Enter a pattern.' : 'Enter the phrase to keep.');
+  if (kind === 'pattern') {
+    try {
+      new RegExp(trimmed, 'i');
+    } catch (e) {
+      throw new Error(`That pattern isn't a valid regular expression: ${e.message}`);
+    }
+  }
+  return {
+    id: createId(),
+    kind,
+    text: trimmed,
+    mode: mode || null,
+    reason: reason.trim(),
+    createdAt: new Date().toISOString(),
+  };
+}
+
+// The protected text a rule finds in `text`, or null
+const protectedText = (rule, text) => {
+  if (rule.kind === 'pattern') {
+    try {
+      return new RegExp(rule.text, 'i').exec(text)?.[0] || null;
+    } catch (e) {
+      return null;
+    }
+  }
+  return fold(text).includes(fold(rule.text)) ? rule.text : null;
+};
+
+// A suggestion breaks a rule when its original has the protected text and
+// the replacement doesn't keep it
+export function ruleMatches(rule, suggestion) {
+  if (rule.mode && rule.mode !== suggestion.mode) return false;
+  const found = protectedText(rule, suggestion.original);
+  return !!found && !fold(suggestion.suggestion).includes(fold(found));
+}
+
+/**
+ * Split suggestions by the rules. Returns { kept, excluded }, where each
+ * excluded entry is { suggestion, rule } with the first rule it broke.
+ */
+export function applyRules(suggestions, rules) {
+  const kept = [];
+  const excluded = [];
+  suggestions.forEach(suggestion => {
+    const rule = rules.find(r => ruleMatches(r, suggestion));
+    if (rule) excluded.push({ suggestion, rule });
+    else kept.push(suggestion);
+  });
+  return { kept, excluded };
+}
+
+// How a rule reads in lists and in the prompt
+export const describeRule = (rule, modeName = (mode) => mode) =>
+  `${rule.kind === 'pattern' ? `text matching /${rule.text}/` : `"${rule.text}"`}` +
+  `${rule.mode ? ` (${modeName(rule.mode)} suggestions only)` : ''}`;
+
+// Instructions listing the rules for the analysis system prompt; empty
+// when there are none
+export function exclusionPrompt(rules, modeName) {
+  if (rules.length === 0) return '';
+  return `The author keeps the following phrasing on purpose. Do not suggest rewriting, removing or replacing it:\n${
+    rules.map(rule => `- ${describeRule(rule, modeName)}${rule.reason ? ` — ${rule.reason}` : ''}`).join('\n')
+  }`;
+}
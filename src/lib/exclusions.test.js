@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { createRule, ruleMatches, applyRules, describeRule, exclusionPrompt } from './exclusions';
+
+const suggestion = (original, replacement, mode = 'clarity') => ({ original, suggestion: replacement, mode });
+
+describe('createRule', () => {
+  it('trims the text and reason', () => {
+    expect(createRule({ text: '  plain and precious ', reason: ' Scriptural ' })).toMatchObject({
+      kind: 'phrase', text: 'plain and precious', mode: null, reason: 'Scriptural',
+    });
+  });
+
+  it('refuses empty text and invalid patterns', () => {
+    expect(() => createRule({ text: '   ' })).toThrow('Enter the phrase to keep.');
+    expect(() => createRule({ kind: 'pattern', text: '(unclosed' })).toThrow(/valid regular expression/);
+    expect(() => createRule({ kind: 'other', text: 'x' })).toThrow(/Unknown rule type/);
+  });
+});
+
+describe('ruleMatches', () => {
+  const phrase = createRule({ text: "the Lord's house" });
+
+  it('catches a rewrite of the protected phrase, ignoring case and curly quotes', () => {
+    expect(ruleMatches(phrase, suggestion('They built The Lord’s  house there.', 'They built a temple there.'))).toBe(true);
+  });
+
+  it('lets through a suggestion that keeps the phrase', () => {
+    expect(ruleMatches(phrase, suggestion("They built the Lord's house there.", "They built the Lord's house here."))).toBe(false);
+  });
+
+  it('only applies to its focus area', () => {
+    const grammarOnly = createRule({ text: 'ye', mode: 'grammar' });
+    expect(ruleMatches(grammarOnly, suggestion('ye shall', 'you shall', 'grammar'))).toBe(true);
+    expect(ruleMatches(grammarOnly, suggestion('ye shall', 'you shall', 'tone'))).toBe(false);
+  });
+
+  it('matches patterns ignoring case', () => {
+    const pattern = createRule({ kind: 'pattern', text: '^brethren and sisters' });
+    expect(ruleMatches(pattern, suggestion('Brethren and sisters, listen.', 'Friends, listen.'))).toBe(true);
+  });
+});
+
+describe('applyRules', () => {
+  it('reports the first rule each excluded suggestion broke', () => {
+    const rule = createRule({ text: 'verily' });
+    const kept = suggestion('a fine day', 'a good day');
+    const dropped = suggestion('verily I say', 'truly I say');
+    expect(applyRules([kept, dropped], [rule])).toEqual({ kept: [kept], excluded: [{ suggestion: dropped, rule }] });
+  });
+});
+
+describe('exclusionPrompt', () => {
+  it('lists each rule with its scope and reason', () => {
+    const rules = [
+      createRule({ text: 'verily', reason: 'Quoted scripture' }),
+      createRule({ kind: 'pattern', text: '^Amen', mode: 'tone' }),
+    ];
+    expect(describeRule(rules[1], () => 'Tone')).toBe('text matching /^Amen/ (Tone suggestions only)');
+    expect(exclusionPrompt(rules, () => 'Tone').split('\n').slice(1)).toEqual([
+      '- "verily" — Quoted scripture',
+      '- text matching /^Amen/ (Tone suggestions only)',
+    ]);
+  });
+
+  it('is empty without rules', () => {
+    expect(exclusionPrompt([], () => '')).toBe('');
+  });
+});
@@ -0,0 +1,8 @@
+/**
+ * IDs
+ * Short, time-ordered IDs for documents, books, tracked changes and rules.
+ * Unique enough for one person's library; not for anything security-related.
+ */
+
+export const createId = () =>
+  `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
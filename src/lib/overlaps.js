@@ -0,0 +1,80 @@
+/**
+ * Overlapping Suggestions
+ * Focus areas are analyzed together, so a grammar fix and a tone rewrite can
+ * cover the same words. Overlapping suggestions are grouped so they can be
+ * shown as competing alternatives, split into segments for highlighting, and
+ * merged into a single replacement.
+ */
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+/**
+ * Group suggestions whose spans overlap, directly or through another member.
+ * Returns [{ start, end, suggestions }] in document order; a suggestion that
+ * overlaps nothing is a group of one.
+ */
+export function groupOverlapping(suggestions) {
+  const groups = [];
+  [...suggestions]
+    .sort((a, b) => a.start - b.start || b.end - a.end)
+    .forEach(s => {
+      const current = groups[groups.length - 1];
+      if (current && s.start < current.end) {
+        current.suggestions.push(s);
+        current.end = Math.max(current.end, s.end);
+      } else {
+        groups.push({ start: s.start, end: s.end, suggestions: [s] });
+      }
+    });
+  return groups;
+}
+
+// Suggestions that share text with `suggestion`, not counting itself
+export const competingWith = (suggestion, suggestions) =>
+  suggestions.filter(s => s.id !== suggestion.id && overlaps(s, suggestion));
+
+/**
+ * Split highlighted text wherever a suggestion starts or ends. Returns
+ * [{ start, end, covering }] for the highlighted stretches only, where
+ * `covering` lists the suggestions over that stretch, outermost first.
+ */
+export function highlightSegments(suggestions) {
+  const bounds = [...new Set(suggestions.flatMap(s => [s.start, s.end]))].sort((a, b) => a - b);
+  const segments = [];
+  for (let i = 0; i < bounds.length - 1; i++) {
+    const start = bounds[i];
+    const end = bounds[i + 1];
+    const covering = suggestions
+      .filter(s => s.start <= start && s.end >= end)
+      .sort((a, b) => (b.end - b.start) - (a.end - a.start));
+    if (covering.length > 0) segments.push({ start, end, covering });
+  }
+  return segments;
+}
+
+/**
+ * Combine a group's suggestions into one replacement for the whole group.
+ * The widest suggestion is applied first; each of the others is applied if
+ * its original text still appears exactly once in the result, e.g. a grammar
+ * fix inside a sentence the tone rewrite kept. Returns { start, end, original,
+ * suggestion, applied, skipped } with the ids that did and didn't fit.
+ */
+export function mergeAlternatives(content, group) {
+  const [widest, ...rest] = [...group.suggestions].sort((a, b) => (b.end - b.start) - (a.end - a.start));
+  const original = content.slice(group.start, group.end);
+  let merged = original.slice(0, widest.start - group.start) + widest.suggestion + original.slice(widest.end - group.start);
+  const applied = [widest.id];
+  const skipped = [];
+
+  rest.forEach(s => {
+    const at = merged.indexOf(s.original);
+    if (at === -1 || merged.indexOf(s.original, at + 1) !== -1) {
+      skipped.push(s.id);
+      return;
+    }
+    merged = merged.slice(0, at) + s.suggestion + merged.slice(at + s.original.length);
+    applied.push(s.id);
+  });
+
+  return { start: group.start, end: group.end, original, suggestion: merged, applied, skipped };
+}
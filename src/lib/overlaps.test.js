@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { groupOverlapping, competingWith, highlightSegments, mergeAlternatives } from './overlaps';
+
+const content = 'He dont know what he is doing here.';
+const grammar = { id: 'g', start: 3, end: 7, original: 'dont', suggestion: "doesn't" };
+const tone = { id: 't', start: 0, end: 34, original: 'He dont know what he is doing here', suggestion: 'He dont understand his task' };
+const clarity = { id: 'c', start: 30, end: 34, original: 'here', suggestion: 'now' };
+const apart = { id: 'a', start: 40, end: 45, original: 'later', suggestion: 'soon' };
+
+describe('groupOverlapping', () => {
+  it('groups suggestions that overlap through another member', () => {
+    const groups = groupOverlapping([clarity, apart, grammar, tone]);
+    expect(groups.map(g => g.suggestions.map(s => s.id))).toEqual([['t', 'g', 'c'], ['a']]);
+    expect(groups[0]).toMatchObject({ start: 0, end: 34 });
+  });
+
+  it('keeps touching spans apart', () => {
+    const left = { id: 'l', start: 0, end: 2 };
+    const right = { id: 'r', start: 2, end: 4 };
+    expect(groupOverlapping([left, right])).toHaveLength(2);
+  });
+});
+
+describe('competingWith', () => {
+  it('lists the others sharing text, not the suggestion itself', () => {
+    expect(competingWith(grammar, [grammar, tone, clarity, apart]).map(s => s.id)).toEqual(['t']);
+  });
+});
+
+describe('highlightSegments', () => {
+  it('splits at every boundary, outermost suggestion first', () => {
+    const segments = highlightSegments([tone, grammar]);
+    expect(segments.map(s => [s.start, s.end, s.covering.map(c => c.id)])).toEqual([
+      [0, 3, ['t']],
+      [3, 7, ['t', 'g']],
+      [7, 34, ['t']],
+    ]);
+  });
+});
+
+describe('mergeAlternatives', () => {
+  it('applies the widest, then the others whose text survived it', () => {
+    const [group] = groupOverlapping([tone, grammar, clarity]);
+    expect(mergeAlternatives(content, group)).toEqual({
+      start: 0,
+      end: 34,
+      original: 'He dont know what he is doing here',
+      suggestion: "He doesn't understand his task",
+      applied: ['t', 'g'],
+      skipped: ['c'],
+    });
+  });
+});
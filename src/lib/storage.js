@@ -1,15 +1,60 @@
 /**
  * Persistent Storage Utilities
- * Handles auto-save with localStorage and optional cloud sync
+ * Handles auto-save with IndexedDB (falling back to localStorage) and optional cloud sync
+ *
+ * storage.init() must resolve before anything else is used: it loads every
+ * stored key into an in-memory cache so reads stay synchronous. Writes update
+ * the cache immediately and persist asynchronously; their progress and any
+ * failures are reported through storage.subscribe().
  */
 
+import { createIndexedDBBackend, createLocalStorageBackend } from './backends';
+import { createDelta, applyDelta } from './diff';
+import { BACKUP_APP_ID, BACKUP_SCHEMA_VERSION, DOCUMENT_META_FIELDS } from './backup';
+import { createId } from './ids';
+import { countWords } from './chunks';
+
 const STORAGE_KEYS = {
   CONTENT: 'wop_editor_content',
   CHAT_HISTORY: 'wop_chat_history',
   PREFERENCES: 'wop_preferences',
   LAST_SAVED: 'wop_last_saved',
+  DOCUMENTS: 'wop_documents',
+  BOOKS: 'wop_books',
+  ACTIVE_DOCUMENT: 'wop_active_document',
+  MIGRATED: 'wop_migrated_from_localstorage',
 };
 
+// Keys the original localStorage layer wrote as plain (non-JSON) strings
+const RAW_STRING_KEYS = [STORAGE_KEYS.CONTENT, STORAGE_KEYS.LAST_SAVED, STORAGE_KEYS.ACTIVE_DOCUMENT];
+
+// Each document's body (content, chat, suggestions, tracked changes) lives under its own key
+const DOCUMENT_KEY_PREFIX = 'wop_doc_';
+const VERSION_KEY = 'wop_versions';
+const ANALYSIS_KEY_PREFIX = 'wop_analysis_';
+const DEFAULT_DOCUMENT_TITLE = 'Untitled document';
+
+// Per-device bookkeeping that backups leave out
+const DEVICE_LOCAL_KEYS = [
+  STORAGE_KEYS.CONTENT,
+  STORAGE_KEYS.CHAT_HISTORY,
+  STORAGE_KEYS.LAST_SAVED,
+  STORAGE_KEYS.ACTIVE_DOCUMENT,
+  STORAGE_KEYS.MIGRATED,
+  VERSION_KEY,
+  'wop_sync_state',
+  'wop_response_cache',
+];
+
+// Any other wop_* key (custom settings) travels with a backup as-is
+const isSettingKey = (key) =>
+  key.startsWith('wop_') &&
+  !DEVICE_LOCAL_KEYS.includes(key) &&
+  ![STORAGE_KEYS.DOCUMENTS, STORAGE_KEYS.BOOKS, STORAGE_KEYS.PREFERENCES].includes(key) &&
+  !key.startsWith(DOCUMENT_KEY_PREFIX) &&
+  !key.startsWith(`${VERSION_KEY}_`) &&
+  !key.startsWith(ANALYSIS_KEY_PREFIX);
+
 // Debounce helper for auto-save
 export function debounce(func, wait) {
   let timeout;
@@ -23,190 +68,851 @@ export function debounce(func, wait) {
   };
 }
 
-// Local Storage Operations
+const cache = new Map();
+let backend = null;
+
+// Write tracking for the save indicator: keys with a failed last write stay
+// in failedWrites until a later write of the same key succeeds.
+// scheduledSaves maps each waiting auto-save to the arguments it will save.
+let pendingWrites = 0;
+const scheduledSaves = new Map();
+const failedWrites = new Map();
+const listeners = new Set();
+const changeListeners = new Set();
+
+// Cross-tab coordination: every write is announced to the editor's other open
+// tabs so their caches stay current. Document bodies carry a revision
+// ("<tab>:<n>") and a tab only overwrites the revision it loaded, so a stale
+// tab never clobbers newer work; it reports a conflict instead.
+const TAB_ID = createId();
+const TAB_LOCAL_KEYS = [STORAGE_KEYS.ACTIVE_DOCUMENT];
+let channel = null;
+let revisionCount = 0;
+const loadedRevisions = new Map();
+const conflicts = new Set();
+const tabListeners = new Set();
+
+const describeStorageError = (e) => {
+  if (e && e.name === 'QuotaExceededError') {
+    return 'Browser storage is full. Delete old documents or versions to keep saving.';
+  }
+  return `Could not save to browser storage${e && e.message ? `: ${e.message}` : ''}`;
+};
+
+const getStatus = () => ({
+  status: pendingWrites > 0 || scheduledSaves.size > 0 ? 'saving' : failedWrites.size > 0 ? 'error' : 'saved',
+  error: failedWrites.size > 0 ? [...failedWrites.values()].pop() : null,
+});
+
+const notify = () => {
+  const status = getStatus();
+  listeners.forEach(listener => listener(status));
+};
+
+const persist = async (key, operation) => {
+  pendingWrites += 1;
+  notify();
+  try {
+    if (!backend) throw new Error('Storage has not been initialized');
+    await operation(backend);
+    failedWrites.delete(key);
+    return true;
+  } catch (e) {
+    console.error(`Failed to save ${key}:`, e);
+    failedWrites.set(key, describeStorageError(e));
+    return false;
+  } finally {
+    pendingWrites -= 1;
+    notify();
+  }
+};
+
+// Change listeners hear about every key written, locally or by sync
+const emitChange = (change) => {
+  changeListeners.forEach(listener => listener(change));
+};
+
+const announce = (key, value, deleted) => {
+  if (!channel || TAB_LOCAL_KEYS.includes(key)) return;
+  channel.postMessage({ tab: TAB_ID, key, value, deleted });
+};
+
+const readJSON = (key, fallback) => (cache.has(key) ? cache.get(key) : fallback);
+
+const writeJSON = (key, value, source = 'local') => {
+  cache.set(key, value);
+  emitChange({ key, value, deleted: false, source });
+  announce(key, value, false);
+  return persist(key, store => store.set(key, value));
+};
+
+const removeKey = (key, source = 'local') => {
+  if (!cache.has(key)) return Promise.resolve(true);
+  cache.delete(key);
+  emitChange({ key, value: undefined, deleted: true, source });
+  announce(key, undefined, true);
+  return persist(key, store => store.remove(key));
+};
+
+// Copy wop_* keys from localStorage into IndexedDB once, then free localStorage
+const migrateFromLocalStorage = async (idb) => {
+  const entries = await idb.getAll();
+  if (entries.get(STORAGE_KEYS.MIGRATED)) return entries;
+
+  const legacy = await createLocalStorageBackend({ rawKeys: RAW_STRING_KEYS }).getAll();
+  legacy.set(STORAGE_KEYS.MIGRATED, new Date().toISOString());
+  await idb.setMany([...legacy]);
+  legacy.forEach((_, key) => localStorage.removeItem(key));
+  return idb.getAll();
+};
+
+const loadBackend = async () => {
+  try {
+    const idb = await createIndexedDBBackend();
+    const entries = await migrateFromLocalStorage(idb);
+    return { store: idb, entries };
+  } catch (e) {
+    console.error('IndexedDB unavailable, falling back to localStorage:', e);
+    const fallback = createLocalStorageBackend({ rawKeys: RAW_STRING_KEYS });
+    return { store: fallback, entries: await fallback.getAll() };
+  }
+};
+
+const documentKey = (id) => `${DOCUMENT_KEY_PREFIX}${id}`;
+const versionKey = (id) => `${VERSION_KEY}_${id}`;
+const analysisKey = (id) => `${ANALYSIS_KEY_PREFIX}${id}`;
+
+// Move the pre-library single document (and its versions) into the library
+const migrateLegacyDocument = () => {
+  const content = readJSON(STORAGE_KEYS.CONTENT, null);
+  const chatHistory = readJSON(STORAGE_KEYS.CHAT_HISTORY, null);
+  const legacyVersions = readJSON(VERSION_KEY, []);
+  if (!content && !chatHistory && legacyVersions.length === 0) return null;
+
+  const doc = library.createDocument({ content: content || '', chatHistory });
+  if (legacyVersions.length > 0) {
+    writeJSON(versionKey(doc.id), legacyVersions);
+  }
+  removeKey(STORAGE_KEYS.CONTENT);
+  removeKey(STORAGE_KEYS.CHAT_HISTORY);
+  removeKey(VERSION_KEY);
+  return doc;
+};
+
+// Document library: many named documents, optionally grouped into books
+export const library = {
+  listDocuments() {
+    return readJSON(STORAGE_KEYS.DOCUMENTS, []);
+  },
+
+  getDocument(id) {
+    return this.listDocuments().find(d => d.id === id) || null;
+  },
+
+  createDocument({ title = DEFAULT_DOCUMENT_TITLE, content = '', chatHistory = null } = {}) {
+    const now = new Date().toISOString();
+    const doc = {
+      id: createId(),
+      title,
+      createdAt: now,
+      updatedAt: now,
+      wordCount: countWords(content),
+    };
+    writeJSON(documentKey(doc.id), { content, chatHistory, suggestions: [] });
+    writeJSON(STORAGE_KEYS.DOCUMENTS, [...this.listDocuments(), doc]);
+    return doc;
+  },
+
+  updateDocument(id, changes) {
+    const documents = this.listDocuments().map(d =>
+      d.id === id ? { ...d, ...changes, updatedAt: new Date().toISOString() } : d
+    );
+    writeJSON(STORAGE_KEYS.DOCUMENTS, documents);
+    return documents.find(d => d.id === id) || null;
+  },
+
+  renameDocument(id, title) {
+    return this.updateDocument(id, { title: title.trim() || DEFAULT_DOCUMENT_TITLE });
+  },
+
+  duplicateDocument(id) {
+    const source = this.getDocument(id);
+    if (!source) return null;
+    const record = readJSON(documentKey(id), {});
+    const copy = this.createDocument({
+      title: `${source.title} (copy)`,
+      content: record.content || '',
+      chatHistory: record.chatHistory || null,
+    });
+    const book = this.listBooks().find(b => b.chapters.includes(id));
+    if (book) {
+      this.addChapter(book.id, copy.id, book.chapters.indexOf(id) + 1);
+    }
+    return copy;
+  },
+
+  // Returns the id of the document that should become active afterwards
+  deleteDocument(id) {
+    const documents = this.listDocuments().filter(d => d.id !== id);
+    writeJSON(STORAGE_KEYS.DOCUMENTS, documents);
+    removeKey(documentKey(id));
+    removeKey(versionKey(id));
+    removeKey(analysisKey(id));
+    writeJSON(STORAGE_KEYS.BOOKS, this.listBooks().map(b => ({
+      ...b,
+      chapters: b.chapters.filter(c => c !== id),
+    })));
+
+    if (readJSON(STORAGE_KEYS.ACTIVE_DOCUMENT, null) === id) {
+      const next = documents[0] || null;
+      if (next) {
+        this.setActiveDocumentId(next.id);
+      } else {
+        removeKey(STORAGE_KEYS.ACTIVE_DOCUMENT);
+      }
+      return next ? next.id : null;
+    }
+    return readJSON(STORAGE_KEYS.ACTIVE_DOCUMENT, null);
+  },
+
+  getActiveDocumentId() {
+    let documents = this.listDocuments();
+    if (documents.length === 0) {
+      const doc = migrateLegacyDocument() || this.createDocument();
+      documents = [doc];
+    }
+    const activeId = readJSON(STORAGE_KEYS.ACTIVE_DOCUMENT, null);
+    if (activeId && documents.some(d => d.id === activeId)) return activeId;
+
+    this.setActiveDocumentId(documents[0].id);
+    return documents[0].id;
+  },
+
+  setActiveDocumentId(id) {
+    return writeJSON(STORAGE_KEYS.ACTIVE_DOCUMENT, id);
+  },
+
+  // Books group documents as ordered chapters; a document belongs to at most one book
+  listBooks() {
+    return readJSON(STORAGE_KEYS.BOOKS, []);
+  },
+
+  createBook(title) {
+    const book = { id: createId(), title: title.trim() || 'Untitled book', chapters: [] };
+    writeJSON(STORAGE_KEYS.BOOKS, [...this.listBooks(), book]);
+    return book;
+  },
+
+  renameBook(id, title) {
+    writeJSON(STORAGE_KEYS.BOOKS, this.listBooks().map(b =>
+      b.id === id ? { ...b, title: title.trim() || b.title } : b
+    ));
+  },
+
+  // Deleting a book keeps its chapters as loose documents
+  deleteBook(id) {
+    writeJSON(STORAGE_KEYS.BOOKS, this.listBooks().filter(b => b.id !== id));
+  },
+
+  addChapter(bookId, docId, index = null) {
+    writeJSON(STORAGE_KEYS.BOOKS, this.listBooks().map(b => {
+      const chapters = b.chapters.filter(c => c !== docId);
+      if (b.id !== bookId) return { ...b, chapters };
+      const at = index === null ? chapters.length : Math.min(index, chapters.length);
+      chapters.splice(at, 0, docId);
+      return { ...b, chapters };
+    }));
+  },
+
+  removeChapter(docId) {
+    writeJSON(STORAGE_KEYS.BOOKS, this.listBooks().map(b => ({
+      ...b,
+      chapters: b.chapters.filter(c => c !== docId),
+    })));
+  },
+
+  moveChapter(bookId, docId, offset) {
+    writeJSON(STORAGE_KEYS.BOOKS, this.listBooks().map(b => {
+      if (b.id !== bookId) return b;
+      const from = b.chapters.indexOf(docId);
+      const to = from + offset;
+      if (from === -1 || to < 0 || to >= b.chapters.length) return b;
+      const chapters = [...b.chapters];
+      chapters.splice(from, 1);
+      chapters.splice(to, 0, docId);
+      return { ...b, chapters };
+    }));
+  },
+};
+
+const readDocument = (docId) => readJSON(documentKey(docId), {});
+
+const notifyTabs = (changes) => {
+  tabListeners.forEach(listener => listener({
+    library: false,
+    preferences: false,
+    documents: [],
+    versions: [],
+    analysis: [],
+    conflicts: [],
+    ...changes,
+  }));
+};
+
+const flagConflict = (docId) => {
+  if (conflicts.has(docId)) return;
+  conflicts.add(docId);
+  notifyTabs({ conflicts: [docId] });
+};
+
+// The editor now shows the stored document, so its next save may overwrite it
+const acknowledgeDocument = (docId) => {
+  loadedRevisions.set(docId, readDocument(docId).revision);
+  conflicts.delete(docId);
+};
+
+// Another tab replaced a document we have open. That is only safe to adopt
+// when it built on our latest save and we have no unsaved text of our own.
+const isConflicting = (docId, previous = {}, incoming) => {
+  const loaded = loadedRevisions.get(docId);
+  if (!incoming || !loadedRevisions.has(docId) || incoming.revision === loaded) return false;
+
+  const pending = scheduledSaves.get('content');
+  const unsaved = !!pending && pending[1] === docId && pending[0] !== previous.content;
+  const overwritten = String(loaded).startsWith(`${TAB_ID}:`) && incoming.baseRevision !== loaded;
+  const ourText = unsaved ? pending[0] : previous.content;
+  return (unsaved || overwritten) && incoming.content !== ourText;
+};
+
+const receiveFromTab = ({ tab, key, value, deleted }) => {
+  if (tab === TAB_ID) return;
+  const previous = cache.get(key);
+  if (deleted) {
+    cache.delete(key);
+  } else {
+    cache.set(key, value);
+  }
+  emitChange({ key, value, deleted, source: 'tab' });
+
+  const changes = {
+    library: key === STORAGE_KEYS.DOCUMENTS || key === STORAGE_KEYS.BOOKS,
+    preferences: key === STORAGE_KEYS.PREFERENCES,
+  };
+  if (key.startsWith(`${VERSION_KEY}_`)) {
+    changes.versions = [key.slice(VERSION_KEY.length + 1)];
+  }
+  if (key.startsWith(ANALYSIS_KEY_PREFIX)) {
+    changes.analysis = [key.slice(ANALYSIS_KEY_PREFIX.length)];
+  }
+  if (key.startsWith(DOCUMENT_KEY_PREFIX)) {
+    const docId = key.slice(DOCUMENT_KEY_PREFIX.length);
+    if (isConflicting(docId, previous, value)) {
+      conflicts.add(docId);
+      changes.conflicts = [docId];
+    } else if (!conflicts.has(docId)) {
+      changes.documents = [docId];
+    }
+  }
+  notifyTabs(changes);
+};
+
+const writeDocument = (docId, changes) => {
+  // A debounced save may fire after its document was deleted
+  if (!library.getDocument(docId)) return Promise.resolve(false);
+
+  const current = readDocument(docId);
+  const unchanged = Object.entries(changes).every(([field, value]) =>
+    JSON.stringify(value) === JSON.stringify(current[field])
+  );
+  if (unchanged) return Promise.resolve(true);
+
+  // Changed elsewhere since this tab loaded it: hold the write until resolved
+  if (conflicts.has(docId) || (loadedRevisions.has(docId) && current.revision !== loadedRevisions.get(docId))) {
+    flagConflict(docId);
+    return Promise.resolve(false);
+  }
+
+  revisionCount += 1;
+  const revision = `${TAB_ID}:${revisionCount}`;
+  loadedRevisions.set(docId, revision);
+  return writeJSON(documentKey(docId), { ...current, ...changes, revision, baseRevision: current.revision });
+};
+
+// Storage Operations
+// Write methods resolve to true once the change is persisted, false on failure.
 export const storage = {
-  // Save content
-  saveContent(content) {
-    try {
-      localStorage.setItem(STORAGE_KEYS.CONTENT, content);
-      localStorage.setItem(STORAGE_KEYS.LAST_SAVED, new Date().toISOString());
-      return true;
-    } catch (e) {
-      console.error('Failed to save content:', e);
-      return false;
+  // Open the backend, migrate localStorage data and fill the cache
+  async init() {
+    if (backend) return backend.name;
+    const { store, entries } = await loadBackend();
+    entries.forEach((value, key) => cache.set(key, value));
+    backend = store;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      channel = new BroadcastChannel('wop_storage');
+      channel.onmessage = (event) => receiveFromTab(event.data);
     }
+
+    // Ask the browser not to evict our data under storage pressure
+    navigator.storage?.persist?.().catch(() => {});
+    return backend.name;
+  },
+
+  // Listen for save status changes: { status: 'saving' | 'saved' | 'error', error }
+  subscribe(listener) {
+    listeners.add(listener);
+    listener(getStatus());
+    return () => listeners.delete(listener);
+  },
+
+  // True when no auto-save is scheduled and no write is in flight
+  isIdle() {
+    return pendingWrites === 0 && scheduledSaves.size === 0;
+  },
+
+  // Listen for raw key changes: { key, value, deleted, source: 'local' | 'remote' | 'tab' }
+  onChange(listener) {
+    changeListeners.add(listener);
+    return () => changeListeners.delete(listener);
+  },
+
+  // Listen for edits made in the editor's other open tabs:
+  // { library, preferences, documents, versions, analysis, conflicts }. Documents listed
+  // can be reloaded; conflicting ones refuse this tab's writes until
+  // resolveConflict() (or loadContent()) is called for them.
+  onTabChange(listener) {
+    tabListeners.add(listener);
+    return () => tabListeners.delete(listener);
+  },
+
+  hasConflict(docId) {
+    return conflicts.has(docId);
+  },
+
+  // Let this tab's version of a document overwrite the one from another tab
+  resolveConflict(docId) {
+    acknowledgeDocument(docId);
   },
 
-  // Load content
-  loadContent() {
+  // Raw key access for the sync layer
+  readKey(key) {
+    return readJSON(key, undefined);
+  },
+
+  writeKey(key, value, source = 'local') {
+    return value === undefined ? removeKey(key, source) : writeJSON(key, value, source);
+  },
+
+  // Report how much of the browser's storage quota is in use
+  async getUsage() {
     try {
-      return localStorage.getItem(STORAGE_KEYS.CONTENT) || null;
+      const estimate = await navigator.storage?.estimate?.();
+      if (!estimate || !estimate.quota) return null;
+      return {
+        usage: estimate.usage,
+        quota: estimate.quota,
+        ratio: estimate.usage / estimate.quota,
+      };
     } catch (e) {
-      console.error('Failed to load content:', e);
       return null;
     }
   },
 
+  // Save content of a document (defaults to the active one)
+  async saveContent(content, docId = library.getActiveDocumentId()) {
+    if (readDocument(docId).content === content) return true;
+    const saved = writeDocument(docId, { content });
+    // Held back by a conflict with another tab: leave the library untouched
+    if (conflicts.has(docId)) return saved;
+    library.updateDocument(docId, { wordCount: countWords(content) });
+    writeJSON(STORAGE_KEYS.LAST_SAVED, new Date().toISOString());
+    return saved;
+  },
+
+  // Load content of a document. The caller now works from this revision,
+  // which also settles any conflict over it.
+  loadContent(docId = library.getActiveDocumentId()) {
+    acknowledgeDocument(docId);
+    return readDocument(docId).content || null;
+  },
+
   // Save chat history
-  saveChatHistory(history) {
-    try {
-      // Keep only last 50 messages to avoid storage limits
-      const trimmed = history.slice(-50);
-      localStorage.setItem(STORAGE_KEYS.CHAT_HISTORY, JSON.stringify(trimmed));
-      return true;
-    } catch (e) {
-      console.error('Failed to save chat history:', e);
-      return false;
-    }
+  async saveChatHistory(history, docId = library.getActiveDocumentId()) {
+    // Keep only last 50 messages to avoid storage limits
+    const trimmed = history.slice(-50);
+    return writeDocument(docId, { chatHistory: trimmed });
   },
 
   // Load chat history
-  loadChatHistory() {
-    try {
-      const data = localStorage.getItem(STORAGE_KEYS.CHAT_HISTORY);
-      return data ? JSON.parse(data) : null;
-    } catch (e) {
-      console.error('Failed to load chat history:', e);
-      return null;
-    }
+  loadChatHistory(docId = library.getActiveDocumentId()) {
+    return readDocument(docId).chatHistory || null;
+  },
+
+  // Save pending suggestions so they survive switching documents
+  async saveSuggestions(suggestions, docId = library.getActiveDocumentId()) {
+    return writeDocument(docId, { suggestions });
+  },
+
+  loadSuggestions(docId = library.getActiveDocumentId()) {
+    return readDocument(docId).suggestions || [];
+  },
+
+  // Track-changes mode and the changes awaiting review: { enabled, changes }
+  async saveTracking(tracking, docId = library.getActiveDocumentId()) {
+    return writeDocument(docId, { tracking });
+  },
+
+  loadTracking(docId = library.getActiveDocumentId()) {
+    return readDocument(docId).tracking || { enabled: false, changes: [] };
   },
 
   // Save preferences (selected modes, etc.)
-  savePreferences(prefs) {
-    try {
-      localStorage.setItem(STORAGE_KEYS.PREFERENCES, JSON.stringify(prefs));
-      return true;
-    } catch (e) {
-      console.error('Failed to save preferences:', e);
-      return false;
-    }
+  async savePreferences(prefs) {
+    return writeJSON(STORAGE_KEYS.PREFERENCES, prefs);
   },
 
   // Load preferences
   loadPreferences() {
-    try {
-      const data = localStorage.getItem(STORAGE_KEYS.PREFERENCES);
-      return data ? JSON.parse(data) : null;
-    } catch (e) {
-      console.error('Failed to load preferences:', e);
-      return null;
-    }
+    return readJSON(STORAGE_KEYS.PREFERENCES, null);
   },
 
   // Get last saved timestamp
   getLastSaved() {
-    try {
-      const timestamp = localStorage.getItem(STORAGE_KEYS.LAST_SAVED);
-      return timestamp ? new Date(timestamp) : null;
-    } catch (e) {
-      return null;
-    }
+    const timestamp = readJSON(STORAGE_KEYS.LAST_SAVED, null);
+    return timestamp ? new Date(timestamp) : null;
   },
 
   // Clear all stored data
-  clearAll() {
-    try {
-      Object.values(STORAGE_KEYS).forEach(key => {
-        localStorage.removeItem(key);
-      });
-      return true;
-    } catch (e) {
-      console.error('Failed to clear storage:', e);
-      return false;
-    }
+  async clearAll() {
+    cache.clear();
+    failedWrites.clear();
+    return persist('all', store => store.clear());
   },
 
-  // Export all data as JSON (for backup)
+  // Everything worth keeping in one archive: documents with their chat,
+  // suggestions and version history, books, preferences and other settings
   exportAll() {
+    const documents = library.listDocuments().map(doc => {
+      const { revision, baseRevision, ...record } = readDocument(doc.id);
+      return {
+        ...doc,
+        ...record,
+        versions: readJSON(versionKey(doc.id), []),
+        analysisSessions: readJSON(analysisKey(doc.id), []),
+      };
+    });
+    const settings = {};
+    cache.forEach((value, key) => {
+      if (isSettingKey(key)) settings[key] = value;
+    });
+
     return {
-      content: this.loadContent(),
-      chatHistory: this.loadChatHistory(),
-      preferences: this.loadPreferences(),
+      app: BACKUP_APP_ID,
+      schemaVersion: BACKUP_SCHEMA_VERSION,
       exportedAt: new Date().toISOString(),
+      documents,
+      books: library.listBooks(),
+      preferences: this.loadPreferences(),
+      settings,
     };
   },
 
-  // Import data from backup
-  importAll(data) {
-    try {
-      if (data.content) this.saveContent(data.content);
-      if (data.chatHistory) this.saveChatHistory(data.chatHistory);
-      if (data.preferences) this.savePreferences(data.preferences);
-      return true;
-    } catch (e) {
-      console.error('Failed to import data:', e);
-      return false;
+  // Apply a migrated, validated archive (see lib/backup). 'merge' keeps local
+  // documents missing from the backup; 'replace' deletes them. Documents in
+  // both are overwritten by the backup copy.
+  async importAll(archive, { mode = 'merge' } = {}) {
+    const incoming = new Set(archive.documents.map(d => d.id));
+    if (mode === 'replace') {
+      library.listDocuments()
+        .filter(d => !incoming.has(d.id))
+        .forEach(d => library.deleteDocument(d.id));
     }
+
+    const writes = [];
+    const index = library.listDocuments().filter(d => !incoming.has(d.id));
+    archive.documents.forEach(({ versions, analysisSessions = [], ...doc }) => {
+      const meta = {};
+      const record = {};
+      Object.entries(doc).forEach(([field, value]) => {
+        (DOCUMENT_META_FIELDS.includes(field) ? meta : record)[field] = value;
+      });
+      const now = new Date().toISOString();
+      index.push({
+        ...meta,
+        createdAt: meta.createdAt || now,
+        updatedAt: meta.updatedAt || now,
+        wordCount: countWords(record.content),
+      });
+      writes.push(writeJSON(documentKey(doc.id), record));
+      writes.push(writeJSON(versionKey(doc.id), versions));
+      writes.push(writeJSON(analysisKey(doc.id), analysisSessions));
+    });
+    writes.push(writeJSON(STORAGE_KEYS.DOCUMENTS, index));
+
+    // Books from the backup win by id; chapters must point at real documents
+    const books = mode === 'replace'
+      ? archive.books
+      : [...library.listBooks().filter(b => !archive.books.some(a => a.id === b.id)), ...archive.books];
+    const ids = new Set(index.map(d => d.id));
+    writes.push(writeJSON(STORAGE_KEYS.BOOKS, books.map(b => ({
+      ...b,
+      chapters: b.chapters.filter(c => ids.has(c)),
+    }))));
+
+    if (archive.preferences) {
+      writes.push(this.savePreferences(mode === 'replace'
+        ? archive.preferences
+        : { ...this.loadPreferences(), ...archive.preferences }));
+    }
+    Object.entries(archive.settings || {}).forEach(([key, value]) => {
+      if (isSettingKey(key)) writes.push(writeJSON(key, value));
+    });
+
+    const results = await Promise.all(writes);
+    return results.every(Boolean);
   },
 };
 
 // Create auto-save functions with debouncing
-export const autoSaveContent = debounce((content) => {
-  storage.saveContent(content);
+// A scheduled save counts as "saving" for the indicator until it has run.
+const autoSave = (name, save, wait) => {
+  const debounced = debounce((...args) => {
+    scheduledSaves.delete(name);
+    save(...args);
+  }, wait);
+  return (...args) => {
+    scheduledSaves.set(name, args);
+    notify();
+    debounced(...args);
+  };
+};
+
+// The document id is captured at call time so a pending save never lands on
+// a document the user has since switched to.
+export const autoSaveContent = autoSave('content', (content, docId) => {
+  storage.saveContent(content, docId);
 }, 2000); // Save 2 seconds after typing stops
 
-export const autoSaveChatHistory = debounce((history) => {
-  storage.saveChatHistory(history);
+export const autoSaveChatHistory = autoSave('chat', (history, docId) => {
+  storage.saveChatHistory(history, docId);
 }, 1000);
 
-export const autoSavePreferences = debounce((prefs) => {
+export const autoSaveSuggestions = autoSave('suggestions', (suggestions, docId) => {
+  storage.saveSuggestions(suggestions, docId);
+}, 1000);
+
+export const autoSaveTracking = autoSave('tracking', (tracking, docId) => {
+  storage.saveTracking(tracking, docId);
+}, 1000);
+
+export const autoSavePreferences = autoSave('preferences', (prefs) => {
   storage.savePreferences(prefs);
 }, 500);
 
-// Document versioning (keeps last 5 versions)
-const VERSION_KEY = 'wop_versions';
-const MAX_VERSIONS = 5;
+// Analysis history
+// Every analysis run is kept per document with the settings it used and the
+// decision made on each suggestion, so a run can be reviewed or resumed later.
+export const SUGGESTION_STATUSES = {
+  pending: 'Pending',
+  accepted: 'Accepted',
+  custom: 'Custom edit',
+  dismissed: 'Dismissed',
+};
+
+export const analysisHistory = {
+  // Runs for a document, newest first
+  listSessions(docId = library.getActiveDocumentId()) {
+    return readJSON(analysisKey(docId), []);
+  },
+
+  getSession(sessionId, docId = library.getActiveDocumentId()) {
+    return this.listSessions(docId).find(s => s.id === sessionId) || null;
+  },
+
+  // Suggestions are stored without positions; they are located again on resume
+  createSession({ modes, suggestionLimit, wordCount, suggestions }, docId = library.getActiveDocumentId()) {
+    const session = {
+      id: createId(),
+      createdAt: new Date().toISOString(),
+      modes,
+      suggestionLimit,
+      wordCount,
+      suggestions: suggestions.map(({ id, original, suggestion, reason, mode, anchor }) => ({
+        id, original, suggestion, reason, mode, anchor, status: 'pending',
+      })),
+    };
+    writeJSON(analysisKey(docId), [session, ...this.listSessions(docId)]);
+    return session;
+  },
+
+  // status: 'accepted' | 'custom' | 'dismissed'; customText records a custom edit
+  // `note` is the reason given for a dismissal
+  recordDecision(sessionId, suggestionId, status, customText = null, docId = library.getActiveDocumentId(), note = null) {
+    const sessions = this.listSessions(docId);
+    if (!sessions.some(s => s.id === sessionId)) return Promise.resolve(false);
+    return writeJSON(analysisKey(docId), sessions.map(session => (session.id !== sessionId ? session : {
+      ...session,
+      suggestions: session.suggestions.map(s => (s.id !== suggestionId ? s : {
+        ...s,
+        status,
+        customText: status === 'custom' ? customText : null,
+        note: status === 'dismissed' ? note : null,
+        decidedAt: new Date().toISOString(),
+      })),
+    })));
+  },
+
+  deleteSession(sessionId, docId = library.getActiveDocumentId()) {
+    return writeJSON(analysisKey(docId), this.listSessions(docId).filter(s => s.id !== sessionId));
+  },
+};
+
+// Document versioning
+// History is unlimited. Each version is either a full snapshot ({ content })
+// or a word-level delta against the most recent snapshot ({ baseId, delta }).
+// Pinned versions are never pruned by the retention policy.
+const SNAPSHOT_INTERVAL = 25; // Start a fresh snapshot after this many deltas
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+export const RETENTION_POLICIES = {
+  all: 'Keep every version',
+  tiered: 'Hourly for a day, daily for a month',
+};
+
+const materialize = (entries, entry) => {
+  if (entry.content !== undefined) return entry.content;
+  const base = entries.find(e => e.id === entry.baseId);
+  return base ? applyDelta(base.content, entry.delta) : null;
+};
+
+const toVersion = ({ id, label, timestamp, wordCount, pinned = false, auto = false }) =>
+  ({ id, label, timestamp, wordCount, pinned, auto });
+
+// Drop versions by id; deltas whose snapshot goes away are rebased onto the
+// oldest of them, which becomes the new snapshot.
+const removeVersions = (entries, ids) => {
+  const removing = new Set(ids);
+  if (removing.size === 0) return entries;
+
+  const orphansByBase = new Map();
+  entries.forEach(e => {
+    if (e.baseId !== undefined && removing.has(e.baseId) && !removing.has(e.id)) {
+      orphansByBase.set(e.baseId, [...(orphansByBase.get(e.baseId) || []), e]);
+    }
+  });
+
+  const rebased = new Map();
+  orphansByBase.forEach(orphans => {
+    const [newBase, ...rest] = [...orphans].reverse();
+    const baseContent = materialize(entries, newBase);
+    const { baseId, delta, ...meta } = newBase;
+    rebased.set(newBase.id, { ...meta, content: baseContent });
+    rest.forEach(e => {
+      const { content, ...restMeta } = e;
+      rebased.set(e.id, {
+        ...restMeta,
+        baseId: newBase.id,
+        delta: createDelta(baseContent, materialize(entries, e)),
+      });
+    });
+  });
+
+  return entries
+    .filter(e => !removing.has(e.id))
+    .map(e => rebased.get(e.id) || e);
+};
+
+// Tiered retention keeps everything from the last hour, the newest version of
+// each hour for a day, the newest of each day for a month, and nothing older.
+const applyRetention = (entries, policy, now = Date.now()) => {
+  if (policy !== 'tiered') return entries;
+
+  const seenBuckets = new Set();
+  const expired = [];
+  entries.forEach(e => {
+    if (e.pinned) return;
+    const time = new Date(e.timestamp).getTime();
+    const age = now - time;
+    if (age < HOUR) return;
+    if (age >= 30 * DAY) {
+      expired.push(e.id);
+      return;
+    }
+    const bucket = age < DAY
+      ? `hour-${Math.floor(time / HOUR)}`
+      : `day-${new Date(time).toDateString()}`;
+    if (seenBuckets.has(bucket)) {
+      expired.push(e.id);
+    } else {
+      seenBuckets.add(bucket);
+    }
+  });
+  return removeVersions(entries, expired);
+};
 
 export const versioning = {
-  saveVersion(content, label = '') {
-    try {
-      const versions = this.getVersions();
-      const newVersion = {
-        id: Date.now(),
-        content,
-        label: label || `Version ${versions.length + 1}`,
-        timestamp: new Date().toISOString(),
-        wordCount: content.trim().split(/\s+/).filter(w => w.length > 0).length,
-      };
-      
-      versions.unshift(newVersion);
-      
-      // Keep only MAX_VERSIONS
-      while (versions.length > MAX_VERSIONS) {
-        versions.pop();
+  // Returns the new version right away; persistence is reported via storage.subscribe()
+  saveVersion(content, label = '', docId = library.getActiveDocumentId(), { auto = false } = {}) {
+    const entries = readJSON(versionKey(docId), []);
+    const meta = {
+      id: createId(),
+      label: label || `Version ${entries.length + 1}`,
+      timestamp: new Date().toISOString(),
+      wordCount: countWords(content),
+      pinned: false,
+      auto,
+    };
+
+    // Store a delta unless the chain is long or the delta barely saves space
+    let entry = { ...meta, content };
+    const baseIndex = entries.findIndex(e => e.content !== undefined);
+    if (baseIndex !== -1 && baseIndex < SNAPSHOT_INTERVAL) {
+      const base = entries[baseIndex];
+      const delta = createDelta(base.content, content);
+      if (JSON.stringify(delta).length < content.length / 2) {
+        entry = { ...meta, baseId: base.id, delta };
       }
-      
-      localStorage.setItem(VERSION_KEY, JSON.stringify(versions));
-      return newVersion;
-    } catch (e) {
-      console.error('Failed to save version:', e);
-      return null;
     }
+
+    const policy = storage.loadPreferences()?.versionRetention;
+    writeJSON(versionKey(docId), applyRetention([entry, ...entries], policy));
+    return { ...toVersion(meta), content };
   },
 
-  getVersions() {
-    try {
-      const data = localStorage.getItem(VERSION_KEY);
-      return data ? JSON.parse(data) : [];
-    } catch (e) {
-      return [];
-    }
+  // Version metadata, newest first (use getVersionContent for the text)
+  getVersions(docId = library.getActiveDocumentId()) {
+    return readJSON(versionKey(docId), []).map(toVersion);
   },
 
-  restoreVersion(id) {
-    const versions = this.getVersions();
-    const version = versions.find(v => v.id === id);
-    return version ? version.content : null;
+  getVersionContent(id, docId = library.getActiveDocumentId()) {
+    const entries = readJSON(versionKey(docId), []);
+    const entry = entries.find(e => e.id === id);
+    return entry ? materialize(entries, entry) : null;
   },
 
-  deleteVersion(id) {
-    try {
-      const versions = this.getVersions().filter(v => v.id !== id);
-      localStorage.setItem(VERSION_KEY, JSON.stringify(versions));
-      return true;
-    } catch (e) {
-      return false;
-    }
+  restoreVersion(id, docId = library.getActiveDocumentId()) {
+    return this.getVersionContent(id, docId);
+  },
+
+  async pinVersion(id, pinned, docId = library.getActiveDocumentId()) {
+    const entries = readJSON(versionKey(docId), []).map(e => (e.id === id ? { ...e, pinned } : e));
+    return writeJSON(versionKey(docId), entries);
+  },
+
+  async deleteVersion(id, docId = library.getActiveDocumentId()) {
+    const entries = removeVersions(readJSON(versionKey(docId), []), [id]);
+    return writeJSON(versionKey(docId), entries);
+  },
+
+  // Prune every document's history under a (newly chosen) retention policy
+  async applyRetention(policy) {
+    const results = await Promise.all(library.listDocuments().map(doc => {
+      const entries = readJSON(versionKey(doc.id), []);
+      const pruned = applyRetention(entries, policy);
+      return pruned === entries ? true : writeJSON(versionKey(doc.id), pruned);
+    }));
+    return results.every(Boolean);
   },
 };
 
@@ -0,0 +1,248 @@
+/**
+ * Suggestion Schema
+ * Analysis asks Claude to return suggestions through a tool whose input schema
+ * is built from SUGGESTION_FIELDS. The same definitions validate every item
+ * that comes back, so one bad item is reported on its own instead of failing
+ * the whole run.
+ */
+
+import { resolveAnchor } from './anchors';
+
+export const SUGGESTION_TOOL_NAME = 'submit_suggestions';
+
+// Add a field here and it is requested from the model, validated, and kept
+// on the suggestion. Optional fields may be left out by the model. Context
+// fields only help locate the original text and are not kept.
+export const SUGGESTION_FIELDS = {
+  original: {
+    type: 'string',
+    description: 'Exact text from the document, copied character for character',
+    required: true,
+  },
+  suggestion: {
+    type: 'string',
+    description: 'Proposed replacement for the original text',
+    required: true,
+  },
+  reason: {
+    type: 'string',
+    description: 'Brief explanation of the change',
+    required: true,
+  },
+  mode: {
+    type: 'string',
+    description: 'Editorial focus area the suggestion belongs to',
+    required: true,
+    enumFrom: 'modes',
+  },
+  prefix: {
+    type: 'string',
+    description: 'The few words just before the original text, copied exactly, so a phrase that appears more than once can be told apart',
+    required: false,
+    context: true,
+  },
+  suffix: {
+    type: 'string',
+    description: 'The few words just after the original text, copied exactly',
+    required: false,
+    context: true,
+  },
+};
+
+const anchorFrom = (item) => ({ quote: item.original, prefix: item.prefix, suffix: item.suffix });
+
+// Tool definition for the Messages API; `modes` are the allowed mode ids
+export function suggestionTool(modes) {
+  const properties = {};
+  for (const [name, field] of Object.entries(SUGGESTION_FIELDS)) {
+    properties[name] = { type: field.type, description: field.description };
+    if (field.enumFrom === 'modes') properties[name].enum = modes;
+  }
+
+  return {
+    name: SUGGESTION_TOOL_NAME,
+    description: 'Submit editorial suggestions for the document',
+    input_schema: {
+      type: 'object',
+      properties: {
+        suggestions: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties,
+            required: Object.keys(SUGGESTION_FIELDS).filter(name => SUGGESTION_FIELDS[name].required),
+          },
+        },
+      },
+      required: ['suggestions'],
+    },
+  };
+}
+
+// Returns a list of problems with one item; empty when it is usable
+export function validateSuggestion(item, { modes, content }) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return ['is not an object'];
+  }
+
+  const problems = [];
+  for (const [name, field] of Object.entries(SUGGESTION_FIELDS)) {
+    const value = item[name];
+    if (value === undefined || value === null) {
+      if (field.required) problems.push(`is missing "${name}"`);
+    } else if (typeof value !== field.type) {
+      problems.push(`"${name}" should be a ${field.type}`);
+    } else if (field.enumFrom === 'modes' && !modes.includes(value)) {
+      problems.push(`"${name}" must be one of ${modes.join(', ')} (got "${value}")`);
+    }
+  }
+
+  if (problems.length === 0) {
+    if (!item.original.trim()) {
+      problems.push('"original" is empty');
+    } else if (!resolveAnchor(content, anchorFrom(item))) {
+      problems.push('"original" text was not found in the document');
+    }
+  }
+  return problems;
+}
+
+// Pull each top-level {...} object out of free text, skipping braces inside
+// strings, so a reply that ignored the tool can still be partly recovered.
+export function extractJsonObjects(text) {
+  const objects = [];
+  let depth = 0;
+  let start = -1;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"' && depth > 0) {
+      inString = true;
+    } else if (ch === '{') {
+      if (depth === 0) start = i;
+      depth++;
+    } else if (ch === '}' && depth > 0) {
+      depth--;
+      if (depth === 0) objects.push(text.slice(start, i + 1));
+    }
+  }
+  return objects;
+}
+
+const rawItemsFrom = (data) => {
+  const blocks = data?.content || [];
+  const toolUse = blocks.find(block => block.type === 'tool_use' && block.name === SUGGESTION_TOOL_NAME);
+  if (Array.isArray(toolUse?.input?.suggestions)) {
+    return toolUse.input.suggestions.map(item => ({ item }));
+  }
+
+  const text = blocks.filter(block => block.type === 'text').map(block => block.text).join('\n');
+  const objects = extractJsonObjects(text);
+  if (objects.length === 0) {
+    const preview = text.substring(0, 200).replace(/\n/g, ' ');
+    if (data?.stop_reason === 'max_tokens') {
+      throw new Error('The response was cut off before any suggestions could be read. Try a smaller suggestion count.');
+    }
+    throw new Error(`No suggestions were returned${preview ? `. Response was: "${preview}..."` : ''}`);
+  }
+  return objects.map(json => {
+    try {
+      return { item: JSON.parse(json) };
+    } catch (err) {
+      return { problems: [`could not be read (${err.message})`], preview: json };
+    }
+  });
+};
+
+/**
+ * Turn a Messages API response into positioned suggestions.
+ * Returns { suggestions, rejected, truncated }; each rejected entry has the
+ * item's 1-based index, a short preview and its problems. A repeated original
+ * is placed by the context the model gave, and `original` is taken from the
+ * content, since the model's copy may differ in quotes or spacing.
+ */
+export function parseSuggestionResponse(data, { modes, content }) {
+  const suggestions = [];
+  const rejected = [];
+
+  rawItemsFrom(data).forEach(({ item, problems, preview }, idx) => {
+    const itemProblems = problems || validateSuggestion(item, { modes, content });
+    if (itemProblems.length > 0) {
+      rejected.push({
+        index: idx + 1,
+        preview: (preview || (typeof item?.original === 'string' ? item.original : JSON.stringify(item)) || '').substring(0, 60),
+        problems: itemProblems,
+      });
+      return;
+    }
+
+    const { start, end } = resolveAnchor(content, anchorFrom(item));
+    const suggestion = { id: idx + 1 };
+    for (const [name, field] of Object.entries(SUGGESTION_FIELDS)) {
+      if (item[name] !== undefined && !field.context) suggestion[name] = item[name];
+    }
+    suggestions.push({ ...suggestion, original: content.slice(start, end), start, end });
+  });
+
+  return { suggestions, rejected, truncated: data?.stop_reason === 'max_tokens' };
+}
+
+// "Exhaustive" asks for 25-40 per full-size section, scaled down for short ones
+const EXHAUSTIVE_RANGE = [25, 40];
+
+/**
+ * Spread the requested number of suggestions across sections by word count.
+ * Returns one prompt-ready amount per chunk, e.g. '4' or '12-20'. A number
+ * is never exceeded in total, so with more sections than suggestions the
+ * shortest get '0'.
+ */
+export function allocateSuggestionBudget(limit, chunks, maxWords) {
+  if (limit === 'exhaustive') {
+    return chunks.map(chunk => {
+      const share = Math.min(1, chunk.wordCount / maxWords);
+      const [low, high] = EXHAUSTIVE_RANGE.map(n => Math.max(3, Math.round(n * share)));
+      return `${low}-${Math.max(high, low + 2)}`;
+    });
+  }
+
+  // Largest remainder, so the amounts add up to the limit
+  const total = Number(limit);
+  const totalWords = chunks.reduce((sum, chunk) => sum + chunk.wordCount, 0) || 1;
+  const exact = chunks.map(chunk => (total * chunk.wordCount) / totalWords);
+  const amounts = exact.map(Math.floor);
+  let remaining = total - amounts.reduce((sum, n) => sum + n, 0);
+  exact
+    .map((value, idx) => ({ idx, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(({ idx }) => {
+      if (remaining > 0) {
+        amounts[idx]++;
+        remaining--;
+      }
+    });
+  return amounts.map(String);
+}
+
+// Combine per-section results in document order, dropping repeats of the same
+// span, and renumber so ids stay unique within the run
+export function mergeSuggestions(lists) {
+  const seen = new Set();
+  return lists
+    .flat()
+    .sort((a, b) => a.start - b.start)
+    .filter(s => {
+      const key = `${s.start}:${s.end}:${s.suggestion}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map((s, idx) => ({ ...s, id: idx + 1 }));
+}
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SUGGESTION_TOOL_NAME, suggestionTool, validateSuggestion, extractJsonObjects,
+  parseSuggestionResponse, allocateSuggestionBudget, mergeSuggestions,
+} from './suggestions';
+
+const modes = ['clarity', 'grammar'];
+const content = 'Their going to the store. Then their going home.';
+const item = (fields) => ({ original: 'Their going', suggestion: "They're going", reason: 'Contraction', mode: 'grammar', ...fields });
+const toolReply = (suggestions, stopReason = 'tool_use') => ({
+  content: [{ type: 'tool_use', name: SUGGESTION_TOOL_NAME, input: { suggestions } }],
+  stop_reason: stopReason,
+});
+
+describe('suggestionTool', () => {
+  it('limits modes to the ones requested and requires the core fields', () => {
+    const { input_schema: schema } = suggestionTool(modes);
+    const items = schema.properties.suggestions.items;
+    expect(items.properties.mode.enum).toEqual(modes);
+    expect(items.required).toEqual(['original', 'suggestion', 'reason', 'mode']);
+  });
+});
+
+describe('validateSuggestion', () => {
+  it('reports each problem with an item', () => {
+    expect(validateSuggestion(item({}), { modes, content })).toEqual([]);
+    expect(validateSuggestion(item({ reason: undefined, mode: 'tone' }), { modes, content })).toEqual([
+      'is missing "reason"',
+      '"mode" must be one of clarity, grammar (got "tone")',
+    ]);
+    expect(validateSuggestion(item({ original: 'not in the text' }), { modes, content }))
+      .toEqual(['"original" text was not found in the document']);
+    expect(validateSuggestion([], { modes, content })).toEqual(['is not an object']);
+  });
+});
+
+describe('extractJsonObjects', () => {
+  it('skips braces inside strings', () => {
+    expect(extractJsonObjects('Here: {"a": "}{"} and {"b": {"c": 1}} done')).toEqual(['{"a": "}{"}', '{"b": {"c": 1}}']);
+  });
+});
+
+describe('parseSuggestionResponse', () => {
+  it('places a repeated original by the context the model gave', () => {
+    const data = toolReply([item({ original: 'their going', prefix: 'Then ', suggestion: "they're going" })]);
+    const { suggestions } = parseSuggestionResponse(data, { modes, content });
+    expect(suggestions).toEqual([{
+      id: 1, original: 'their going', suggestion: "they're going", reason: 'Contraction', mode: 'grammar', start: 31, end: 42,
+    }]);
+  });
+
+  it('keeps the good items and reports the bad ones', () => {
+    const { suggestions, rejected, truncated } = parseSuggestionResponse(
+      toolReply([item({}), item({ mode: 42 })], 'max_tokens'),
+      { modes, content },
+    );
+    expect(suggestions).toHaveLength(1);
+    expect(rejected).toEqual([{ index: 2, preview: 'Their going', problems: ['"mode" should be a string'] }]);
+    expect(truncated).toBe(true);
+  });
+
+  it('recovers items from a reply that ignored the tool', () => {
+    const data = { content: [{ type: 'text', text: `Sure! ${JSON.stringify(item({}))} {broken` }] };
+    expect(parseSuggestionResponse(data, { modes, content }).suggestions).toHaveLength(1);
+  });
+
+  it('explains a reply with no suggestions', () => {
+    expect(() => parseSuggestionResponse({ content: [], stop_reason: 'max_tokens' }, { modes, content }))
+      .toThrow(/cut off/);
+    expect(() => parseSuggestionResponse({ content: [{ type: 'text', text: 'Nothing to add.' }] }, { modes, content }))
+      .toThrow('No suggestions were returned. Response was: "Nothing to add...."');
+  });
+});
+
+describe('allocateSuggestionBudget', () => {
+  it('splits a number by word count so the amounts add up', () => {
+    const amounts = allocateSuggestionBudget('10', [{ wordCount: 1500 }, { wordCount: 1000 }, { wordCount: 500 }], 1500);
+    expect(amounts).toEqual(['5', '3', '2']);
+  });
+
+  it('never goes over the limit when there are more sections than suggestions', () => {
+    const amounts = allocateSuggestionBudget('2', [{ wordCount: 900 }, { wordCount: 300 }, { wordCount: 1200 }], 1500);
+    expect(amounts).toEqual(['1', '0', '1']);
+  });
+
+  it('scales the exhaustive range down for short sections', () => {
+    expect(allocateSuggestionBudget('exhaustive', [{ wordCount: 1500 }, { wordCount: 150 }], 1500)).toEqual(['25-40', '3-5']);
+  });
+});
+
+describe('mergeSuggestions', () => {
+  it('orders by position, drops repeats and renumbers', () => {
+    const a = { id: 1, start: 30, end: 35, suggestion: 'x' };
+    const b = { id: 1, start: 0, end: 5, suggestion: 'y' };
+    expect(mergeSuggestions([[a], [b, { ...a, id: 2 }]])).toEqual([{ ...b, id: 1 }, { ...a, id: 2 }]);
+  });
+});
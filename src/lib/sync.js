@@ -0,0 +1,343 @@
+/**
+ * Cloud Sync
+ * Pushes local changes to /api/documents and pulls changes made on other
+ * devices. Each storage key syncs independently, newest edit wins; the
+ * document index and version histories are merged by id so entries made on
+ * two devices both survive, and document text that loses to a newer edit is
+ * kept as a version instead of being discarded.
+ */
+
+import { storage, versioning } from './storage';
+import { auth } from './auth';
+
+const SYNC_STATE_KEY = 'wop_sync_state';
+const DOCUMENTS_KEY = 'wop_documents';
+const DOCUMENT_PREFIX = 'wop_doc_';
+const VERSIONS_PREFIX = 'wop_versions_';
+const ANALYSIS_PREFIX = 'wop_analysis_';
+
+const SYNC_INTERVAL = 60 * 1000;
+const PUSH_DELAY = 3000;
+const MAX_BATCH_BYTES = 1024 * 1024; // Stay well under serverless body limits
+
+// Device-local keys (active document, save timestamps, sync state) never sync
+const isSyncedKey = (key) =>
+  key === DOCUMENTS_KEY ||
+  key === 'wop_books' ||
+  key === 'wop_preferences' ||
+  key.startsWith(DOCUMENT_PREFIX) ||
+  key.startsWith(VERSIONS_PREFIX) ||
+  key.startsWith(ANALYSIS_PREFIX);
+
+const listeners = new Set();
+let status = 'disabled';
+let started = false;
+let syncing = null;
+let pushTimer = null;
+
+// Copies, so edits to a loaded state never touch the cached one
+const loadState = () => {
+  const saved = storage.readKey(SYNC_STATE_KEY) || {};
+  return {
+    lastPulledAt: saved.lastPulledAt || 0,
+    dirty: { ...saved.dirty },
+    deletedDocuments: [...(saved.deletedDocuments || [])],
+  };
+};
+
+const saveState = (state) => storage.writeKey(SYNC_STATE_KEY, state);
+
+const notify = (changes = null) => {
+  listeners.forEach(listener => listener({ status, changes }));
+};
+
+const setStatus = (next) => {
+  if (next === status) return;
+  status = next;
+  notify();
+};
+
+const request = async (method, body) => {
+  const response = await fetch('/api/documents' + (method === 'GET' ? `?since=${body}` : ''), {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: method === 'GET' ? undefined : JSON.stringify(body),
+  });
+
+  // Missing route or unconfigured store: this deployment has no cloud sync
+  if (response.status === 404 || response.status === 503) {
+    const error = new Error('Cloud sync is not available');
+    error.disabled = true;
+    throw error;
+  }
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    throw new Error(errorData.error || `Sync error: ${response.status}`);
+  }
+  return response.json();
+};
+
+// Union of both indexes by id, newer metadata wins; deleted documents stay deleted
+const mergeDocumentIndex = (local = [], remote = [], deletedIds = []) => {
+  const deleted = new Set(deletedIds);
+  const merged = new Map();
+  [...remote, ...local].forEach(doc => {
+    if (deleted.has(doc.id)) return;
+    const existing = merged.get(doc.id);
+    if (!existing || doc.updatedAt > existing.updatedAt) merged.set(doc.id, doc);
+  });
+  return [...merged.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+// Union of both histories by id, newest first; this device's copy of an entry wins
+export const mergeVersions = (local = [], remote = []) => {
+  const merged = new Map();
+  [...remote, ...local].forEach(entry => merged.set(entry.id, entry));
+  return [...merged.values()].sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+};
+
+const LOCAL_EDITS_LABEL = 'Unsynced edits from this device';
+const REMOTE_EDITS_LABEL = 'Edits from another device';
+
+// Save the text a sync is about to drop as a version of its document
+const keepLosingText = (state, docId, losing, winning, label) => {
+  if (typeof losing?.content !== 'string' || losing.content === winning?.content) return null;
+  versioning.saveVersion(losing.content, label, docId, { auto: true });
+  state.dirty[`${VERSIONS_PREFIX}${docId}`] = Date.now();
+  return `${VERSIONS_PREFIX}${docId}`;
+};
+
+const describeChanges = (keys, keptEdits = []) => ({
+  library: keys.some(key => key === DOCUMENTS_KEY || key === 'wop_books'),
+  preferences: keys.includes('wop_preferences'),
+  documents: keys.filter(key => key.startsWith(DOCUMENT_PREFIX)).map(key => key.slice(DOCUMENT_PREFIX.length)),
+  versions: keys.filter(key => key.startsWith(VERSIONS_PREFIX)).map(key => key.slice(VERSIONS_PREFIX.length)),
+  analysis: keys.filter(key => key.startsWith(ANALYSIS_PREFIX)).map(key => key.slice(ANALYSIS_PREFIX.length)),
+  // Documents whose unsynced text here was replaced and saved as a version
+  keptEdits,
+});
+
+const pull = async (state) => {
+  const { items, serverTime } = await request('GET', state.lastPulledAt);
+  const changedKeys = [];
+  const keptEdits = [];
+
+  // Record remote deletions first so the index merge can honor them; a
+  // document written again (e.g. restored from a backup) is no longer deleted
+  const documentItems = items.filter(item => item.key.startsWith(DOCUMENT_PREFIX));
+  const deletedIds = documentItems.filter(item => item.deleted).map(item => item.key.slice(DOCUMENT_PREFIX.length));
+  const restoredIds = documentItems.filter(item => !item.deleted).map(item => item.key.slice(DOCUMENT_PREFIX.length));
+  state.deletedDocuments = [...new Set([...state.deletedDocuments, ...deletedIds])]
+    .filter(id => !restoredIds.includes(id));
+
+  items.forEach(item => {
+    if (!isSyncedKey(item.key)) return;
+
+    if (item.key === DOCUMENTS_KEY) {
+      const merged = mergeDocumentIndex(storage.readKey(DOCUMENTS_KEY), item.value, state.deletedDocuments);
+      storage.writeKey(DOCUMENTS_KEY, merged, 'remote');
+      changedKeys.push(item.key);
+      if (JSON.stringify(merged) !== JSON.stringify(item.value)) {
+        state.dirty[DOCUMENTS_KEY] = Date.now();
+      } else {
+        delete state.dirty[DOCUMENTS_KEY];
+      }
+      return;
+    }
+
+    const localEdit = state.dirty[item.key];
+
+    // Versions saved on either device are kept; the merge is pushed next
+    if (localEdit && item.key.startsWith(VERSIONS_PREFIX) && !item.deleted) {
+      const local = storage.readKey(item.key);
+      const merged = mergeVersions(local, item.value);
+      storage.writeKey(item.key, merged, 'remote');
+      changedKeys.push(item.key);
+      if (JSON.stringify(merged) !== JSON.stringify(item.value)) {
+        state.dirty[item.key] = Date.now();
+      } else {
+        delete state.dirty[item.key];
+      }
+      return;
+    }
+
+    // Whichever document text loses to the other edit becomes a version
+    const docId = item.key.startsWith(DOCUMENT_PREFIX) && !item.deleted
+      ? item.key.slice(DOCUMENT_PREFIX.length)
+      : null;
+
+    // A newer unsynced local edit wins; it is pushed next
+    if (localEdit && localEdit > item.updatedAt) {
+      const local = storage.readKey(item.key);
+      const kept = docId && keepLosingText(state, docId, item.value, local, REMOTE_EDITS_LABEL);
+      if (kept) changedKeys.push(kept);
+      return;
+    }
+
+    if (localEdit && docId) {
+      const local = storage.readKey(item.key);
+      const kept = keepLosingText(state, docId, local, item.value, LOCAL_EDITS_LABEL);
+      if (kept) {
+        changedKeys.push(kept);
+        keptEdits.push(docId);
+      }
+    }
+
+    storage.writeKey(item.key, item.deleted ? undefined : item.value, 'remote');
+    delete state.dirty[item.key];
+    changedKeys.push(item.key);
+  });
+
+  state.lastPulledAt = serverTime;
+  return { changedKeys, keptEdits };
+};
+
+// Returns the keys the server refused because it holds a newer edit
+const push = async (state) => {
+  const entries = Object.entries(state.dirty);
+  if (entries.length === 0) return [];
+
+  // Send in batches so a long version history never exceeds the body limit
+  const batches = [[]];
+  let batchBytes = 0;
+  entries.forEach(([key, updatedAt]) => {
+    const value = storage.readKey(key);
+    const item = value === undefined
+      ? { key, updatedAt, deleted: true }
+      : { key, updatedAt, value };
+    const size = JSON.stringify(item).length;
+    if (batchBytes + size > MAX_BATCH_BYTES && batches[batches.length - 1].length > 0) {
+      batches.push([]);
+      batchBytes = 0;
+    }
+    batches[batches.length - 1].push(item);
+    batchBytes += size;
+  });
+
+  const conflicted = [];
+  for (const items of batches) {
+    const { accepted, conflicts = [] } = await request('PUT', { items });
+    conflicted.push(...conflicts.map(conflict => conflict.key));
+    items.forEach(item => {
+      // Only clear if the key was not edited again while the request was in flight
+      if (accepted.includes(item.key) && state.dirty[item.key] === item.updatedAt) {
+        delete state.dirty[item.key];
+      }
+    });
+  }
+  return conflicted;
+};
+
+const trackLocalChange = ({ key, deleted, source }) => {
+  if (source !== 'local' || !isSyncedKey(key)) return;
+
+  const state = loadState();
+  state.dirty[key] = Date.now();
+  if (key.startsWith(DOCUMENT_PREFIX)) {
+    const id = key.slice(DOCUMENT_PREFIX.length);
+    state.deletedDocuments = deleted
+      ? [...new Set([...state.deletedDocuments, id])]
+      : state.deletedDocuments.filter(d => d !== id);
+  }
+  saveState(state);
+
+  if (status === 'disabled') return;
+  clearTimeout(pushTimer);
+  pushTimer = setTimeout(() => sync.syncNow(), PUSH_DELAY);
+};
+
+export const sync = {
+  // Begin syncing; returns a function that stops it
+  start() {
+    if (started) return () => {};
+    started = true;
+
+    const unsubscribe = storage.onChange(trackLocalChange);
+    const interval = setInterval(() => {
+      if (status !== 'disabled') this.syncNow();
+    }, SYNC_INTERVAL);
+    const onWake = () => this.syncNow();
+    window.addEventListener('focus', onWake);
+    window.addEventListener('online', onWake);
+    this.syncNow();
+
+    return () => {
+      started = false;
+      unsubscribe();
+      clearInterval(interval);
+      clearTimeout(pushTimer);
+      window.removeEventListener('focus', onWake);
+      window.removeEventListener('online', onWake);
+    };
+  },
+
+  // Listen for { status, changes }; changes lists what a pull updated
+  subscribe(listener) {
+    listeners.add(listener);
+    listener({ status, changes: null });
+    return () => listeners.delete(listener);
+  },
+
+  getStatus() {
+    return status;
+  },
+
+  async syncNow() {
+    if (syncing) return syncing;
+
+    syncing = (async () => {
+      const state = loadState();
+      const startingDirty = { ...state.dirty };
+      const startingDeleted = [...state.deletedDocuments];
+      try {
+        if (status !== 'disabled') setStatus('syncing');
+        const changedKeys = [];
+        const keptEdits = [];
+        // Wait for pending auto-saves so a pull never overwrites unsaved typing
+        const pullChanges = async () => {
+          if (!storage.isIdle()) return;
+          const pulled = await pull(state);
+          changedKeys.push(...pulled.changedKeys);
+          keptEdits.push(...pulled.keptEdits);
+        };
+
+        await pullChanges();
+        // Reviewers only pull; their edits stay on this device
+        if (auth.can('documents:write')) {
+          const conflicted = await push(state);
+          // Another device wrote these keys after our pull: fetch and merge
+          // them now rather than leaving them dirty until the next sync
+          if (conflicted.length > 0) {
+            await pullChanges();
+            await push(state);
+          }
+        }
+        setStatus('synced');
+        if (changedKeys.length > 0) notify(describeChanges(changedKeys, keptEdits));
+      } catch (e) {
+        if (e.disabled) {
+          setStatus('disabled');
+        } else {
+          console.error('Sync failed:', e);
+          setStatus(navigator.onLine === false ? 'offline' : 'error');
+        }
+      } finally {
+        // Keep dirty flags added by edits made while the sync ran
+        const latest = loadState();
+        const dirty = { ...state.dirty };
+        Object.entries(latest.dirty).forEach(([key, updatedAt]) => {
+          if (startingDirty[key] !== updatedAt) dirty[key] = updatedAt;
+        });
+        const undeleted = startingDeleted.filter(id => !latest.deletedDocuments.includes(id));
+        const deletedDocuments = [...new Set([...state.deletedDocuments, ...latest.deletedDocuments])]
+          .filter(id => !undeleted.includes(id));
+        saveState({ ...state, dirty, deletedDocuments });
+        syncing = null;
+      }
+    })();
+
+    return syncing;
+  },
+};
+
+export default sync;
@@ -0,0 +1,24 @@
+import { describe, it, expect } from 'vitest';
+import { mergeVersions } from './sync';
+
+const version = (id, timestamp, extra = {}) => ({ id, timestamp, label: id, ...extra });
+
+describe('mergeVersions', () => {
+  it('keeps versions saved on either device, newest first', () => {
+    const local = [version('b', '2026-01-03T00:00:00Z'), version('a', '2026-01-01T00:00:00Z')];
+    const remote = [version('c', '2026-01-02T00:00:00Z'), version('a', '2026-01-01T00:00:00Z')];
+    expect(mergeVersions(local, remote).map(v => v.id)).toEqual(['b', 'c', 'a']);
+  });
+
+  it("prefers this device's copy of a shared version", () => {
+    const local = [version('a', '2026-01-01T00:00:00Z', { pinned: true })];
+    const remote = [version('a', '2026-01-01T00:00:00Z', { pinned: false })];
+    expect(mergeVersions(local, remote)).toEqual(local);
+  });
+
+  it('handles a missing history on either side', () => {
+    const remote = [version('a', '2026-01-01T00:00:00Z')];
+    expect(mergeVersions(undefined, remote)).toEqual(remote);
+    expect(mergeVersions(remote, undefined)).toEqual(remote);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Undo History
+ * Snapshot-based undo/redo for the editor. Each entry keeps the editor state
+ * from before an operation, plus any suggestion decisions the operation made
+ * so they can be reverted on undo and reapplied on redo.
+ */
+
+const DEFAULT_LIMIT = 100;
+const TYPING_PAUSE = 1000; // Keystrokes closer together than this undo as one step
+
+export function createUndoHistory({ limit = DEFAULT_LIMIT } = {}) {
+  let undoStack = [];
+  let redoStack = [];
+  let lastTypingAt = 0;
+
+  return {
+    // Call before changing the state. A new operation clears the redo stack.
+    record(label, state, { decisions = [], typing = false } = {}) {
+      const now = Date.now();
+      const top = undoStack[undoStack.length - 1];
+      const continuesTyping = typing && top?.typing && now - lastTypingAt < TYPING_PAUSE;
+      lastTypingAt = typing ? now : 0;
+      if (continuesTyping) return;
+
+      undoStack = [...undoStack, { label, state, decisions, typing }].slice(-limit);
+      redoStack = [];
+    },
+
+    // Both take the current state and return the entry to apply, or null
+    undo(current) {
+      const entry = undoStack.pop();
+      if (!entry) return null;
+      redoStack.push({ ...entry, state: current });
+      lastTypingAt = 0;
+      return entry;
+    },
+
+    redo(current) {
+      const entry = redoStack.pop();
+      if (!entry) return null;
+      undoStack.push({ ...entry, state: current });
+      lastTypingAt = 0;
+      return entry;
+    },
+
+    // Labels of the next undo and redo steps, for button tooltips
+    peek() {
+      return {
+        undo: undoStack[undoStack.length - 1]?.label || null,
+        redo: redoStack[redoStack.length - 1]?.label || null,
+      };
+    },
+
+    clear() {
+      undoStack = [];
+      redoStack = [];
+      lastTypingAt = 0;
+    },
+  };
+}
@@ -0,0 +1,50 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { createUndoHistory } from './undo';
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('createUndoHistory', () => {
+  it('undoes and redoes, swapping in the current state', () => {
+    const history = createUndoHistory();
+    history.record('Accept suggestion', 'one', { decisions: [{ id: 1 }] });
+    expect(history.peek()).toEqual({ undo: 'Accept suggestion', redo: null });
+
+    const undone = history.undo('two');
+    expect(undone).toMatchObject({ label: 'Accept suggestion', state: 'one', decisions: [{ id: 1 }] });
+    expect(history.redo('one')).toMatchObject({ state: 'two' });
+    expect(history.undo('two').state).toBe('one');
+    expect(history.undo('one')).toBeNull();
+  });
+
+  it('clears redo when a new operation is recorded', () => {
+    const history = createUndoHistory();
+    history.record('Edit', 'a');
+    history.undo('b');
+    history.record('Other edit', 'a');
+    expect(history.peek().redo).toBeNull();
+  });
+
+  it('keeps at most `limit` steps', () => {
+    const history = createUndoHistory({ limit: 2 });
+    ['a', 'b', 'c'].forEach(state => history.record('Edit', state));
+    expect(history.undo('d').state).toBe('c');
+    expect(history.undo('c').state).toBe('b');
+    expect(history.undo('b')).toBeNull();
+  });
+
+  it('folds keystrokes typed close together into one step', () => {
+    vi.useFakeTimers();
+    const history = createUndoHistory();
+    history.record('Typing', 'a', { typing: true });
+    vi.advanceTimersByTime(300);
+    history.record('Typing', 'ab', { typing: true });
+    vi.advanceTimersByTime(2000);
+    history.record('Typing', 'abc', { typing: true });
+
+    expect(history.undo('abcd').state).toBe('abc');
+    expect(history.undo('abc').state).toBe('a');
+    expect(history.undo('a')).toBeNull();
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Usage Client
+ * Reads token usage totals and the monthly budget from /api/usage, and keeps
+ * track of the budget state the Claude proxy reports on each response.
+ */
+
+// 'ok', 'warning' (80% spent) or 'exceeded'
+let budgetState = 'ok';
+const listeners = new Set();
+
+const request = async ({ method = 'GET', query = '', body } = {}) => {
+  const response = await fetch(`/api/usage${query}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined,
+    credentials: 'same-origin',
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || `Usage error: ${response.status}`);
+  return data;
+};
+
+const setBudgetState = (state) => {
+  if (state === budgetState) return;
+  budgetState = state;
+  listeners.forEach(listener => listener(state));
+};
+
+export const usage = {
+  // Totals for a month (YYYY-MM, default this one) by day, document and operation
+  load(month) {
+    return request({ query: month ? `?month=${encodeURIComponent(month)}` : '' });
+  },
+
+  // monthlyLimit in dollars, or null to remove the budget
+  async setBudget(monthlyLimit, action) {
+    const { budget } = await request({ method: 'PUT', body: { monthlyLimit, action } });
+    setBudgetState(budget.state === 'none' ? 'ok' : budget.state);
+    return budget;
+  },
+
+  // Called by the Claude client with each proxy response
+  noteResponse(response) {
+    if (response.status === 402) {
+      setBudgetState('exceeded');
+    } else if (response.ok) {
+      setBudgetState(response.headers.get('X-Usage-Budget') || 'ok');
+    }
+  },
+
+  getBudgetState() {
+    return budgetState;
+  },
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+};
@@ -1,10 +1,36 @@
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
+import { storage } from './lib/storage';
+import { sync } from './lib/sync';
+import { auth } from './lib/auth';
 import './index.css';
 
-ReactDOM.createRoot(document.getElementById('root')).render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+// Load saved documents into memory before the editor reads them. Sync waits
+// for sign-in when the deployment requires it. Resolves to the error that
+// kept storage from starting, if any; nothing can be saved without it.
+const start = async () => {
+  try {
+    await storage.init();
+  } catch (err) {
+    console.error('Storage could not start:', err);
+    return err;
+  }
+  const { enabled, user } = await auth.loadSession();
+  if (!enabled || user) sync.start();
+  return null;
+};
+
+start()
+  .catch(err => {
+    // Storage works; the editor runs without sync
+    console.error('Sync could not start:', err);
+    return null;
+  })
+  .then(storageError => {
+    ReactDOM.createRoot(document.getElementById('root')).render(
+      <React.StrictMode>
+        <App storageError={storageError} />
+      </React.StrictMode>
+    );
+  });